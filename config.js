@@ -0,0 +1,121 @@
+// config.js
+require('dotenv').config();
+const path = require('path');
+
+// Comma-separated env var -> array, or null when unset
+const parseList = (value) => (value ? value.split(',').map((item) => item.trim()).filter(Boolean) : null);
+
+// Numeric env var, keeping 0; fallback when unset or not a number
+const parseNumber = (value, fallback) => (value === undefined || value === '' || Number.isNaN(Number(value)) ? fallback : Number(value));
+
+module.exports = {
+  // 'multi' (default) starts one Express server per router on its own port,
+  // 'single' mounts every enabled router on one app listening on PORT
+  serverMode: process.env.SERVER_MODE === 'single' ? 'single' : 'multi',
+  port: Number(process.env.PORT) || 3000,
+
+  // Routers to start, by name; defaults to all of them
+  enabledRouters: parseList(process.env.ENABLED_ROUTERS) || ['tmdb', 'movies', 'tv', 'person', 'watchlist', 'account', 'notifications'],
+
+  // Directory holding user data (watchlist, history, ...)
+  dataDir: process.env.DATA_DIR || path.join(__dirname, 'data'),
+
+  // Accounts and API authentication
+  auth: {
+    // Secret used to sign JWTs; a random one is generated at startup when unset,
+    // which invalidates every token on restart
+    jwtSecret: process.env.JWT_SECRET || null,
+    jwtExpiresIn: process.env.JWT_EXPIRES_IN || '12h',
+    // Routers whose routes (except /health) require a token or API key. Only the routers
+    // that store user data by default; the TMDb content routers are opt-in.
+    requiredRouters: parseList(process.env.AUTH_REQUIRED_ROUTERS) || ['watchlist', 'notifications'],
+    allowRegistration: process.env.ALLOW_REGISTRATION !== 'false',
+    // Admin account created at startup when both are set
+    adminUsername: process.env.ADMIN_USERNAME || null,
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+  },
+
+  // Request validation against the @swagger docs (middleware/validation.js)
+  validation: {
+    // Also check JSON responses and log mismatches; on by default in development
+    responses: process.env.VALIDATE_RESPONSES !== undefined
+      ? process.env.VALIDATE_RESPONSES === 'true'
+      : process.env.NODE_ENV === 'development',
+  },
+
+  // Ranking of the unified /search endpoint: each result scores between 0 and 1 on how well
+  // its title matches the query, its TMDb popularity and how recent it is
+  search: {
+    weights: {
+      title: parseNumber(process.env.SEARCH_WEIGHT_TITLE, 0.6),
+      popularity: parseNumber(process.env.SEARCH_WEIGHT_POPULARITY, 0.3),
+      recency: parseNumber(process.env.SEARCH_WEIGHT_RECENCY, 0.1),
+    },
+  },
+
+  // Search-as-you-type (/autocomplete)
+  autocomplete: {
+    // Quiet period per client before TMDb is queried; newer keystrokes supersede older ones
+    debounceMs: parseNumber(process.env.AUTOCOMPLETE_DEBOUNCE_MS, 150),
+    // Total time allowed per request; local matches are returned when TMDb is slower
+    budgetMs: parseNumber(process.env.AUTOCOMPLETE_BUDGET_MS, 400),
+    // Recently seen titles and people kept for prefix matching
+    indexSize: parseNumber(process.env.AUTOCOMPLETE_INDEX_SIZE, 5000),
+  },
+
+  // Availability alerts for followed titles
+  alerts: {
+    // Run the periodic watch provider check in this process
+    enabled: process.env.ALERTS_ENABLED !== 'false',
+    intervalMs: Number(process.env.ALERTS_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+    // Region used for follows that don't name one
+    defaultRegion: process.env.ALERTS_DEFAULT_REGION || 'US',
+    webhookTimeoutMs: Number(process.env.ALERTS_WEBHOOK_TIMEOUT_MS) || 5000,
+    // Webhook hosts allowed even though they resolve to internal addresses (e.g. a local
+    // receiver during development)
+    webhookAllowedHosts: parseList(process.env.ALERTS_WEBHOOK_ALLOWED_HOSTS) || [],
+  },
+
+  // Outgoing mail for the email channel; defaults target a local SMTP stand-in
+  // such as MailHog or smtp4dev
+  smtp: {
+    host: process.env.SMTP_HOST || 'localhost',
+    port: Number(process.env.SMTP_PORT) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null,
+    from: process.env.SMTP_FROM || 'StreamKeeper <alerts@streamkeeper.local>',
+  },
+
+  // Port (multi mode) and base path of each router
+  routers: {
+    tmdb: {
+      port: Number(process.env.TMDB_ROUTER_PORT) || 3001,
+      basePath: process.env.TMDB_ROUTER_BASE_PATH || '/api',
+    },
+    movies: {
+      port: Number(process.env.MOVIES_ROUTER_PORT) || 3002,
+      basePath: process.env.MOVIES_ROUTER_BASE_PATH || '/api/movies',
+    },
+    tv: {
+      port: Number(process.env.TV_ROUTER_PORT) || 3003,
+      basePath: process.env.TV_ROUTER_BASE_PATH || '/api/tv',
+    },
+    person: {
+      port: Number(process.env.PERSON_ROUTER_PORT) || 3004,
+      basePath: process.env.PERSON_ROUTER_BASE_PATH || '/api/person',
+    },
+    watchlist: {
+      port: Number(process.env.WATCHLIST_ROUTER_PORT) || 3005,
+      basePath: process.env.WATCHLIST_ROUTER_BASE_PATH || '/api/watchlist',
+    },
+    account: {
+      port: Number(process.env.ACCOUNT_ROUTER_PORT) || 3006,
+      basePath: process.env.ACCOUNT_ROUTER_BASE_PATH || '/api/account',
+    },
+    notifications: {
+      port: Number(process.env.NOTIFICATIONS_ROUTER_PORT) || 3007,
+      basePath: process.env.NOTIFICATIONS_ROUTER_BASE_PATH || '/api/notifications',
+    },
+  },
+};
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const authService = require('../helpers/authService');
+const userRepository = require('../repositories/userRepository');
+const { requireAuth, requireRole } = require('../middleware/auth');
+const { ApiError } = require('../helpers/errors');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Account
+ *   description: User registration, login and API keys
+ */
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check
+ *     tags: [Account]
+ *     responses:
+ *       200:
+ *         description: Account API is running
+ */
+router.get('/health', (req, res) => {
+  res.status(200).json({ message: 'Account API is running' });
+});
+
+/**
+ * @swagger
+ * /register:
+ *   post:
+ *     summary: Register a new user
+ *     tags: [Account]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       201:
+ *         description: User created, with a token to start using the API
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       400:
+ *         description: Invalid username or password
+ *       403:
+ *         description: Registration is disabled
+ *       409:
+ *         description: Username already taken
+ */
+router.post('/register', async (req, res, next) => {
+  try {
+    if (!config.auth.allowRegistration) {
+      throw new ApiError(403, 'REGISTRATION_DISABLED', 'Registration is disabled');
+    }
+    const { username, password } = req.body || {};
+    await authService.register(username, password);
+    const { user, token } = await authService.login(username, password);
+    res.status(201).json({ user: authService.toPublicUser(user), token });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /login:
+ *   post:
+ *     summary: Log in and receive a JWT
+ *     tags: [Account]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Credentials'
+ *     responses:
+ *       200:
+ *         description: Logged in
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid username or password
+ */
+router.post('/login', async (req, res, next) => {
+  try {
+    const { username, password } = req.body || {};
+    const { user, token } = await authService.login(username, password);
+    res.json({ user: authService.toPublicUser(user), token });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /me:
+ *   get:
+ *     summary: Get the current user
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/me', requireAuth, async (req, res, next) => {
+  try {
+    const user = await userRepository.findById(req.user.id);
+    res.json(authService.toPublicUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   post:
+ *     summary: Create an API key for a service client
+ *     description: The key is returned once and acts with the role of the current user
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id:
+ *                   type: string
+ *                 name:
+ *                   type: string
+ *                 prefix:
+ *                   type: string
+ *                 createdAt:
+ *                   type: string
+ *                   format: date-time
+ *                 key:
+ *                   type: string
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/api-keys', requireAuth, async (req, res, next) => {
+  try {
+    const name = req.body && typeof req.body.name === 'string' ? req.body.name.slice(0, 64) : undefined;
+    res.status(201).json(await authService.createApiKey(req.user.id, name));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys/{key_id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: key_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete('/api-keys/:key_id', requireAuth, async (req, res, next) => {
+  try {
+    const removed = await userRepository.removeApiKey(req.user.id, req.params.key_id);
+    if (!removed) {
+      throw new ApiError(404, 'NOT_FOUND', `API key ${req.params.key_id} not found`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: List users (admin only)
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/users', requireRole('admin'), async (req, res, next) => {
+  try {
+    const users = await userRepository.listUsers();
+    res.json(users.map(authService.toPublicUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /users/{user_id}/role:
+ *   put:
+ *     summary: Change the role of a user (admin only)
+ *     tags: [Account]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: user_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [role]
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [user, admin]
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/User'
+ *       403:
+ *         description: Admin role required
+ *       404:
+ *         description: User not found
+ */
+router.put('/users/:user_id/role', requireRole('admin'), async (req, res, next) => {
+  try {
+    const user = await authService.setRole(req.params.user_id, (req.body || {}).role);
+    res.json(authService.toPublicUser(user));
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,15 @@
 const express = require('express');
 const router = express.Router();
 const fetchFromTmdb = require('../helpers/tmdbHelper');
+const { fetchPaginated } = require('../helpers/pagination');
+const { search } = require('../helpers/searchService');
+const { parseDiscoverFilters } = require('../helpers/discoverFilters');
+const { getGenres } = require('../helpers/genreCatalog');
+const { parseAvailabilityFilters, getSubscribedProviderIds, getAvailability } = require('../helpers/watchAvailability');
+const { userIdOf } = require('../helpers/userContext');
+const { parseInclude, getDetails } = require('../helpers/detailIncludes');
+const { parseCreditFilters, shapeCredits } = require('../helpers/credits');
 const Movie = require('../models/Movie');
-const Person = require('../models/Person');
 const Review = require('../models/Review');
 
 /**
@@ -39,6 +46,11 @@ router.get('/health', (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/include_image_language'
  *     responses:
  *       200:
  *         description: Movie images
@@ -47,12 +59,12 @@ router.get('/health', (req, res) => {
  *             schema:
  *               type: object
  */
-router.get('/:movie_id/images', async (req, res) => {
+router.get('/:movie_id/images', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/images`);
-    res.json(data);
+    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/images`, req.locale);
+    res.json(req.mediaOptions.images.decorate(data));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie images' });
+    next(error);
   }
 });
 
@@ -70,31 +82,26 @@ router.get('/:movie_id/images', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/department'
+ *       - $ref: '#/components/parameters/job'
  *     responses:
  *       200:
  *         description: Movie credits, including cast and crew
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 cast:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Person'
- *                 crew:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Person'
+ *               $ref: '#/components/schemas/Credits'
  */
-router.get('/:movie_id/credits', async (req, res) => {
+router.get('/:movie_id/credits', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/credits`);
-    const cast = data.cast.map((person) => new Person(person));
-    const crew = data.crew.map((person) => new Person(person));
-    res.json({ cast, crew });
+    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/credits`, req.locale);
+    res.json(shapeCredits(data, parseCreditFilters(req.query), req.mediaOptions));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie credits' });
+    next(error);
   }
 });
 
@@ -112,6 +119,9 @@ router.get('/:movie_id/credits', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: External IDs for the movie
@@ -129,12 +139,12 @@ router.get('/:movie_id/credits', async (req, res) => {
  *                 twitter_id:
  *                   type: string
  */
-router.get('/:movie_id/external_ids', async (req, res) => {
+router.get('/:movie_id/external_ids', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/external_ids`);
+    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/external_ids`, req.locale);
     res.json(data);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie external IDs' });
+    next(error);
   }
 });
 
@@ -153,22 +163,34 @@ router.get('/:movie_id/external_ids', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of recommended movies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/:movie_id/recommendations', async (req, res) => {
+router.get('/:movie_id/recommendations', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/recommendations`);
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json(await fetchPaginated(`/movie/${req.params.movie_id}/recommendations`, req.locale, req.query, (item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie recommendations' });
+    next(error);
   }
 });
 
@@ -185,26 +207,35 @@ router.get('/:movie_id/recommendations', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of movie reviews
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Review'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/:movie_id/reviews', async (req, res) => {
+router.get('/:movie_id/reviews', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/reviews`);
-    
     // Map each review in the response data to a Review instance
-    const reviews = data.results.map(reviewData => new Review(reviewData));
+    const reviews = await fetchPaginated(`/movie/${req.params.movie_id}/reviews`, req.locale, req.query, reviewData => new Review(reviewData));
 
     res.json(reviews);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie reviews' });
+    next(error);
   }
 });
 
@@ -223,22 +254,34 @@ module.exports = router;
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of similar movies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/:movie_id/similar', async (req, res) => {
+router.get('/:movie_id/similar', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/similar`);
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json(await fetchPaginated(`/movie/${req.params.movie_id}/similar`, req.locale, req.query, (item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch similar movies' });
+    next(error);
   }
 });
 
@@ -255,6 +298,9 @@ router.get('/:movie_id/similar', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of movie videos
@@ -265,12 +311,12 @@ router.get('/:movie_id/similar', async (req, res) => {
  *               items:
  *                 $ref: '#/components/schemas/Video'
  */
-router.get('/:movie_id/videos', async (req, res) => {
+router.get('/:movie_id/videos', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/videos`);
+    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/videos`, req.locale);
     res.json(data.results);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie videos' });
+    next(error);
   }
 });
 
@@ -279,6 +325,7 @@ router.get('/:movie_id/videos', async (req, res) => {
  * /{movie_id}/watch/providers:
  *   get:
  *     summary: Fetch movie watch providers by ID
+ *     description: Providers grouped by monetization type, limited to `region` when given. Providers in the user's subscriptions are flagged.
  *     tags: [Movies]
  *     parameters:
  *       - in: path
@@ -287,20 +334,25 @@ router.get('/:movie_id/videos', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/watchProviders'
+ *       - $ref: '#/components/parameters/monetization'
  *     responses:
  *       200:
- *         description: Watch providers for the movie
+ *         description: Where to watch the movie
  *         content:
  *           application/json:
  *             schema:
- *               type: object
+ *               $ref: '#/components/schemas/WatchAvailability'
  */
-router.get('/:movie_id/watch/providers', async (req, res) => {
+router.get('/:movie_id/watch/providers', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/movie/${req.params.movie_id}/watch/providers`);
-    res.json(data.results);
+    const filters = parseAvailabilityFilters(req.query, req.locale);
+    const subscribed = await getSubscribedProviderIds(userIdOf(req));
+    res.json(await getAvailability('movie', req.params.movie_id, filters, { images: req.mediaOptions.images, subscribed }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie watch providers' });
+    next(error);
   }
 });
 
@@ -317,26 +369,135 @@ router.get('/:movie_id/watch/providers', async (req, res) => {
  *         description: Search query for movies
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/include_adult'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/primary_release_year'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: Search results
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    res.json(await search('movie', req.query, { params: req.locale, options: req.mediaOptions }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Discover movies by genre, year, rating and more
+/**
+ * @swagger
+ * /discover:
+ *   get:
+ *     summary: Discover movies with filters
+ *     description: Filters are validated and translated to TMDb's /discover/movie parameters.
+ *     tags: [Movies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/genres'
+ *       - $ref: '#/components/parameters/withoutGenres'
+ *       - $ref: '#/components/parameters/keywords'
+ *       - $ref: '#/components/parameters/companies'
+ *       - $ref: '#/components/parameters/match'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/yearFrom'
+ *       - $ref: '#/components/parameters/yearTo'
+ *       - $ref: '#/components/parameters/minRating'
+ *       - $ref: '#/components/parameters/maxRating'
+ *       - $ref: '#/components/parameters/minVotes'
+ *       - $ref: '#/components/parameters/minRuntime'
+ *       - $ref: '#/components/parameters/maxRuntime'
+ *       - $ref: '#/components/parameters/originalLanguage'
+ *       - $ref: '#/components/parameters/watchProviders'
+ *       - $ref: '#/components/parameters/watchRegion'
+ *       - $ref: '#/components/parameters/monetization'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Field to sort by
+ *         schema:
+ *           type: string
+ *           enum: [popularity, vote_average, vote_count, primary_release_date, revenue, title, original_title]
+ *           default: popularity
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: Movies matching the filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filters
  */
-router.get('/search', async (req, res) => {
-  const query = req.query.query;
-  if (!query) {
-    return res.status(400).json({ error: 'Query parameter is required' });
+router.get('/discover', async (req, res, next) => {
+  try {
+    const filters = parseDiscoverFilters('movie', req.query, req.locale);
+    res.json(await fetchPaginated('/discover/movie', { ...filters, ...req.locale }, req.query, (item) => new Movie(item, req.mediaOptions)));
+  } catch (error) {
+    next(error);
   }
+});
+
+// Genre catalog for movie
+/**
+ * @swagger
+ * /genres:
+ *   get:
+ *     summary: List movie genres
+ *     description: TMDb's official movie genres in the request language
+ *     tags: [Movies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/language'
+ *     responses:
+ *       200:
+ *         description: Movie genres
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 genres:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Genre'
+ */
+router.get('/genres', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/search/movie`, { query });
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json({ genres: await getGenres('movie', req.locale.language) });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to search movies' });
+    next(error);
   }
 });
 
@@ -346,22 +507,34 @@ router.get('/search', async (req, res) => {
  *   get:
  *     summary: Fetch popular movies
  *     tags: [Movies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of popular movies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/popular', async (req, res) => {
+router.get('/popular', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/movie/popular');
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json(await fetchPaginated('/movie/popular', req.locale, req.query, (item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch popular movies' });
+    next(error);
   }
 });
 
@@ -371,22 +544,34 @@ router.get('/popular', async (req, res) => {
  *   get:
  *     summary: Fetch now playing movies
  *     tags: [Movies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of now playing movies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/now_playing', async (req, res) => {
+router.get('/now_playing', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/movie/now_playing');
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json(await fetchPaginated('/movie/now_playing', req.locale, req.query, (item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch now playing movies' });
+    next(error);
   }
 });
 
@@ -396,22 +581,34 @@ router.get('/now_playing', async (req, res) => {
  *   get:
  *     summary: Fetch top-rated movies
  *     tags: [Movies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of top-rated movies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/top_rated', async (req, res) => {
+router.get('/top_rated', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/movie/top_rated');
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json(await fetchPaginated('/movie/top_rated', req.locale, req.query, (item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch top-rated movies' });
+    next(error);
   }
 });
 
@@ -421,22 +618,34 @@ router.get('/top_rated', async (req, res) => {
  *   get:
  *     summary: Fetch upcoming movies
  *     tags: [Movies]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: A list of upcoming movies
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Movie'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  */
-router.get('/upcoming', async (req, res) => {
+router.get('/upcoming', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/movie/upcoming');
-    res.json(data.results.map((item) => new Movie(item)));
+    res.json(await fetchPaginated('/movie/upcoming', req.locale, req.query, (item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch upcoming movies' });
+    next(error);
   }
 });
 
@@ -453,22 +662,43 @@ router.get('/upcoming', async (req, res) => {
  *         description: ID of the movie
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *       - in: query
+ *         name: include
+ *         required: false
+ *         description: 'Comma-separated sections to fetch in the same TMDb call, returned under `included` and shaped like their standalone routes. One or more of: credits, videos, images, reviews, recommendations, similar, external_ids, watch_providers'
+ *         schema:
+ *           type: string
+ *           example: 'credits,videos,watch_providers'
  *     responses:
  *       200:
- *         description: Movie details
+ *         description: Movie details, plus the requested sections under `included`
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Movie'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/MovieDetails'
+ *                 - $ref: '#/components/schemas/IncludedSections'
+ *       400:
+ *         description: Unknown include section
  */
-router.get('/:movie_id(\\d+)', async (req, res) => {
+router.get('/:movie_id', async (req, res, next) => {
   const movieId = Number(req.params.movie_id);
   
   try {
-    const data = await fetchFromTmdb(`/movie/${movieId}`);
-    res.json(new Movie(data));
+    const include = parseInclude('movie', req.query.include);
+    res.json(await getDetails('movie', movieId, include, {
+      params: req.locale,
+      options: req.mediaOptions,
+      query: req.query,
+      userId: userIdOf(req),
+    }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch movie details' });
+    next(error);
   }
 });
 
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const config = require('../config');
+const followRepository = require('../repositories/followRepository');
+const notificationRepository = require('../repositories/notificationRepository');
+const notificationService = require('../helpers/notificationService');
+const { ApiError } = require('../helpers/errors');
+const { userIdOf } = require('../helpers/userContext');
+const locale = require('../middleware/locale');
+const { withoutUser, parseMediaType, parseTmdbId } = require('../helpers/userRecords');
+const { requireRole } = require('../middleware/auth');
+const { checkFollow, runAvailabilityCheck } = require('../jobs/availabilityAlerts');
+const scheduler = require('../jobs/scheduler');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Notifications
+ *   description: Followed titles, availability alerts and notification channels
+ */
+
+const MAX_FEED_LIMIT = 200;
+
+const parseRegion = (value) => {
+  if (!/^[A-Z]{2}$/.test(value)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'region must be an ISO 3166-1 code, e.g. "US"');
+  }
+  return value;
+};
+
+const parseLimit = (value) => {
+  if (value === undefined) return MAX_FEED_LIMIT;
+  const limit = Number(value);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_FEED_LIMIT) {
+    throw new ApiError(400, 'INVALID_REQUEST', `limit must be an integer between 1 and ${MAX_FEED_LIMIT}`);
+  }
+  return limit;
+};
+
+// Webhook secrets are write-only
+const SECRET_MASK = '********';
+
+const maskChannels = (settings) => Object.entries(settings).reduce((masked, [name, value]) => ({
+  ...masked,
+  [name]: value && value.secret ? { ...value, secret: SECRET_MASK } : value,
+}), {});
+
+// A masked secret sent back as read from GET keeps the stored one
+const unmaskChannels = (settings, stored) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) return settings;
+  return Object.entries(settings).reduce((unmasked, [name, value]) => ({
+    ...unmasked,
+    [name]: value && value.secret === SECRET_MASK
+      ? { ...value, secret: (stored[name] && stored[name].secret) || undefined }
+      : value,
+  }), {});
+};
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Notifications API is running
+ */
+router.get('/health', (req, res) => {
+  res.status(200).json({ message: 'Notifications API is running' });
+});
+
+/**
+ * @swagger
+ * /:
+ *   get:
+ *     summary: Get the notification feed
+ *     description: Availability changes for followed titles, newest first
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: query
+ *         name: unread
+ *         schema:
+ *           type: boolean
+ *         description: Only return unread notifications
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 200
+ *           default: 200
+ *     responses:
+ *       200:
+ *         description: Notifications
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Notification'
+ *                 unreadCount:
+ *                   type: integer
+ */
+router.get('/', async (req, res, next) => {
+  try {
+    const limit = parseLimit(req.query.limit);
+    const userId = userIdOf(req);
+    const notifications = await notificationRepository.listNotifications(userId, { unread: req.query.unread === 'true', limit });
+    const unread = await notificationRepository.listNotifications(userId, { unread: true });
+    res.json({ results: notifications.map(withoutUser), unreadCount: unread.length });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /read:
+ *   post:
+ *     summary: Mark every notification as read
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Number of notifications marked as read
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 marked:
+ *                   type: integer
+ */
+router.post('/read', async (req, res, next) => {
+  try {
+    res.json({ marked: await notificationRepository.markRead(userIdOf(req)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{notification_id}/read:
+ *   post:
+ *     summary: Mark a notification as read
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: notification_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Notification marked as read
+ *       404:
+ *         description: Unknown or already read notification
+ */
+router.post('/:notification_id/read', async (req, res, next) => {
+  try {
+    const marked = await notificationRepository.markRead(userIdOf(req), req.params.notification_id);
+    if (marked === 0) {
+      throw new ApiError(404, 'NOT_FOUND', `Unread notification ${req.params.notification_id} not found`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /follows:
+ *   get:
+ *     summary: List followed titles
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Followed titles, most recent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Follow'
+ */
+router.get('/follows', async (req, res, next) => {
+  try {
+    const follows = await followRepository.listFollows(userIdOf(req));
+    res.json(follows.map(withoutUser));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /follows:
+ *   post:
+ *     summary: Follow a movie or TV show
+ *     description: Records the title's current watch providers as a baseline. Later checks notify when it arrives on or leaves a subscribed provider in the region.
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, id]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [movie, tv]
+ *               id:
+ *                 type: integer
+ *               region:
+ *                 type: string
+ *                 description: ISO 3166-1 region to watch (defaults to the request region, then ALERTS_DEFAULT_REGION)
+ *     responses:
+ *       201:
+ *         description: Title followed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Follow'
+ *       200:
+ *         description: Title was already followed
+ *       404:
+ *         description: Title not found on TMDb
+ */
+router.post('/follows', locale, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const type = parseMediaType(body.type);
+    const tmdbId = parseTmdbId(body.id);
+    const region = parseRegion(body.region || req.locale.region || config.alerts.defaultRegion);
+    const userId = userIdOf(req);
+
+    const { follow, created } = await followRepository.addFollow(userId, { type, tmdbId, region });
+    if (!follow.snapshot) {
+      try {
+        await checkFollow(follow, new Set());
+      } catch (error) {
+        // A new follow needs a title TMDb knows; an existing one keeps waiting for the next run
+        if (created) {
+          await followRepository.removeFollow(userId, type, tmdbId);
+          throw error;
+        }
+      }
+    }
+    const saved = await followRepository.getFollow(userId, type, tmdbId);
+    res.status(created ? 201 : 200).json(withoutUser(saved));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /follows/check:
+ *   post:
+ *     summary: Check the followed titles now
+ *     description: Runs the availability check for the current user's follows instead of waiting for the scheduled run
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Check summary
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 checked:
+ *                   type: integer
+ *                 failed:
+ *                   type: integer
+ *                 notifications:
+ *                   type: integer
+ */
+router.post('/follows/check', async (req, res, next) => {
+  try {
+    res.json(await runAvailabilityCheck({ userId: userIdOf(req) }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /follows/{type}/{id}:
+ *   delete:
+ *     summary: Stop following a title
+ *     tags: [Notifications]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [movie, tv]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Title unfollowed
+ *       404:
+ *         description: Title is not followed
+ */
+router.delete('/follows/:type/:id', async (req, res, next) => {
+  try {
+    const type = parseMediaType(req.params.type);
+    const tmdbId = parseTmdbId(req.params.id);
+    const removed = await followRepository.removeFollow(userIdOf(req), type, tmdbId);
+    if (!removed) {
+      throw new ApiError(404, 'NOT_FOUND', `${type} ${tmdbId} is not followed`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /channels:
+ *   get:
+ *     summary: Get the outbound notification channels
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Channel settings by name (webhook secrets are masked)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ */
+router.get('/channels', async (req, res, next) => {
+  try {
+    res.json(maskChannels(await notificationRepository.getChannels(userIdOf(req))));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /channels:
+ *   put:
+ *     summary: Replace the outbound notification channels
+ *     description: New notifications are also delivered on every configured channel. Omit a channel or set it to null to disable it. A webhook secret sent back masked, as returned by GET, keeps the stored secret.
+ *     tags: [Notifications]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationChannels'
+ *     responses:
+ *       200:
+ *         description: Channels saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationChannels'
+ *       400:
+ *         description: Unknown channel or invalid settings
+ */
+router.put('/channels', async (req, res, next) => {
+  try {
+    const userId = userIdOf(req);
+    const stored = await notificationRepository.getChannels(userId);
+    const settings = await notificationService.validateChannelSettings(unmaskChannels(req.body, stored));
+    res.json(maskChannels(await notificationRepository.setChannels(userId, settings)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /jobs:
+ *   get:
+ *     summary: Background job status
+ *     description: Schedule and last run of each background job. Admin only.
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       403:
+ *         description: Admin role required
+ */
+router.get('/jobs', requireRole('admin'), (req, res) => {
+  res.json(scheduler.getStatus());
+});
+
+module.exports = router;
@@ -1,6 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const fetchFromTmdb = require('../helpers/tmdbHelper');
+const { fetchPaginated } = require('../helpers/pagination');
+const { search } = require('../helpers/searchService');
+const { parseInclude, getDetails } = require('../helpers/detailIncludes');
+const { getFilmography } = require('../helpers/filmography');
 const Person = require('../models/Person');
 const TVShow = require('../models/TVShow');
 const Movie = require('../models/Movie');
@@ -32,24 +36,35 @@ router.get('/health', (req, res) => {
  *   get:
  *     summary: Get popular persons
  *     tags: [Person]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of popular persons
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Person'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Person'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Failed to fetch popular persons
  */
-router.get('/popular', async (req, res) => {
+router.get('/popular', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/person/popular');
-    res.json(data.results.map((item) => new Person(item)));
+    res.json(await fetchPaginated('/person/popular', req.locale, req.query, (item) => new Person(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch popular persons' });
+    next(error);
   }
 });
 
@@ -66,25 +81,35 @@ router.get('/popular', async (req, res) => {
  *         description: The search query for the person
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/include_adult'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: Search results for the person
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Person'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Person'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Failed to perform search
  */
-router.get('/search', async (req, res) => {
-  const query = req.query.query;
+router.get('/search', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/search/person?query=${query}`);
-    res.json(data.results.map((item) => new Person(item)));
+    res.json(await search('person', req.query, { params: req.locale, options: req.mediaOptions }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to perform search' });
+    next(error);
   }
 });
 
@@ -100,7 +125,12 @@ router.get('/search', async (req, res) => {
  *         required: true
  *         description: The ID of the person
  *         schema:
- *           type: string
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: Person's movie credits
@@ -113,12 +143,12 @@ router.get('/search', async (req, res) => {
  *       500:
  *         description: Failed to fetch person movie credits
  */
-router.get('/:id(\\d+)/movie_credits', async (req, res) => {
+router.get('/:id/movie_credits', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/person/${req.params.id}/movie_credits`);
-    res.json(data.cast.map((item) => new Movie(item)));
+    const data = await fetchFromTmdb(`/person/${req.params.id}/movie_credits`, req.locale);
+    res.json(data.cast.map((item) => new Movie(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch person movie credits' });
+    next(error);
   }
 });
 
@@ -134,7 +164,12 @@ router.get('/:id(\\d+)/movie_credits', async (req, res) => {
  *         required: true
  *         description: The ID of the person
  *         schema:
- *           type: string
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: Person's TV credits
@@ -147,12 +182,60 @@ router.get('/:id(\\d+)/movie_credits', async (req, res) => {
  *       500:
  *         description: Failed to fetch person TV credits
  */
-router.get('/:id(\\d+)/tv_credits', async (req, res) => {
+router.get('/:id/tv_credits', async (req, res, next) => {
+  try {
+    const data = await fetchFromTmdb(`/person/${req.params.id}/tv_credits`, req.locale);
+    res.json(data.cast.map((item) => new TVShow(item, req.mediaOptions)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{id}/filmography:
+ *   get:
+ *     summary: Get a person's filmography
+ *     description: Movie and TV credits merged into one entry per title with every role held on it, sorted chronologically and grouped by department, with summary stats. Collaborators come from the credits of the person's 20 most voted titles.
+ *     tags: [Person]
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         description: The ID of the person
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - in: query
+ *         name: order
+ *         required: false
+ *         description: Oldest (asc) or newest (desc) titles first
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: Filmography
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Filmography'
+ *       400:
+ *         description: Invalid order
+ *       404:
+ *         description: Person not found
+ */
+router.get('/:id/filmography', async (req, res, next) => {
+  const { order = 'asc' } = req.query;
   try {
-    const data = await fetchFromTmdb(`/person/${req.params.id}/tv_credits`);
-    res.json(data.cast.map((item) => new TVShow(item)));
+    res.json(await getFilmography(Number(req.params.id), { params: req.locale, options: req.mediaOptions, order }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch person TV credits' });
+    next(error);
   }
 });
 
@@ -168,7 +251,12 @@ router.get('/:id(\\d+)/tv_credits', async (req, res) => {
  *         required: true
  *         description: The ID of the person
  *         schema:
- *           type: string
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/include_image_language'
  *     responses:
  *       200:
  *         description: Person's images
@@ -179,12 +267,12 @@ router.get('/:id(\\d+)/tv_credits', async (req, res) => {
  *       500:
  *         description: Failed to fetch person images
  */
-router.get('/:id(\\d+)/images', async (req, res) => {
+router.get('/:id/images', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/person/${req.params.id}/images`);
-    res.json(data);
+    const data = await fetchFromTmdb(`/person/${req.params.id}/images`, req.locale);
+    res.json(req.mediaOptions.images.decorate(data));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch person images' });
+    next(error);
   }
 });
 
@@ -200,7 +288,10 @@ router.get('/:id(\\d+)/images', async (req, res) => {
  *         required: true
  *         description: The ID of the person
  *         schema:
- *           type: string
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: External IDs
@@ -211,12 +302,12 @@ router.get('/:id(\\d+)/images', async (req, res) => {
  *       500:
  *         description: Failed to fetch external IDs
  */
-router.get('/:id(\\d+)/external_ids', async (req, res) => {
+router.get('/:id/external_ids', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/person/${req.params.id}/external_ids`);
+    const data = await fetchFromTmdb(`/person/${req.params.id}/external_ids`, req.locale);
     res.json(data);
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch external IDs' });
+    next(error);
   }
 });
 
@@ -232,23 +323,38 @@ router.get('/:id(\\d+)/external_ids', async (req, res) => {
  *         required: true
  *         description: The ID of the person
  *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *       - in: query
+ *         name: include
+ *         required: false
+ *         description: 'Comma-separated sections to fetch in the same TMDb call, returned under `included` and shaped like their standalone routes. One or more of: movie_credits, tv_credits, images, external_ids'
+ *         schema:
  *           type: string
+ *           example: 'movie_credits,images'
  *     responses:
  *       200:
- *         description: Person details
+ *         description: Person details, plus the requested sections under `included`
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Person'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/PersonDetails'
+ *                 - $ref: '#/components/schemas/IncludedSections'
+ *       400:
+ *         description: Unknown include section
  *       500:
  *         description: Failed to fetch person details
  */
-router.get('/:id(\\d+)', async (req, res) => {
+router.get('/:id', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/person/${req.params.id}`);
-    res.json(new Person(data));
+    const include = parseInclude('person', req.query.include);
+    res.json(await getDetails('person', req.params.id, include, { params: req.locale, options: req.mediaOptions }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch person details' });
+    next(error);
   }
 });
 
@@ -2,10 +2,25 @@ require('dotenv').config();
 const axios = require('axios');
 const express = require('express');
 const router = express.Router();
+const fetchFromTmdb = require('../helpers/tmdbHelper');
+const { fetchPaginated } = require('../helpers/pagination');
+const { parseDiscoverFilters } = require('../helpers/discoverFilters');
+const { search, searchAll, parseSearchQuery } = require('../helpers/searchService');
+const { autocomplete } = require('../helpers/autocomplete');
+const { requireRole } = require('../middleware/auth');
 const Movie = require('../models/Movie');
-const Person = require('../models/Person');
 const TVShow = require('../models/TVShow');
-const fetchFromTmdb = require('../helpers/tmdbHelper');
+const CollectionDetails = require('../models/CollectionDetails');
+const CompanyDetails = require('../models/CompanyDetails');
+const { userIdOf } = require('../helpers/userContext');
+const { parseBatchItems, hydrateBatch } = require('../helpers/mediaHydrator');
+const {
+  parseAvailabilityFilters,
+  parseBatchTitles,
+  getSubscribedProviderIds,
+  getBatchAvailability,
+  normalizeProvider,
+} = require('../helpers/watchAvailability');
 const tmdbApiKey = process.env.TMDB_API_KEY;
 const tmdbBaseUrl = process.env.TMDB_BASE_URL.endsWith('/') ? process.env.TMDB_BASE_URL.slice(0, -1) : process.env.TMDB_BASE_URL;
 
@@ -49,7 +64,7 @@ router.get('/health', (req, res) => {
  * /auth/validate:
  *   get:
  *     summary: Validate TMDb API Key
- *     description: Check if the TMDb API key is valid by trying to retrieve a new token.
+ *     description: Check if the TMDb API key is valid by trying to retrieve a new token. Admin only.
  *     tags: [TMDB]
  *     responses:
  *       200:
@@ -64,14 +79,47 @@ router.get('/health', (req, res) => {
  *       401:
  *         description: Invalid API Key
  */
-router.get('/auth/validate', async (req, res) => {
+router.get('/auth/validate', requireRole('admin'), async (req, res, next) => {
   try {
     await fetchFromTmdb('/authentication/token/new');
     res.status(200).json({ message: 'API Key is valid' });
   } catch (error) {
-    res.status(401).json({ error: 'Invalid API Key' });
+    next(error);
   }
 });
+
+// Cache statistics for the TMDb response cache
+/**
+ * @swagger
+ * /cache/stats:
+ *   get:
+ *     summary: TMDb cache statistics
+ *     description: Hit/miss counters for the TMDb response cache shared by all routes. Admin only.
+ *     tags: [TMDB]
+ *     responses:
+ *       200:
+ *         description: Cache statistics
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 enabled:
+ *                   type: boolean
+ *                 store:
+ *                   type: string
+ *                 hits:
+ *                   type: integer
+ *                 misses:
+ *                   type: integer
+ *                 errors:
+ *                   type: integer
+ *                 hitRate:
+ *                   type: number
+ */
+router.get('/cache/stats', requireRole('admin'), (req, res) => {
+  res.status(200).json(fetchFromTmdb.cache.getStats());
+});
 // Health check route
 /**
  * @swagger
@@ -97,6 +145,123 @@ router.get('/health', (req, res) => {
 });
 
 
+// Search several types at once, ranked together
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Unified search
+ *     description: Searches the requested types in parallel and ranks all results together by title match, popularity and recency (weights set with SEARCH_WEIGHT_TITLE, SEARCH_WEIGHT_POPULARITY and SEARCH_WEIGHT_RECENCY). When nothing matches, looser variants of the query are tried to tolerate typos.
+ *     tags: [TMDB]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The search query string
+ *       - in: query
+ *         name: types
+ *         required: false
+ *         schema:
+ *           type: string
+ *           default: movie,tv,person
+ *         description: Comma-separated types to search, from movie, tv, person, collection, company and keyword
+ *       - in: query
+ *         name: layout
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [interleaved, grouped]
+ *           default: interleaved
+ *         description: One ranked list of every type, or ranked results per type
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 20
+ *         description: Number of results (per type with layout=grouped)
+ *       - $ref: '#/components/parameters/include_adult'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/primary_release_year'
+ *       - $ref: '#/components/parameters/first_air_date_year'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/UnifiedSearch'
+ *       400:
+ *         description: Missing query or invalid parameters
+ */
+router.get('/search', async (req, res, next) => {
+  try {
+    res.json(await searchAll(req.query, { params: req.locale, options: req.mediaOptions }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Suggestions while the user types
+/**
+ * @swagger
+ * /autocomplete:
+ *   get:
+ *     summary: Search-as-you-type suggestions
+ *     description: Compact movie, TV and person suggestions for a partial query. Prefix matches come from a local index of recently seen titles and people; TMDb is only queried once the client pauses typing (AUTOCOMPLETE_DEBOUNCE_MS), identical queries share one TMDb call, and the answer always arrives within AUTOCOMPLETE_BUDGET_MS, from the index alone if need be.
+ *     tags: [TMDB]
+ *     parameters:
+ *       - in: query
+ *         name: query
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: What the user typed so far
+ *       - in: query
+ *         name: limit
+ *         required: false
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 20
+ *           default: 8
+ *         description: Number of suggestions
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: Suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Autocomplete'
+ *       400:
+ *         description: Missing query or invalid limit
+ */
+router.get('/autocomplete', async (req, res, next) => {
+  try {
+    // Debounce per signed-in user, or per address for anonymous clients
+    const clientKey = req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+    res.json(await autocomplete(parseSearchQuery(req.query), {
+      clientKey,
+      limit: req.query.limit ? Number(req.query.limit) : undefined,
+      params: req.locale,
+      images: req.mediaOptions.images,
+    }));
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Search for collections
 /**
  * @swagger
@@ -112,6 +277,13 @@ router.get('/health', (req, res) => {
  *         schema:
  *           type: string
  *         description: The search query string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/include_adult'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of collections
@@ -123,26 +295,17 @@ router.get('/health', (req, res) => {
  *                 results:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                       name:
- *                         type: string
- *                       poster_path:
- *                         type: string
- *                       backdrop_path:
- *                         type: string
+ *                     $ref: '#/components/schemas/Collection'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Error fetching collections
  */
-router.get('/search/collection', async (req, res) => {
-  const query = req.query.query;
+router.get('/search/collection', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/search/collection', { query });
-    res.json(data);
+    res.json(await search('collection', req.query, { params: req.locale, options: req.mediaOptions }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch collections' });
+    next(error);
   }
 });
 
@@ -161,6 +324,12 @@ router.get('/search/collection', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The search query string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of companies
@@ -172,24 +341,17 @@ router.get('/search/collection', async (req, res) => {
  *                 results:
  *                   type: array
  *                   items:
- *                     type: object
- *                     properties:
- *                       id:
- *                         type: integer
- *                       name:
- *                         type: string
- *                       logo_path:
- *                         type: string
+ *                     $ref: '#/components/schemas/Company'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Error fetching companies
  */
-router.get('/search/company', async (req, res) => {
-  const query = req.query.query;
+router.get('/search/company', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/search/company', { query });
-    res.json(data);
+    res.json(await search('company', req.query, { params: req.locale, options: req.mediaOptions }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch companies' });
+    next(error);
   }
 });
 
@@ -208,6 +370,14 @@ router.get('/search/company', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The search query string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/include_adult'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: Multi-search results, returning different object structures based on media type
@@ -219,35 +389,21 @@ router.get('/search/company', async (req, res) => {
  *                 results:
  *                   type: array
  *                   items:
- *                     oneOf:
+ *                     anyOf:
  *                       - $ref: '#/components/schemas/Movie'
  *                       - $ref: '#/components/schemas/TVShow'
  *                       - $ref: '#/components/schemas/Person'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Error fetching multi-search results
  */
-router.get('/search/multi', async (req, res) => {
-  const query = req.query.query;
+router.get('/search/multi', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/search/multi', { query });
-    
-    // Process results using the respective classes for each media type
-    const searchResults = data.results.map(item => {
-      switch (item.media_type) {
-        case 'movie':
-          return new Movie(item); // Creates a Movie instance
-        case 'tv':
-          return new TVShow(item); // Creates a TVShow instance
-        case 'person':
-          return new Person(item); // Creates a Person instance
-        default:
-          return item; // Fallback in case of unexpected media types
-      }
-    });
-
-    res.json({ searchResults });
+    // Results are Movie, TVShow or Person instances depending on their media_type
+    res.json(await search('multi', req.query, { params: req.locale, options: req.mediaOptions }));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch multi-search results' });
+    next(error);
   }
 });
 
@@ -266,6 +422,11 @@ router.get('/search/multi', async (req, res) => {
  *         schema:
  *           type: string
  *         description: The search query string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of keywords
@@ -283,16 +444,376 @@ router.get('/search/multi', async (req, res) => {
  *                         type: integer
  *                       name:
  *                         type: string
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Error fetching keywords
  */
-router.get('/search/keyword', async (req, res) => {
-  const query = req.query.query;
+router.get('/search/keyword', async (req, res, next) => {
+  try {
+    res.json(await search('keyword', req.query, { params: req.locale, options: req.mediaOptions }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Collection (franchise) with all of its movies
+/**
+ * @swagger
+ * /collection/{collection_id}:
+ *   get:
+ *     summary: Get a collection
+ *     description: A movie collection (franchise) with every part as a Movie, ordered by release date
+ *     tags: [TMDB]
+ *     parameters:
+ *       - name: collection_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the collection
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *     responses:
+ *       200:
+ *         description: Collection details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CollectionDetails'
+ *       404:
+ *         description: Collection not found
+ */
+router.get('/collection/:collection_id', async (req, res, next) => {
+  try {
+    const data = await fetchFromTmdb(`/collection/${req.params.collection_id}`, req.locale);
+    res.json(new CollectionDetails(data, req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Production company (studio) and its catalogue
+/**
+ * @swagger
+ * /company/{company_id}:
+ *   get:
+ *     summary: Get a company
+ *     tags: [TMDB]
+ *     parameters:
+ *       - name: company_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the company
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/imageSize'
+ *     responses:
+ *       200:
+ *         description: Company details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CompanyDetails'
+ *       404:
+ *         description: Company not found
+ */
+router.get('/company/:company_id', async (req, res, next) => {
+  try {
+    const data = await fetchFromTmdb(`/company/${req.params.company_id}`);
+    res.json(new CompanyDetails(data, req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /company/{company_id}/movies:
+ *   get:
+ *     summary: Movies produced by a company
+ *     description: The company's movies catalogue from TMDb's /discover/movie, with the same filters as the movies discover route.
+ *     tags: [TMDB]
+ *     parameters:
+ *       - name: company_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the company
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/genres'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/yearFrom'
+ *       - $ref: '#/components/parameters/yearTo'
+ *       - $ref: '#/components/parameters/minRating'
+ *       - $ref: '#/components/parameters/minVotes'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Field to sort by
+ *         schema:
+ *           type: string
+ *           enum: [popularity, vote_average, vote_count, primary_release_date, revenue, title, original_title]
+ *           default: popularity
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: Movies of the company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Movie'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filters
+ */
+router.get('/company/:company_id/movies', async (req, res, next) => {
+  try {
+    // Other company filters are replaced by this company
+    const filters = parseDiscoverFilters('movie', { ...req.query, companies: req.params.company_id, match: 'all' }, req.locale);
+    res.json(await fetchPaginated('/discover/movie', { ...filters, ...req.locale }, req.query, (item) => new Movie(item, req.mediaOptions)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /company/{company_id}/tv:
+ *   get:
+ *     summary: TV shows produced by a company
+ *     description: The company's tv shows catalogue from TMDb's /discover/tv, with the same filters as the tv shows discover route.
+ *     tags: [TMDB]
+ *     parameters:
+ *       - name: company_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the company
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/genres'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/yearFrom'
+ *       - $ref: '#/components/parameters/yearTo'
+ *       - $ref: '#/components/parameters/minRating'
+ *       - $ref: '#/components/parameters/minVotes'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Field to sort by
+ *         schema:
+ *           type: string
+ *           enum: [popularity, vote_average, vote_count, first_air_date, name, original_name]
+ *           default: popularity
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: TV shows of the company
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filters
+ */
+router.get('/company/:company_id/tv', async (req, res, next) => {
+  try {
+    // Other company filters are replaced by this company
+    const filters = parseDiscoverFilters('tv', { ...req.query, companies: req.params.company_id, match: 'all' }, req.locale);
+    res.json(await fetchPaginated('/discover/tv', { ...filters, ...req.locale }, req.query, (item) => new TVShow(item, req.mediaOptions)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Details of several movies and TV shows at once
+/**
+ * @swagger
+ * /batch:
+ *   post:
+ *     summary: Get details of several titles
+ *     description: Movie and TV show details for up to 50 titles in one call. Duplicate items are returned once, and titles that fail to load get an error entry instead of failing the request.
+ *     tags: [TMDB]
+ *     parameters:
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 maxItems: 50
+ *                 items:
+ *                   type: object
+ *                   required: [type, id]
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [movie, tv]
+ *                     id:
+ *                       type: integer
+ *             example:
+ *               items:
+ *                 - { type: movie, id: 550 }
+ *                 - { type: tv, id: 1399 }
+ *     responses:
+ *       200:
+ *         description: One entry per distinct title, in request order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BatchResult'
+ *       400:
+ *         description: Missing, invalid or too many items
+ */
+router.post('/batch', async (req, res, next) => {
+  try {
+    const items = parseBatchItems((req.body || {}).items);
+    res.json({ results: await hydrateBatch(items, req.locale, req.mediaOptions) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Where to watch several titles at once
+/**
+ * @swagger
+ * /watch/availability:
+ *   get:
+ *     summary: Where to watch several titles
+ *     description: Normalized watch providers for up to 50 movies and TV shows in one call. Titles that fail to load get an error entry instead of failing the request.
+ *     tags: [TMDB]
+ *     parameters:
+ *       - in: query
+ *         name: movie
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '550,680'
+ *         description: Comma-separated movie IDs
+ *       - in: query
+ *         name: tv
+ *         required: false
+ *         schema:
+ *           type: string
+ *           example: '1399'
+ *         description: Comma-separated TV show IDs
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/watchProviders'
+ *       - $ref: '#/components/parameters/monetization'
+ *     responses:
+ *       200:
+ *         description: Availability per title, in request order (movies first)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WatchAvailability'
+ *       400:
+ *         description: Missing or invalid title IDs or filters
+ */
+router.get('/watch/availability', async (req, res, next) => {
+  try {
+    const titles = parseBatchTitles(req.query);
+    const filters = parseAvailabilityFilters(req.query, req.locale);
+    const subscribed = await getSubscribedProviderIds(userIdOf(req));
+    res.json({ results: await getBatchAvailability(titles, filters, { images: req.mediaOptions.images, subscribed }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Watch provider catalog, e.g. to pick streaming subscriptions
+/**
+ * @swagger
+ * /watch/providers/{type}:
+ *   get:
+ *     summary: List watch providers
+ *     description: Streaming services TMDb knows for movies or TV, limited to `region` when given
+ *     tags: [TMDB]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [movie, tv]
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: Watch providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WatchProvider'
+ */
+router.get('/watch/providers/:type', async (req, res, next) => {
+  const { type } = req.params;
   try {
-    const data = await fetchFromTmdb('/search/keyword', { query });
-    res.json(data);
+    const { language, region } = req.locale;
+    const data = await fetchFromTmdb(`/watch/providers/${type}`, { language, watch_region: region });
+    const subscribed = await getSubscribedProviderIds(userIdOf(req));
+    // data may be the cached response, so sort a copy
+    const results = [...data.results]
+      .sort((a, b) => a.display_priority - b.display_priority)
+      .map((provider) => normalizeProvider(provider, { images: req.mediaOptions.images, subscribed }));
+    res.json({ results });
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch keywords' });
+    next(error);
   }
 });
 
@@ -1,9 +1,22 @@
 const express = require('express');
 const router = express.Router();
 const fetchFromTmdb = require('../helpers/tmdbHelper'); // Import the helper function
+const { ApiError } = require('../helpers/errors');
+const { fetchPaginated } = require('../helpers/pagination');
+const { search } = require('../helpers/searchService');
+const { parseDiscoverFilters } = require('../helpers/discoverFilters');
+const { getGenres } = require('../helpers/genreCatalog');
+const { parseAvailabilityFilters, getSubscribedProviderIds, getAvailability } = require('../helpers/watchAvailability');
+const progressService = require('../helpers/progressService');
+const { userIdOf } = require('../helpers/userContext');
+const { requireAuth } = require('../middleware/auth');
+const { parseInclude, getDetails } = require('../helpers/detailIncludes');
+const { parseCreditFilters, shapeCredits } = require('../helpers/credits');
 const TVShow = require('../models/TVShow');
+const TVShowDetails = require('../models/TVShowDetails');
+const Season = require('../models/Season');
+const Episode = require('../models/Episode');
 const Review = require('../models/Review');
-const Person = require('../models/Person');
 
 /**
  * @swagger
@@ -34,24 +47,36 @@ router.get('/health', (req, res) => {
  *   get:
  *     summary: Get popular TV shows
  *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of popular TV shows
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Failed to fetch popular TV shows
  */
-router.get('/popular', async (req, res) => {
+router.get('/popular', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/tv/popular');
-    res.json(data.results.map((item) => new TVShow(item)));
+    res.json(await fetchPaginated('/tv/popular', req.locale, req.query, (item) => new TVShow(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch popular TV shows' });
+    next(error);
   }
 });
 
@@ -62,22 +87,27 @@ router.get('/popular', async (req, res) => {
  *   get:
  *     summary: Get latest TV show
  *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: Latest TV show details
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/TVShow'
+ *               $ref: '#/components/schemas/TVShowDetails'
  *       500:
  *         description: Failed to fetch latest TV show
  */
-router.get('/latest', async (req, res) => {
+router.get('/latest', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/tv/latest');
-    res.json(new TVShow(data));
+    const data = await fetchFromTmdb('/tv/latest', req.locale);
+    res.json(new TVShowDetails(data, req.mediaOptions));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch latest TV show' });
+    next(error);
   }
 });
 
@@ -88,24 +118,36 @@ router.get('/latest', async (req, res) => {
  *   get:
  *     summary: Get TV shows airing today
  *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of TV shows airing today
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Failed to fetch airing today TV shows
  */
-router.get('/airing_today', async (req, res) => {
+router.get('/airing_today', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/tv/airing_today');
-    res.json(data.results.map((item) => new TVShow(item)));
+    res.json(await fetchPaginated('/tv/airing_today', req.locale, req.query, (item) => new TVShow(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch airing today TV shows' });
+    next(error);
   }
 });
 
@@ -116,24 +158,36 @@ router.get('/airing_today', async (req, res) => {
  *   get:
  *     summary: Get TV shows currently on the air
  *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of TV shows currently on the air
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Failed to fetch TV shows on the air
  */
-router.get('/on_the_air', async (req, res) => {
+router.get('/on_the_air', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/tv/on_the_air');
-    res.json(data.results.map((item) => new TVShow(item)));
+    res.json(await fetchPaginated('/tv/on_the_air', req.locale, req.query, (item) => new TVShow(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch TV shows on the air' });
+    next(error);
   }
 });
 
@@ -144,24 +198,36 @@ router.get('/on_the_air', async (req, res) => {
  *   get:
  *     summary: Get top-rated TV shows
  *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of top-rated TV shows
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       500:
  *         description: Failed to fetch top-rated TV shows
  */
-router.get('/top_rated', async (req, res) => {
+router.get('/top_rated', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb('/tv/top_rated');
-    res.json(data.results.map((item) => new TVShow(item)));
+    res.json(await fetchPaginated('/tv/top_rated', req.locale, req.query, (item) => new TVShow(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to fetch top-rated TV shows' });
+    next(error);
   }
 });
 
@@ -179,41 +245,180 @@ router.get('/top_rated', async (req, res) => {
  *         description: The search query
  *         schema:
  *           type: string
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/include_adult'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/first_air_date_year'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of TV shows matching the search query
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
  *         description: Query parameter is required
  *       500:
  *         description: Failed to search TV shows
  */
-router.get('/search/tv', async (req, res) => {
-  const query = req.query.query;
-  if (!query) {
-    return res.status(400).json({ error: 'Query parameter is required' });
+router.get('/search/tv', async (req, res, next) => {
+  try {
+    res.json(await search('tv', req.query, { params: req.locale, options: req.mediaOptions }));
+  } catch (error) {
+    next(error);
   }
+});
+
+// Discover TV shows by genre, year, rating and more
+/**
+ * @swagger
+ * /discover:
+ *   get:
+ *     summary: Discover TV shows with filters
+ *     description: Filters are validated and translated to TMDb's /discover/tv parameters.
+ *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/genres'
+ *       - $ref: '#/components/parameters/withoutGenres'
+ *       - $ref: '#/components/parameters/keywords'
+ *       - $ref: '#/components/parameters/companies'
+ *       - $ref: '#/components/parameters/match'
+ *       - $ref: '#/components/parameters/year'
+ *       - $ref: '#/components/parameters/yearFrom'
+ *       - $ref: '#/components/parameters/yearTo'
+ *       - $ref: '#/components/parameters/minRating'
+ *       - $ref: '#/components/parameters/maxRating'
+ *       - $ref: '#/components/parameters/minVotes'
+ *       - $ref: '#/components/parameters/minRuntime'
+ *       - $ref: '#/components/parameters/maxRuntime'
+ *       - $ref: '#/components/parameters/originalLanguage'
+ *       - $ref: '#/components/parameters/watchProviders'
+ *       - $ref: '#/components/parameters/watchRegion'
+ *       - $ref: '#/components/parameters/monetization'
+ *       - in: query
+ *         name: sort
+ *         required: false
+ *         description: Field to sort by
+ *         schema:
+ *           type: string
+ *           enum: [popularity, vote_average, vote_count, first_air_date, name, original_name]
+ *           default: popularity
+ *       - $ref: '#/components/parameters/order'
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *     responses:
+ *       200:
+ *         description: TV shows matching the filters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filters
+ */
+router.get('/discover', async (req, res, next) => {
   try {
-    const data = await fetchFromTmdb(`/search/tv?query=${encodeURIComponent(query)}`);
-    res.json(data.results.map((item) => new TVShow(item)));
+    const filters = parseDiscoverFilters('tv', req.query, req.locale);
+    res.json(await fetchPaginated('/discover/tv', { ...filters, ...req.locale }, req.query, (item) => new TVShow(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: 'Failed to search TV shows' });
+    next(error);
   }
 });
 
-// Validation Middleware for Series ID
-const validateSeriesId = (req, res, next) => {
-  const { series_id } = req.params;
-  if (!/^\d+$/.test(series_id)) {
-    return res.status(400).json({ error: 'Invalid series_id format. It must be a number.' });
+// Genre catalog for TV show
+/**
+ * @swagger
+ * /genres:
+ *   get:
+ *     summary: List TV show genres
+ *     description: TMDb's official TV show genres in the request language
+ *     tags: [TvShows]
+ *     parameters:
+ *       - $ref: '#/components/parameters/language'
+ *     responses:
+ *       200:
+ *         description: TV show genres
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 genres:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Genre'
+ */
+router.get('/genres', async (req, res, next) => {
+  try {
+    res.json({ genres: await getGenres('tv', req.locale.language) });
+  } catch (error) {
+    next(error);
   }
-  next();
-};
+});
+
+// Up next across all tracked shows
+/**
+ * @swagger
+ * /up-next:
+ *   get:
+ *     summary: Get the next episode to watch for every tracked TV show
+ *     description: Shows with at least one watched episode, most recently watched first. Finished shows are left out until new episodes air.
+ *     tags: [TvShows]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - $ref: '#/components/parameters/includeSpecials'
+ *       - $ref: '#/components/parameters/language'
+ *     responses:
+ *       200:
+ *         description: Next episode and progress per show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/SeriesProgress'
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/up-next', requireAuth, async (req, res, next) => {
+  try {
+    const upNext = await progressService.getUpNext(userIdOf(req), {
+      includeSpecials: req.query.includeSpecials === 'true',
+      params: req.locale,
+      options: req.mediaOptions,
+    });
+    res.json(upNext);
+  } catch (error) {
+    next(error);
+  }
+});
 
 /**
  * @swagger
@@ -228,25 +433,44 @@ const validateSeriesId = (req, res, next) => {
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
+ *       - in: query
+ *         name: include
+ *         required: false
+ *         description: 'Comma-separated sections to fetch in the same TMDb call, returned under `included` and shaped like their standalone routes. One or more of: credits, aggregate_credits, videos, images, reviews, recommendations, similar, external_ids, watch_providers'
+ *         schema:
+ *           type: string
+ *           example: 'credits,videos,watch_providers'
  *     responses:
  *       200:
- *         description: TV show details
+ *         description: TV show details, plus the requested sections under `included`
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/TVShow'
+ *               allOf:
+ *                 - $ref: '#/components/schemas/TVShowDetails'
+ *                 - $ref: '#/components/schemas/IncludedSections'
  *       400:
- *         description: Invalid series_id format
+ *         description: Invalid series_id format or unknown include section
  *       500:
  *         description: Failed to fetch TV show with the given ID
  */
-router.get('/:series_id', validateSeriesId, async (req, res) => {
+router.get('/:series_id', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}`);
-    res.json(new TVShow(data));
+    const include = parseInclude('tv', req.query.include);
+    res.json(await getDetails('tv', series_id, include, {
+      params: req.locale,
+      options: req.mediaOptions,
+      query: req.query,
+      userId: userIdOf(req),
+    }));
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -263,6 +487,9 @@ router.get('/:series_id', validateSeriesId, async (req, res) => {
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of videos for the TV show
@@ -271,13 +498,13 @@ router.get('/:series_id', validateSeriesId, async (req, res) => {
  *       500:
  *         description: Failed to fetch videos for the TV show with the given ID
  */
-router.get('/:series_id/videos', validateSeriesId, async (req, res) => {
+router.get('/:series_id/videos', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/videos`);
+    const data = await fetchFromTmdb(`/tv/${series_id}/videos`, req.locale);
     res.json(data.results);
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch videos for TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -286,6 +513,7 @@ router.get('/:series_id/videos', validateSeriesId, async (req, res) => {
  * /{series_id}/watch/providers:
  *   get:
  *     summary: Get watch providers for a TV show by series ID
+ *     description: Providers grouped by monetization type, limited to `region` when given. Providers in the user's subscriptions are flagged.
  *     tags: [TvShows]
  *     parameters:
  *       - name: series_id
@@ -294,21 +522,30 @@ router.get('/:series_id/videos', validateSeriesId, async (req, res) => {
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/watchProviders'
+ *       - $ref: '#/components/parameters/monetization'
  *     responses:
  *       200:
- *         description: List of watch providers for the TV show
+ *         description: Where to watch the TV show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WatchAvailability'
  *       400:
- *         description: Invalid series_id format
+ *         description: Invalid series_id format or filters
  *       500:
  *         description: Failed to fetch watch providers for the TV show with the given ID
  */
-router.get('/:series_id/watch/providers', validateSeriesId, async (req, res) => {
+router.get('/:series_id/watch/providers', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/watch/providers`);
-    res.json(data.results);
+    const filters = parseAvailabilityFilters(req.query, req.locale);
+    const subscribed = await getSubscribedProviderIds(userIdOf(req));
+    res.json(await getAvailability('tv', series_id, filters, { images: req.mediaOptions.images, subscribed }));
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch watch providers for TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -325,6 +562,11 @@ router.get('/:series_id/watch/providers', validateSeriesId, async (req, res) =>
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/include_image_language'
  *     responses:
  *       200:
  *         description: List of images for the TV show
@@ -333,13 +575,13 @@ router.get('/:series_id/watch/providers', validateSeriesId, async (req, res) =>
  *       500:
  *         description: Failed to fetch images for the TV show with the given ID
  */
-router.get('/:series_id/images', validateSeriesId, async (req, res) => {
+router.get('/:series_id/images', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/images`);
-    res.json(data.backdrops);
+    const data = await fetchFromTmdb(`/tv/${series_id}/images`, req.locale);
+    res.json(req.mediaOptions.images.decorate(data).backdrops);
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch images for TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -348,6 +590,7 @@ router.get('/:series_id/images', validateSeriesId, async (req, res) => {
  * /{series_id}/credits:
  *   get:
  *     summary: Get credits for a TV show by series ID
+ *     description: Cast and crew of the latest season. See /{series_id}/aggregate_credits for everyone who worked on the show.
  *     tags: [TvShows]
  *     parameters:
  *       - name: series_id
@@ -356,36 +599,72 @@ router.get('/:series_id/images', validateSeriesId, async (req, res) => {
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/region'
+ *       - $ref: '#/components/parameters/department'
+ *       - $ref: '#/components/parameters/job'
  *     responses:
  *       200:
  *         description: List of credits for the TV show
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 cast:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Person'  # Assuming you have a Person schema defined
- *                 crew:
- *                   type: array
- *                   items:
- *                     $ref: '#/components/schemas/Person'  # Assuming you have a Person schema defined
+ *               $ref: '#/components/schemas/Credits'
  *       400:
  *         description: Invalid series_id format
  *       500:
  *         description: Failed to fetch credits for the TV show with the given ID
  */
-router.get('/:series_id/credits', validateSeriesId, async (req, res) => {
+router.get('/:series_id/credits', async (req, res, next) => {
+  const { series_id } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/credits`, req.locale);
+    res.json(shapeCredits(data, parseCreditFilters(req.query), req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/aggregate_credits:
+ *   get:
+ *     summary: Get aggregate credits for a TV show by series ID
+ *     description: Everyone who worked on any season, with the characters played (cast) or jobs held (crew) and an episode count per role
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/department'
+ *       - $ref: '#/components/parameters/job'
+ *     responses:
+ *       200:
+ *         description: Aggregate cast and crew of the TV show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Credits'
+ *       400:
+ *         description: Invalid series_id format
+ *       404:
+ *         description: TV show not found
+ */
+router.get('/:series_id/aggregate_credits', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/credits`);
-    const cast = data.cast.map((person) => new Person(person));
-    const crew = data.crew.map((person) => new Person(person));
-    res.json({ cast, crew });
+    const data = await fetchFromTmdb(`/tv/${series_id}/aggregate_credits`, req.locale);
+    res.json(shapeCredits(data, parseCreditFilters(req.query), req.mediaOptions));
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch credits for TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -403,28 +682,38 @@ router.get('/:series_id/credits', validateSeriesId, async (req, res) => {
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of reviews for the TV show
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/Review'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Review'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
  *         description: Invalid series_id format
  *       500:
  *         description: Failed to fetch reviews for the TV show with the given ID
  */
-router.get('/:series_id/reviews', validateSeriesId, async (req, res) => {
+router.get('/:series_id/reviews', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/reviews`);
-    const reviews = data.results.map(reviewData => new Review(reviewData));
+    const reviews = await fetchPaginated(`/tv/${series_id}/reviews`, req.locale, req.query, reviewData => new Review(reviewData));
     res.json(reviews);
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch reviews for TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -441,27 +730,39 @@ router.get('/:series_id/reviews', validateSeriesId, async (req, res) => {
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of recommended TV shows
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
  *         description: Invalid series_id format
  *       500:
  *         description: Failed to fetch recommendations for the TV show with the given ID
  */
-router.get('/:series_id/recommendations', validateSeriesId, async (req, res) => {
+router.get('/:series_id/recommendations', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/recommendations`);
-    res.json(data.results.map((item) => new TVShow(item)));
+    res.json(await fetchPaginated(`/tv/${series_id}/recommendations`, req.locale, req.query, (item) => new TVShow(item, req.mediaOptions)));
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch recommendations for TV show with id ${series_id}` });
+    next(error);
   }
 });
 
@@ -478,27 +779,770 @@ router.get('/:series_id/recommendations', validateSeriesId, async (req, res) =>
  *         description: The ID of the TV show
  *         schema:
  *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/resolveGenres'
+ *       - $ref: '#/components/parameters/region'
  *     responses:
  *       200:
  *         description: List of similar TV shows
  *         content:
  *           application/json:
  *             schema:
- *               type: array
- *               items:
- *                 $ref: '#/components/schemas/TVShow'
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TVShow'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
  *       400:
  *         description: Invalid series_id format
  *       500:
  *         description: Failed to fetch similar TV shows for the given ID
  */
-router.get('/:series_id/similar', validateSeriesId, async (req, res) => {
+router.get('/:series_id/similar', async (req, res, next) => {
   const { series_id } = req.params;
   try {
-    const data = await fetchFromTmdb(`/tv/${series_id}/similar`);
-    res.json(data.results.map((item) => new TVShow(item)));
+    res.json(await fetchPaginated(`/tv/${series_id}/similar`, req.locale, req.query, (item) => new TVShow(item, req.mediaOptions)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}:
+ *   get:
+ *     summary: Get a season of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *     responses:
+ *       200:
+ *         description: Season details with its episodes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Season'
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:series_id/season/:season_number', async (req, res, next) => {
+  const { series_id, season_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}`, req.locale);
+    res.json(new Season(data, req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/credits:
+ *   get:
+ *     summary: Get credits for a season of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/department'
+ *       - $ref: '#/components/parameters/job'
+ *     responses:
+ *       200:
+ *         description: Cast and crew of the season
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Credits'
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:series_id/season/:season_number/credits', async (req, res, next) => {
+  const { series_id, season_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/credits`, req.locale);
+    res.json(shapeCredits(data, parseCreditFilters(req.query), req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/images:
+ *   get:
+ *     summary: Get images for a season of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/include_image_language'
+ *     responses:
+ *       200:
+ *         description: Season posters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:series_id/season/:season_number/images', async (req, res, next) => {
+  const { series_id, season_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/images`, req.locale);
+    res.json(req.mediaOptions.images.decorate(data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/videos:
+ *   get:
+ *     summary: Get videos for a season of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *     responses:
+ *       200:
+ *         description: List of videos for the season
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:series_id/season/:season_number/videos', async (req, res, next) => {
+  const { series_id, season_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/videos`, req.locale);
+    res.json(data.results);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/external_ids:
+ *   get:
+ *     summary: Get external IDs for a season of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: External IDs for the season
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Season not found
+ */
+router.get('/:series_id/season/:season_number/external_ids', async (req, res, next) => {
+  const { series_id, season_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/external_ids`, req.locale);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/episode/{episode_number}:
+ *   get:
+ *     summary: Get an episode of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *     responses:
+ *       200:
+ *         description: Episode details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Episode'
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Episode not found
+ */
+router.get('/:series_id/season/:season_number/episode/:episode_number', async (req, res, next) => {
+  const { series_id, season_number, episode_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/episode/${episode_number}`, req.locale);
+    res.json(new Episode({ ...data, show_id: data.show_id || Number(series_id) }, req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/episode/{episode_number}/credits:
+ *   get:
+ *     summary: Get credits for an episode of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/department'
+ *       - $ref: '#/components/parameters/job'
+ *     responses:
+ *       200:
+ *         description: Cast, crew and guest stars of the episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Credits'
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Episode not found
+ */
+router.get('/:series_id/season/:season_number/episode/:episode_number/credits', async (req, res, next) => {
+  const { series_id, season_number, episode_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/episode/${episode_number}/credits`, req.locale);
+    res.json(shapeCredits({ guest_stars: [], ...data }, parseCreditFilters(req.query), req.mediaOptions));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/episode/{episode_number}/images:
+ *   get:
+ *     summary: Get images for an episode of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *       - $ref: '#/components/parameters/include_image_language'
+ *     responses:
+ *       200:
+ *         description: Episode stills
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Episode not found
+ */
+router.get('/:series_id/season/:season_number/episode/:episode_number/images', async (req, res, next) => {
+  const { series_id, season_number, episode_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/episode/${episode_number}/images`, req.locale);
+    res.json(req.mediaOptions.images.decorate(data));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/episode/{episode_number}/videos:
+ *   get:
+ *     summary: Get videos for an episode of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - $ref: '#/components/parameters/language'
+ *     responses:
+ *       200:
+ *         description: List of videos for the episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Episode not found
+ */
+router.get('/:series_id/season/:season_number/episode/:episode_number/videos', async (req, res, next) => {
+  const { series_id, season_number, episode_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/episode/${episode_number}/videos`, req.locale);
+    res.json(data.results);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/episode/{episode_number}/external_ids:
+ *   get:
+ *     summary: Get external IDs for an episode of a TV show
+ *     tags: [TvShows]
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: External IDs for the episode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *       400:
+ *         description: Invalid series_id, season_number or episode_number format
+ *       404:
+ *         description: Episode not found
+ */
+router.get('/:series_id/season/:season_number/episode/:episode_number/external_ids', async (req, res, next) => {
+  const { series_id, season_number, episode_number } = req.params;
+  try {
+    const data = await fetchFromTmdb(`/tv/${series_id}/season/${season_number}/episode/${episode_number}/external_ids`, req.locale);
+    res.json(data);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Resolve watchedAt from the request body, defaulting to now
+const parseWatchedAt = (body) => {
+  if (!body || body.watchedAt === undefined) return new Date().toISOString();
+  const date = new Date(body.watchedAt);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'watchedAt must be an ISO 8601 date');
+  }
+  return date.toISOString();
+};
+
+/**
+ * @swagger
+ * /{series_id}/progress:
+ *   get:
+ *     summary: Get watch progress for a TV show
+ *     tags: [TvShows]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - $ref: '#/components/parameters/includeSpecials'
+ *       - $ref: '#/components/parameters/language'
+ *     responses:
+ *       200:
+ *         description: Watched and remaining episodes, next episode to watch and per-season progress
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeriesProgress'
+ *       400:
+ *         description: Invalid series_id format
+ *       404:
+ *         description: TV show not found
+ *       401:
+ *         description: Authentication required
+ */
+router.get('/:series_id/progress', requireAuth, async (req, res, next) => {
+  const { series_id } = req.params;
+  try {
+    const progress = await progressService.getSeriesProgress(userIdOf(req), Number(series_id), {
+      includeSpecials: req.query.includeSpecials === 'true',
+      params: req.locale,
+      options: req.mediaOptions,
+    });
+    res.json(progress);
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/watched:
+ *   post:
+ *     summary: Mark every aired episode of a season as watched
+ *     tags: [TvShows]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               watchedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Updated progress for the TV show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeriesProgress'
+ *       400:
+ *         description: Invalid parameters
+ *       404:
+ *         description: Season not found
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/:series_id/season/:season_number/watched', requireAuth, async (req, res, next) => {
+  const seriesId = Number(req.params.series_id);
+  const seasonNumber = Number(req.params.season_number);
+  try {
+    const userId = userIdOf(req);
+    await progressService.markWatched(userId, seriesId, seasonNumber, undefined, parseWatchedAt(req.body), req.locale);
+    res.json(await progressService.getSeriesProgress(userId, seriesId, { params: req.locale, options: req.mediaOptions }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{series_id}/season/{season_number}/episode/{episode_number}/watched:
+ *   post:
+ *     summary: Mark an episode as watched
+ *     tags: [TvShows]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               watchedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *     responses:
+ *       200:
+ *         description: Updated progress for the TV show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeriesProgress'
+ *       400:
+ *         description: Invalid parameters, or the episode has not aired yet
+ *       404:
+ *         description: Episode not found
+ *       401:
+ *         description: Authentication required
+ *   delete:
+ *     summary: Unmark a watched episode
+ *     tags: [TvShows]
+ *     security:
+ *       - bearerAuth: []
+ *       - apiKeyAuth: []
+ *     parameters:
+ *       - name: series_id
+ *         in: path
+ *         required: true
+ *         description: The ID of the TV show
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *       - name: season_number
+ *         in: path
+ *         required: true
+ *         description: The season number (0 for specials)
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *       - name: episode_number
+ *         in: path
+ *         required: true
+ *         description: The episode number within the season
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *     responses:
+ *       200:
+ *         description: Updated progress for the TV show
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SeriesProgress'
+ *       404:
+ *         description: Episode was not marked as watched
+ *       401:
+ *         description: Authentication required
+ */
+router.post('/:series_id/season/:season_number/episode/:episode_number/watched', requireAuth, async (req, res, next) => {
+  const seriesId = Number(req.params.series_id);
+  const seasonNumber = Number(req.params.season_number);
+  const episodeNumber = Number(req.params.episode_number);
+  try {
+    const userId = userIdOf(req);
+    await progressService.markWatched(userId, seriesId, seasonNumber, episodeNumber, parseWatchedAt(req.body), req.locale);
+    res.json(await progressService.getSeriesProgress(userId, seriesId, { params: req.locale, options: req.mediaOptions }));
+  } catch (error) {
+    next(error);
+  }
+});
+
+router.delete('/:series_id/season/:season_number/episode/:episode_number/watched', requireAuth, async (req, res, next) => {
+  const seriesId = Number(req.params.series_id);
+  const seasonNumber = Number(req.params.season_number);
+  const episodeNumber = Number(req.params.episode_number);
+  try {
+    const userId = userIdOf(req);
+    const removed = await progressService.unmarkWatched(userId, seriesId, seasonNumber, episodeNumber);
+    if (!removed) {
+      throw new ApiError(404, 'NOT_FOUND', `Episode S${seasonNumber}E${episodeNumber} is not marked as watched`);
+    }
+    res.json(await progressService.getSeriesProgress(userId, seriesId, { params: req.locale, options: req.mediaOptions }));
   } catch (error) {
-    res.status(500).json({ error: `Failed to fetch similar TV shows for id ${series_id}` });
+    next(error);
   }
 });
 
@@ -0,0 +1,533 @@
+const express = require('express');
+const router = express.Router();
+const watchlistRepository = require('../repositories/watchlistRepository');
+const subscriptionRepository = require('../repositories/subscriptionRepository');
+const { hydrateRecords } = require('../helpers/mediaHydrator');
+const { paginateList } = require('../helpers/pagination');
+const { ApiError } = require('../helpers/errors');
+const { userIdOf } = require('../helpers/userContext');
+const mediaContext = require('../middleware/mediaContext');
+const { withoutUser, parseMediaType, parseTmdbId } = require('../helpers/userRecords');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Watchlist
+ *   description: User watchlist and watch history
+ */
+
+const WATCHLIST_SORT_FIELDS = ['addedAt', 'watchedAt', 'rating', 'title', 'releaseDate'];
+const HISTORY_SORT_FIELDS = ['watchedAt', 'rating', 'title', 'releaseDate'];
+// Sort fields read from the TMDb details rather than the stored record
+const MEDIA_SORT_FIELDS = ['title', 'releaseDate'];
+
+const parseRating = (value) => {
+  if (value === undefined || value === null) return null;
+  const rating = Number(value);
+  if (Number.isNaN(rating) || rating < 0.5 || rating > 10) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'rating must be a number between 0.5 and 10');
+  }
+  return rating;
+};
+
+const MAX_SUBSCRIPTIONS = 100;
+
+const parseProviderIds = (value) => {
+  if (!Array.isArray(value) || !value.every((id) => Number.isInteger(id) && id > 0)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'providerIds must be an array of TMDb watch provider IDs');
+  }
+  if (value.length > MAX_SUBSCRIPTIONS) {
+    throw new ApiError(400, 'INVALID_REQUEST', `At most ${MAX_SUBSCRIPTIONS} subscriptions are allowed`);
+  }
+  return value;
+};
+
+const parseWatchedAt = (value) => {
+  if (value === undefined) return new Date().toISOString();
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'watchedAt must be an ISO 8601 date');
+  }
+  return date.toISOString();
+};
+
+// Upper bound of a date range; a bare date (2024-05-01) includes the whole day
+const parseUntil = (value) => (
+  /^\d{4}-\d{2}-\d{2}$/.test(value) ? parseWatchedAt(`${value}T23:59:59.999Z`) : parseWatchedAt(value)
+);
+
+// Sort key for a hydrated record
+const sortValue = (record, field) => {
+  const media = record.media || {};
+  switch (field) {
+    case 'title':
+      return (media.title || media.name || '').toLowerCase();
+    case 'releaseDate':
+      return media.releaseDate || media.firstAirDate || '';
+    default:
+      return record[field];
+  }
+};
+
+const sortRecords = (records, sort, order) => {
+  const direction = order === 'asc' ? 1 : -1;
+  return [...records].sort((a, b) => {
+    const left = sortValue(a, sort);
+    const right = sortValue(b, sort);
+    // Records without a value always go last
+    const leftMissing = left == null || left === '';
+    const rightMissing = right == null || right === '';
+    if (leftMissing || rightMissing) return Number(leftMissing) - Number(rightMissing);
+    if (left < right) return -direction;
+    if (left > right) return direction;
+    return 0;
+  });
+};
+
+// Sort and paginate records, then hydrate them. Sorting by a stored field only hydrates the
+// requested page; sorting by title or release date needs the details of every record first.
+const listPage = async (records, { sort, order }, req) => {
+  if (MEDIA_SORT_FIELDS.includes(sort)) {
+    const hydrated = await hydrateRecords(records, req.locale, req.mediaOptions);
+    return paginateList(sortRecords(hydrated, sort, order), req.query);
+  }
+  const envelope = paginateList(sortRecords(records, sort, order), req.query);
+  return { ...envelope, results: await hydrateRecords(envelope.results, req.locale, req.mediaOptions) };
+};
+
+// Shared filters and sorting for the watchlist and history listings
+const parseListQuery = (query, sortFields, defaultSort) => {
+  const sort = query.sort || defaultSort;
+  if (!sortFields.includes(sort)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `sort must be one of: ${sortFields.join(', ')}`);
+  }
+  if (query.order && !['asc', 'desc'].includes(query.order)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'order must be asc or desc');
+  }
+  if (query.status && !['planned', 'watched'].includes(query.status)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'status must be planned or watched');
+  }
+  return {
+    type: query.type ? parseMediaType(query.type) : undefined,
+    status: query.status,
+    minRating: query.minRating !== undefined ? parseRating(query.minRating) : null,
+    sort,
+    order: query.order || (sort === 'title' ? 'asc' : 'desc'),
+  };
+};
+
+/**
+ * @swagger
+ * /health:
+ *   get:
+ *     summary: Health check
+ *     tags: [Watchlist]
+ *     responses:
+ *       200:
+ *         description: Watchlist API is running
+ */
+router.get('/health', (req, res) => {
+  res.status(200).json({ message: 'Watchlist API is running' });
+});
+
+/**
+ * @swagger
+ * /:
+ *   get:
+ *     summary: List the watchlist
+ *     description: Returns watchlist items hydrated with their Movie or TVShow details
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [movie, tv]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [planned, watched]
+ *       - in: query
+ *         name: minRating
+ *         description: Only items rated at least this value
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [addedAt, watchedAt, rating, title, releaseDate]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *     responses:
+ *       200:
+ *         description: Watchlist items, 20 per page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WatchlistItem'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid filter or sort parameters
+ */
+router.get('/', mediaContext, async (req, res, next) => {
+  try {
+    const defaultSort = req.query.status === 'watched' ? 'watchedAt' : 'addedAt';
+    const { type, status, minRating, sort, order } = parseListQuery(req.query, WATCHLIST_SORT_FIELDS, defaultSort);
+    let items = await watchlistRepository.listItems(userIdOf(req), { type, status });
+    if (minRating !== null) {
+      items = items.filter((item) => item.rating !== null && item.rating >= minRating);
+    }
+    res.json(await listPage(items.map(withoutUser), { sort, order }, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /:
+ *   post:
+ *     summary: Add a movie or TV show to the watchlist
+ *     tags: [Watchlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, id]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [movie, tv]
+ *               id:
+ *                 type: integer
+ *                 description: TMDb ID of the title
+ *     responses:
+ *       201:
+ *         description: Item added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WatchlistItem'
+ *       200:
+ *         description: Item was already on the watchlist
+ *       400:
+ *         description: Invalid type or id
+ *       404:
+ *         description: Title does not exist on TMDb
+ */
+router.post('/', mediaContext, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const type = parseMediaType(body.type);
+    const tmdbId = parseTmdbId(body.id);
+
+    // Hydrate first so unknown TMDb IDs are rejected with a 404 before anything is stored
+    const [{ media }] = await hydrateRecords([{ type, tmdbId }], req.locale, req.mediaOptions);
+    if (!media) {
+      throw new ApiError(404, 'NOT_FOUND', `No ${type} with id ${tmdbId} on TMDb`);
+    }
+
+    const { item, created } = await watchlistRepository.addItem(userIdOf(req), { type, tmdbId });
+    res.status(created ? 201 : 200).json({ ...withoutUser(item), media });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /history:
+ *   get:
+ *     summary: List the watch history
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [movie, tv]
+ *       - in: query
+ *         name: from
+ *         description: Only entries watched at or after this date
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         description: Only entries watched at or before this date; a date without a time includes the whole day (UTC)
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minRating
+ *         description: Only entries rated at least this value
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [watchedAt, rating, title, releaseDate]
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/pages'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/language'
+ *       - $ref: '#/components/parameters/imageSize'
+ *     responses:
+ *       200:
+ *         description: Watch history entries, newest first by default, 20 per page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/HistoryEntry'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get('/history', mediaContext, async (req, res, next) => {
+  try {
+    const { type, minRating, sort, order } = parseListQuery(req.query, HISTORY_SORT_FIELDS, 'watchedAt');
+    const from = req.query.from ? parseWatchedAt(req.query.from) : null;
+    const to = req.query.to ? parseUntil(req.query.to) : null;
+
+    const entries = (await watchlistRepository.listHistory(userIdOf(req), { type }))
+      .filter((entry) => (!from || entry.watchedAt >= from) && (!to || entry.watchedAt <= to))
+      .filter((entry) => minRating === null || (entry.rating !== null && entry.rating >= minRating));
+
+    res.json(await listPage(entries.map(withoutUser), { sort, order }, req));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /history:
+ *   post:
+ *     summary: Mark a movie or TV show as watched
+ *     description: Records a watch in the history and marks the watchlist item (if any) as watched
+ *     tags: [Watchlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [type, id]
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [movie, tv]
+ *               id:
+ *                 type: integer
+ *               watchedAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               rating:
+ *                 type: number
+ *                 minimum: 0.5
+ *                 maximum: 10
+ *     responses:
+ *       201:
+ *         description: Watch recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/HistoryEntry'
+ *       400:
+ *         description: Invalid request body
+ *       404:
+ *         description: Title does not exist on TMDb
+ */
+router.post('/history', mediaContext, async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const userId = userIdOf(req);
+    const type = parseMediaType(body.type);
+    const tmdbId = parseTmdbId(body.id);
+    const watchedAt = parseWatchedAt(body.watchedAt);
+    const rating = parseRating(body.rating);
+
+    // Like POST /, reject IDs TMDb doesn't know before anything is stored
+    const [{ media }] = await hydrateRecords([{ type, tmdbId }], req.locale, req.mediaOptions);
+    if (!media) {
+      throw new ApiError(404, 'NOT_FOUND', `No ${type} with id ${tmdbId} on TMDb`);
+    }
+
+    const entry = await watchlistRepository.addHistoryEntry(userId, { type, tmdbId, watchedAt, rating });
+
+    // Keep the watchlist item in sync with its most recent watch
+    const item = await watchlistRepository.getItem(userId, type, tmdbId);
+    if (item && (!item.watchedAt || item.watchedAt <= watchedAt)) {
+      await watchlistRepository.updateItem(userId, type, tmdbId, {
+        status: 'watched',
+        watchedAt,
+        rating: rating !== null ? rating : item.rating,
+      });
+    }
+
+    res.status(201).json({ ...withoutUser(entry), media });
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /history/{entry_id}:
+ *   delete:
+ *     summary: Delete a watch history entry
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: path
+ *         name: entry_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       204:
+ *         description: Entry deleted
+ *       404:
+ *         description: Entry not found
+ */
+router.delete('/history/:entry_id', async (req, res, next) => {
+  try {
+    const removed = await watchlistRepository.removeHistoryEntry(userIdOf(req), req.params.entry_id);
+    if (!removed) {
+      throw new ApiError(404, 'NOT_FOUND', `History entry ${req.params.entry_id} not found`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /subscriptions:
+ *   get:
+ *     summary: Get the streaming services the user subscribes to
+ *     description: Watch provider IDs used to flag titles streamable on the user's services
+ *     tags: [Watchlist]
+ *     responses:
+ *       200:
+ *         description: Subscribed watch providers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Subscriptions'
+ */
+router.get('/subscriptions', async (req, res, next) => {
+  try {
+    res.json(await subscriptionRepository.getSubscriptions(userIdOf(req)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /subscriptions:
+ *   put:
+ *     summary: Replace the streaming services the user subscribes to
+ *     description: Provider IDs come from /api/watch/providers/{type}
+ *     tags: [Watchlist]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [providerIds]
+ *             properties:
+ *               providerIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 example: [8, 337]
+ *     responses:
+ *       200:
+ *         description: Subscriptions saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Subscriptions'
+ *       400:
+ *         description: Invalid provider IDs
+ */
+router.put('/subscriptions', async (req, res, next) => {
+  try {
+    const providerIds = parseProviderIds((req.body || {}).providerIds);
+    res.json(await subscriptionRepository.setSubscriptions(userIdOf(req), providerIds));
+  } catch (error) {
+    next(error);
+  }
+});
+
+/**
+ * @swagger
+ * /{type}/{id}:
+ *   delete:
+ *     summary: Remove a movie or TV show from the watchlist
+ *     tags: [Watchlist]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [movie, tv]
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       204:
+ *         description: Item removed
+ *       404:
+ *         description: Item is not on the watchlist
+ */
+router.delete('/:type/:id', async (req, res, next) => {
+  try {
+    const type = parseMediaType(req.params.type);
+    const tmdbId = parseTmdbId(req.params.id);
+    const removed = await watchlistRepository.removeItem(userIdOf(req), type, tmdbId);
+    if (!removed) {
+      throw new ApiError(404, 'NOT_FOUND', `${type} ${tmdbId} is not on the watchlist`);
+    }
+    res.status(204).end();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+// helpers/authService.js
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
+const userRepository = require('../repositories/userRepository');
+const { ApiError } = require('./errors');
+
+const scrypt = promisify(crypto.scrypt);
+
+const ROLES = ['user', 'admin'];
+const API_KEY_PREFIX = 'sk_';
+
+let jwtSecret = config.auth.jwtSecret;
+if (!jwtSecret) {
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('[Auth] JWT_SECRET is not set; using a random secret, tokens will not survive a restart');
+}
+
+// Passwords are stored as "salt:hash" using scrypt
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, 64);
+  return `${salt}:${hash.toString('hex')}`;
+};
+
+const verifyPassword = async (password, stored) => {
+  const [salt, hash] = stored.split(':');
+  const candidate = await scrypt(password, salt, 64);
+  return crypto.timingSafeEqual(candidate, Buffer.from(hash, 'hex'));
+};
+
+// API keys are only shown once; we keep their SHA-256 hash
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Public view of a user, without secrets
+const toPublicUser = ({ id, username, role, createdAt, apiKeys = [] }) => ({
+  id,
+  username,
+  role,
+  createdAt,
+  apiKeys: apiKeys.map(({ id: keyId, name, prefix, createdAt: keyCreatedAt }) => ({ id: keyId, name, prefix, createdAt: keyCreatedAt })),
+});
+
+const issueToken = (user) => jwt.sign({ role: user.role }, jwtSecret, {
+  subject: user.id,
+  expiresIn: config.auth.jwtExpiresIn,
+});
+
+const validateCredentials = (username, password) => {
+  const invalid = [];
+  if (typeof username !== 'string' || !/^[\w.-]{3,32}$/.test(username)) {
+    invalid.push({ field: 'username', message: 'username must be 3-32 letters, digits, ".", "-" or "_"' });
+  }
+  if (typeof password !== 'string' || password.length < 8) {
+    invalid.push({ field: 'password', message: 'password must be at least 8 characters' });
+  }
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid credentials format', invalid);
+  }
+};
+
+const register = async (username, password, role = 'user') => {
+  validateCredentials(username, password);
+  const user = await userRepository.createUser({ username, passwordHash: await hashPassword(password), role });
+  if (!user) {
+    throw new ApiError(409, 'CONFLICT', `Username ${username} is already taken`);
+  }
+  return user;
+};
+
+const login = async (username, password) => {
+  const user = typeof username === 'string' ? await userRepository.findByUsername(username) : null;
+  if (!user || typeof password !== 'string' || !(await verifyPassword(password, user.passwordHash))) {
+    throw new ApiError(401, 'INVALID_CREDENTIALS', 'Invalid username or password');
+  }
+  return { user, token: issueToken(user) };
+};
+
+// Resolve the user behind a JWT, or null when it is invalid or expired
+const authenticateToken = async (token) => {
+  try {
+    const { sub } = jwt.verify(token, jwtSecret);
+    return await userRepository.findById(sub);
+  } catch (error) {
+    return null;
+  }
+};
+
+const authenticateApiKey = (key) => userRepository.findByApiKeyHash(hashApiKey(key));
+
+// Create an API key for a service client; the plain key is only returned here
+const createApiKey = async (userId, name) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const apiKey = {
+    id: crypto.randomUUID(),
+    name: name || 'default',
+    prefix: key.slice(0, API_KEY_PREFIX.length + 6),
+    hash: hashApiKey(key),
+    createdAt: new Date().toISOString(),
+  };
+  await userRepository.addApiKey(userId, apiKey);
+  return { ...toPublicUser({ apiKeys: [apiKey] }).apiKeys[0], key };
+};
+
+const setRole = async (userId, role) => {
+  if (!ROLES.includes(role)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `role must be one of: ${ROLES.join(', ')}`);
+  }
+  const user = await userRepository.updateUser(userId, { role });
+  if (!user) {
+    throw new ApiError(404, 'NOT_FOUND', `User ${userId} not found`);
+  }
+  return user;
+};
+
+// Create the admin account from ADMIN_USERNAME/ADMIN_PASSWORD if it doesn't exist yet
+const ensureAdmin = async () => {
+  const { adminUsername, adminPassword } = config.auth;
+  if (!adminUsername || !adminPassword) return;
+  const existing = await userRepository.findByUsername(adminUsername);
+  if (!existing) {
+    await register(adminUsername, adminPassword, 'admin');
+    console.log(`[Auth] Created admin account ${adminUsername}`);
+  } else if (existing.role !== 'admin') {
+    await userRepository.updateUser(existing.id, { role: 'admin' });
+  }
+};
+
+module.exports = {
+  ROLES,
+  API_KEY_PREFIX,
+  toPublicUser,
+  register,
+  login,
+  authenticateToken,
+  authenticateApiKey,
+  createApiKey,
+  setRole,
+  ensureAdmin,
+};
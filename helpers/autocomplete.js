@@ -0,0 +1,112 @@
+// helpers/autocomplete.js
+const config = require('../config');
+const fetchFromTmdb = require('./tmdbHelper');
+const { TmdbError } = require('./errors');
+const titleIndex = require('./titleIndex');
+const { normalize } = require('./searchRanking');
+
+const DEFAULT_LIMIT = 8;
+
+const IMAGE_TYPES = {
+  movie: 'poster',
+  tv: 'poster',
+  person: 'profile',
+};
+
+// Latest pending request per client: { resolve, timer }
+const pendingByClient = new Map();
+// TMDb searches in flight, shared by identical requests
+const inFlight = new Map();
+
+// Resolves true once the client stayed quiet for `ms`, or false as soon as a newer request
+// of the same client supersedes this one
+const debounce = (clientKey, ms) => new Promise((resolve) => {
+  const previous = pendingByClient.get(clientKey);
+  if (previous) {
+    clearTimeout(previous.timer);
+    previous.resolve(false);
+  }
+  const pending = { resolve };
+  pending.timer = setTimeout(() => {
+    if (pendingByClient.get(clientKey) === pending) pendingByClient.delete(clientKey);
+    resolve(true);
+  }, ms);
+  pendingByClient.set(clientKey, pending);
+});
+
+// One /search/multi call per distinct query and locale at a time. Results feed the title
+// index even when the request that started the call has already answered.
+const searchTmdb = (text, params) => {
+  const key = JSON.stringify([normalize(text), params.language || null, params.region || null]);
+  if (!inFlight.has(key)) {
+    const request = fetchFromTmdb('/search/multi', { ...params, query: text, page: 1 })
+      .then((data) => {
+        titleIndex.remember('multi', data.results || []);
+        return data.results || [];
+      })
+      .finally(() => inFlight.delete(key));
+    inFlight.set(key, request);
+  }
+  return inFlight.get(key);
+};
+
+// Resolves undefined when the promise takes longer than `ms`, or when it fails with a TMDb
+// error; anything else is rethrown
+const withinBudget = (promise, ms) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => resolve(undefined), Math.max(0, ms));
+  promise.then((value) => {
+    clearTimeout(timer);
+    resolve(value);
+  }, (error) => {
+    clearTimeout(timer);
+    if (error instanceof TmdbError) resolve(undefined);
+    else reject(error);
+  });
+});
+
+// The smallest width TMDb offers for thumbnails, unless the request asked for an imageSize
+const thumbnailOf = (entry, images) => {
+  if (!images || !entry.imagePath) return null;
+  const type = IMAGE_TYPES[entry.type];
+  const size = images.size ? images.sizeFor(type) : images.sizesFor(type).find((name) => name.startsWith('w'));
+  return images.url(type, entry.imagePath, size);
+};
+
+// Suggestions for a partial query within config.autocomplete.budgetMs:
+// - enough prefix matches in the local title index are returned right away;
+// - otherwise the request waits for the client to stop typing (debounceMs) and queries TMDb,
+//   sharing the call with identical requests, and falls back to the index when it is
+//   superseded by a newer request, TMDb is too slow or TMDb fails.
+// `source` tells whether TMDb results are included ('tmdb') or not ('index').
+const autocomplete = async (text, { clientKey, limit = DEFAULT_LIMIT, params = {}, images } = {}) => {
+  const startedAt = Date.now();
+  const { debounceMs, budgetMs } = config.autocomplete;
+  const toSuggestion = (entry) => ({
+    id: entry.id,
+    type: entry.type,
+    title: entry.title,
+    year: entry.year,
+    thumbnail: thumbnailOf(entry, images),
+  });
+  const respond = (source, entries) => ({ query: text, source, results: entries.slice(0, limit).map(toSuggestion) });
+
+  const local = titleIndex.match(text, limit);
+  if (local.length >= limit) return respond('index', local);
+
+  const latest = await debounce(clientKey, Math.min(debounceMs, budgetMs));
+  if (!latest) return respond('index', titleIndex.match(text, limit));
+
+  const results = await withinBudget(searchTmdb(text, params), budgetMs - (Date.now() - startedAt));
+  if (!results) return respond('index', titleIndex.match(text, limit));
+
+  // Prefix matches first (they now include the TMDb results), then TMDb's other
+  // suggestions, e.g. matches on alternative titles
+  const prefixMatches = titleIndex.match(text, limit);
+  const seen = new Set(prefixMatches.map((entry) => `${entry.type}:${entry.id}`));
+  const others = results
+    .map((item) => titleIndex.entryOf(item.media_type, item))
+    .filter((entry) => entry && !seen.has(`${entry.type}:${entry.id}`));
+  return respond('tmdb', [...prefixMatches, ...others]);
+};
+
+module.exports = { autocomplete };
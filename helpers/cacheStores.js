@@ -0,0 +1,140 @@
+// helpers/cacheStores.js
+const fs = require('fs');
+const path = require('path');
+
+// Every store implements the same async interface so they can be swapped freely:
+//   get(key) -> value or undefined
+//   set(key, value, ttlMs)
+//   delete(key)
+//   clear()
+
+// In-memory LRU store (default). A Map keeps insertion order, so re-inserting a key on
+// read moves it to the "most recently used" end and the first key is always the oldest.
+class MemoryStore {
+  constructor({ maxEntries = 500 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+// JSON file store, useful to keep the cache warm across restarts on a single instance.
+// The whole file is loaded once and rewritten after each change.
+class FileStore {
+  constructor({ filePath = path.join(__dirname, '..', '.cache', 'tmdb-cache.json') } = {}) {
+    this.filePath = filePath;
+    this.entries = null;
+  }
+
+  load() {
+    if (this.entries) return this.entries;
+    try {
+      this.entries = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+    } catch (error) {
+      this.entries = {};
+    }
+    return this.entries;
+  }
+
+  async persist() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(this.filePath, JSON.stringify(this.entries));
+  }
+
+  async get(key) {
+    const entries = this.load();
+    const entry = entries[key];
+    if (!entry) return undefined;
+
+    if (entry.expiresAt <= Date.now()) {
+      delete entries[key];
+      await this.persist();
+      return undefined;
+    }
+    return entry.value;
+  }
+
+  async set(key, value, ttlMs) {
+    const entries = this.load();
+    entries[key] = { value, expiresAt: Date.now() + ttlMs };
+    await this.persist();
+  }
+
+  async delete(key) {
+    const entries = this.load();
+    delete entries[key];
+    await this.persist();
+  }
+
+  async clear() {
+    this.entries = {};
+    await this.persist();
+  }
+}
+
+// Adapter for any Redis-compatible client exposing promise-based get/set/del
+// (ioredis, node-redis v4 with legacy mode, KeyDB, etc.). The client is injected so the
+// project doesn't depend on a specific Redis library.
+class RedisStore {
+  constructor(client, { prefix = 'streamkeeper:tmdb:' } = {}) {
+    this.client = client;
+    this.prefix = prefix;
+  }
+
+  async get(key) {
+    const raw = await this.client.get(this.prefix + key);
+    return raw == null ? undefined : JSON.parse(raw);
+  }
+
+  async set(key, value, ttlMs) {
+    await this.client.set(this.prefix + key, JSON.stringify(value), 'PX', ttlMs);
+  }
+
+  async delete(key) {
+    await this.client.del(this.prefix + key);
+  }
+
+  async clear() {
+    const keys = await this.client.keys(`${this.prefix}*`);
+    if (keys.length > 0) {
+      await this.client.del(...keys);
+    }
+  }
+}
+
+module.exports = { MemoryStore, FileStore, RedisStore };
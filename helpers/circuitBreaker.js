@@ -0,0 +1,56 @@
+// helpers/circuitBreaker.js
+
+// Minimal circuit breaker: after `failureThreshold` consecutive failures the circuit opens
+// and calls fail fast for `resetTimeoutMs`. After that a single trial call is let through
+// (half-open); success closes the circuit again, failure re-opens it.
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, resetTimeoutMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.resetTimeoutMs = resetTimeoutMs;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+    this.trialInFlight = false;
+  }
+
+  // Returns true if a call may proceed
+  canRequest() {
+    if (this.state === 'closed') return true;
+
+    if (this.state === 'open' && Date.now() - this.openedAt >= this.resetTimeoutMs) {
+      this.state = 'half-open';
+    }
+    if (this.state === 'half-open' && !this.trialInFlight) {
+      this.trialInFlight = true;
+      return true;
+    }
+    return false;
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.failures = 0;
+    this.trialInFlight = false;
+  }
+
+  recordFailure() {
+    this.failures += 1;
+    this.trialInFlight = false;
+    if (this.state === 'half-open' || this.failures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = Date.now();
+    }
+  }
+
+  // Time until the next trial call is allowed, in milliseconds
+  retryAfterMs() {
+    if (this.state !== 'open') return 0;
+    return Math.max(0, this.resetTimeoutMs - (Date.now() - this.openedAt));
+  }
+
+  getState() {
+    return { state: this.state, failures: this.failures, retryAfterMs: this.retryAfterMs() };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,18 @@
+// helpers/concurrency.js
+
+// Map items through worker with at most `limit` calls pending, keeping the input order
+const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const index = next;
+      next += 1;
+      results[index] = await worker(items[index]);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+};
+
+module.exports = { mapWithConcurrency };
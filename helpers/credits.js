@@ -0,0 +1,38 @@
+// helpers/credits.js
+const CastMember = require('../models/CastMember');
+const CrewMember = require('../models/CrewMember');
+
+const parseList = (value) => (value === undefined || value === ''
+  ? null
+  : String(value).split(',').map((item) => item.trim().toLowerCase()).filter(Boolean));
+
+// Crew filters from the query string, matched case-insensitively:
+// - department: e.g. Directing,Writing
+// - job: e.g. Director,Screenplay (aggregate credits match when any of the jobs does)
+const parseCreditFilters = (query = {}) => ({
+  departments: parseList(query.department),
+  jobs: parseList(query.job),
+});
+
+const jobsOf = (member) => (member.jobs ? member.jobs.map(({ job }) => job) : [member.job]);
+
+const matchesFilters = (member, { departments, jobs }) => {
+  if (departments && !departments.includes(String(member.department).toLowerCase())) return false;
+  if (jobs && !jobsOf(member).some((job) => jobs.includes(String(job).toLowerCase()))) return false;
+  return true;
+};
+
+// Shape a TMDb credits or aggregate_credits response into { cast, crew }, plus guestStars
+// for episode credits. Crew filters only apply to the crew.
+const shapeCredits = (data, filters = {}, options = {}) => {
+  const credits = {
+    cast: (data.cast || []).map((member) => new CastMember(member, options)),
+    crew: (data.crew || []).map((member) => new CrewMember(member, options)).filter((member) => matchesFilters(member, filters)),
+  };
+  if (data.guest_stars) {
+    credits.guestStars = data.guest_stars.map((member) => new CastMember(member, options));
+  }
+  return credits;
+};
+
+module.exports = { parseCreditFilters, shapeCredits };
@@ -0,0 +1,100 @@
+// helpers/detailIncludes.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { ApiError } = require('./errors');
+const { envelopeOf } = require('./pagination');
+const { parseCreditFilters, shapeCredits } = require('./credits');
+const { parseAvailabilityFilters, getSubscribedProviderIds, normalizeAvailability } = require('./watchAvailability');
+const Movie = require('../models/Movie');
+const TVShow = require('../models/TVShow');
+const Review = require('../models/Review');
+const MovieDetails = require('../models/MovieDetails');
+const TVShowDetails = require('../models/TVShowDetails');
+const PersonDetails = require('../models/PersonDetails');
+
+const MODELS = {
+  movie: MovieDetails,
+  tv: TVShowDetails,
+  person: PersonDetails,
+};
+
+// Each section is shaped like the standalone route of the same name. context:
+// { type, id, options: req.mediaOptions, filters, subscribed, creditFilters }
+const credits = (data, { options, creditFilters }) => shapeCredits(data, creditFilters, options);
+const videos = (data) => data.results;
+const images = (data, { options }) => options.images.decorate(data);
+const reviews = (data) => envelopeOf(data, (review) => new Review(review));
+const externalIds = (data) => data;
+const watchProviders = (data, { type, id, options, filters, subscribed }) => ({
+  type,
+  id: Number(id),
+  ...normalizeAvailability(data.results, filters, { images: options.images, subscribed }),
+});
+const listOf = (Model) => (data, { options }) => envelopeOf(data, (item) => new Model(item, options));
+
+// Sections that can be requested with ?include= per detail type, by include name.
+// `append` is the append_to_response name, which is also the key TMDb answers under.
+const SECTIONS = {
+  movie: {
+    credits: { append: 'credits', shape: credits },
+    videos: { append: 'videos', shape: videos },
+    images: { append: 'images', shape: images },
+    reviews: { append: 'reviews', shape: reviews },
+    recommendations: { append: 'recommendations', shape: listOf(Movie) },
+    similar: { append: 'similar', shape: listOf(Movie) },
+    external_ids: { append: 'external_ids', shape: externalIds },
+    watch_providers: { append: 'watch/providers', shape: watchProviders },
+  },
+  tv: {
+    credits: { append: 'credits', shape: credits },
+    aggregate_credits: { append: 'aggregate_credits', shape: credits },
+    videos: { append: 'videos', shape: videos },
+    // /tv/{series_id}/images only returns the backdrops
+    images: { append: 'images', shape: (data, context) => images(data, context).backdrops },
+    reviews: { append: 'reviews', shape: reviews },
+    recommendations: { append: 'recommendations', shape: listOf(TVShow) },
+    similar: { append: 'similar', shape: listOf(TVShow) },
+    external_ids: { append: 'external_ids', shape: externalIds },
+    watch_providers: { append: 'watch/providers', shape: watchProviders },
+  },
+  person: {
+    movie_credits: { append: 'movie_credits', shape: (data, { options }) => data.cast.map((item) => new Movie(item, options)) },
+    tv_credits: { append: 'tv_credits', shape: (data, { options }) => data.cast.map((item) => new TVShow(item, options)) },
+    images: { append: 'images', shape: images },
+    external_ids: { append: 'external_ids', shape: externalIds },
+  },
+};
+
+// Read ?include=credits,videos,... for a detail type. Names are deduped and sorted so the
+// same set of sections always shares one cache entry.
+const parseInclude = (type, value) => {
+  if (value === undefined || value === '') return [];
+  const names = [...new Set(String(value).split(',').map((name) => name.trim()).filter(Boolean))].sort();
+  const unknown = names.filter((name) => !SECTIONS[type][name]);
+  if (unknown.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', `include must be a comma-separated list of: ${Object.keys(SECTIONS[type]).join(', ')}`, unknown.map((name) => ({ field: 'include', message: `Unknown section "${name}"` })));
+  }
+  return names;
+};
+
+// Fetch a movie, TV show or person with the requested sections in a single TMDb call.
+// The model is returned as is, with an `included` object holding each section when any
+// were requested. request: { params, options, query, userId } from the Express request.
+const getDetails = async (type, id, include, { params = {}, options = {}, query = {}, userId } = {}) => {
+  const sections = include.map((name) => ({ name, ...SECTIONS[type][name] }));
+  const filters = include.includes('watch_providers') ? parseAvailabilityFilters(query, params) : null;
+
+  const appendToResponse = sections.map(({ append }) => append).join(',');
+  const data = await fetchFromTmdb(`/${type}/${id}`, appendToResponse ? { ...params, append_to_response: appendToResponse } : params);
+  const details = new MODELS[type](data, options);
+  if (sections.length === 0) return details;
+
+  const subscribed = filters ? await getSubscribedProviderIds(userId) : null;
+  const context = { type, id, options, filters, subscribed, creditFilters: parseCreditFilters(query) };
+  details.included = sections.reduce((included, { name, append, shape }) => ({
+    ...included,
+    [name]: data[append] ? shape(data[append], context) : null,
+  }), {});
+  return details;
+};
+
+module.exports = { SECTIONS, parseInclude, getDetails };
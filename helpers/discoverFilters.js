@@ -0,0 +1,156 @@
+// helpers/discoverFilters.js
+const { ApiError } = require('./errors');
+
+// Query params only differ between movies and TV in the dates and the sortable fields
+const MEDIA_FILTERS = {
+  movie: {
+    dateField: 'primary_release_date',
+    yearParam: 'primary_release_year',
+    sortFields: ['popularity', 'vote_average', 'vote_count', 'primary_release_date', 'revenue', 'title', 'original_title'],
+  },
+  tv: {
+    dateField: 'first_air_date',
+    yearParam: 'first_air_date_year',
+    sortFields: ['popularity', 'vote_average', 'vote_count', 'first_air_date', 'name', 'original_name'],
+  },
+};
+
+const MONETIZATION_TYPES = ['flatrate', 'free', 'ads', 'rent', 'buy'];
+const MIN_YEAR = 1870;
+const MAX_YEAR = new Date().getFullYear() + 10;
+
+// Collects every invalid filter so the client gets them all in one 400
+const createParser = (query) => {
+  const invalid = [];
+
+  const number = (field, { min, max, integer = false }) => {
+    const value = query[field];
+    if (value === undefined || value === '') return undefined;
+    const parsed = Number(value);
+    if (Number.isNaN(parsed) || (integer && !Number.isInteger(parsed)) || parsed < min || parsed > max) {
+      invalid.push({ field, message: `${field} must be ${integer ? 'an integer' : 'a number'} between ${min} and ${max}` });
+      return undefined;
+    }
+    return parsed;
+  };
+
+  // Comma-separated positive integer IDs, e.g. genres=28,12
+  const ids = (field) => {
+    const value = query[field];
+    if (value === undefined || value === '') return undefined;
+    const values = String(value).split(',').map((id) => id.trim());
+    if (!values.every((id) => /^\d+$/.test(id))) {
+      invalid.push({ field, message: `${field} must be a comma-separated list of numeric IDs` });
+      return undefined;
+    }
+    return values;
+  };
+
+  const oneOf = (field, allowed) => {
+    const value = query[field];
+    if (value === undefined || value === '') return undefined;
+    if (!allowed.includes(value)) {
+      invalid.push({ field, message: `${field} must be one of: ${allowed.join(', ')}` });
+      return undefined;
+    }
+    return value;
+  };
+
+  const range = (fromField, from, toField, to) => {
+    if (from !== undefined && to !== undefined && from > to) {
+      invalid.push({ field: fromField, message: `${fromField} must not be greater than ${toField}` });
+    }
+  };
+
+  return { invalid, number, ids, oneOf, range };
+};
+
+// Translate our discover filters into TMDb /discover/{movie|tv} params.
+// Lists of genres, keywords and companies match all values by default; pass
+// match=any to match any of them. Watch providers always match any provider.
+const parseDiscoverFilters = (mediaType, query = {}, locale = {}) => {
+  const { dateField, yearParam, sortFields } = MEDIA_FILTERS[mediaType];
+  const { invalid, number, ids, oneOf, range } = createParser(query);
+  const params = {};
+
+  const match = oneOf('match', ['all', 'any']) || 'all';
+  const separator = match === 'any' ? '|' : ',';
+
+  const genres = ids('genres');
+  const withoutGenres = ids('withoutGenres');
+  const keywords = ids('keywords');
+  const companies = ids('companies');
+  if (genres) params.with_genres = genres.join(separator);
+  if (withoutGenres) params.without_genres = withoutGenres.join(',');
+  if (keywords) params.with_keywords = keywords.join(separator);
+  if (companies) params.with_companies = companies.join(separator);
+
+  const year = number('year', { min: MIN_YEAR, max: MAX_YEAR, integer: true });
+  const yearFrom = number('yearFrom', { min: MIN_YEAR, max: MAX_YEAR, integer: true });
+  const yearTo = number('yearTo', { min: MIN_YEAR, max: MAX_YEAR, integer: true });
+  range('yearFrom', yearFrom, 'yearTo', yearTo);
+  if (year !== undefined) params[yearParam] = year;
+  if (yearFrom !== undefined) params[`${dateField}.gte`] = `${yearFrom}-01-01`;
+  if (yearTo !== undefined) params[`${dateField}.lte`] = `${yearTo}-12-31`;
+
+  const minRating = number('minRating', { min: 0, max: 10 });
+  const maxRating = number('maxRating', { min: 0, max: 10 });
+  const minVotes = number('minVotes', { min: 0, max: Number.MAX_SAFE_INTEGER, integer: true });
+  range('minRating', minRating, 'maxRating', maxRating);
+  if (minRating !== undefined) params['vote_average.gte'] = minRating;
+  if (maxRating !== undefined) params['vote_average.lte'] = maxRating;
+  if (minVotes !== undefined) params['vote_count.gte'] = minVotes;
+
+  const minRuntime = number('minRuntime', { min: 0, max: 1000, integer: true });
+  const maxRuntime = number('maxRuntime', { min: 0, max: 1000, integer: true });
+  range('minRuntime', minRuntime, 'maxRuntime', maxRuntime);
+  if (minRuntime !== undefined) params['with_runtime.gte'] = minRuntime;
+  if (maxRuntime !== undefined) params['with_runtime.lte'] = maxRuntime;
+
+  if (query.originalLanguage !== undefined) {
+    if (/^[a-z]{2}$/.test(query.originalLanguage)) {
+      params.with_original_language = query.originalLanguage;
+    } else {
+      invalid.push({ field: 'originalLanguage', message: 'originalLanguage must be an ISO 639-1 code, e.g. "en"' });
+    }
+  }
+
+  // TMDb ignores provider filters without a watch region, so fall back to the request region
+  const watchProviders = ids('watchProviders');
+  const watchRegion = query.watchRegion || locale.region;
+  if (query.watchRegion !== undefined && !/^[A-Z]{2}$/.test(query.watchRegion)) {
+    invalid.push({ field: 'watchRegion', message: 'watchRegion must be an ISO 3166-1 code, e.g. "US"' });
+  }
+  let monetization;
+  if (query.monetization !== undefined) {
+    monetization = String(query.monetization).split(',').map((type) => type.trim());
+    const unsupported = monetization.filter((type) => !MONETIZATION_TYPES.includes(type));
+    if (unsupported.length > 0) {
+      invalid.push({ field: 'monetization', message: `monetization must be a comma-separated list of: ${MONETIZATION_TYPES.join(', ')}` });
+    }
+  }
+  if ((watchProviders || monetization) && !watchRegion) {
+    invalid.push({ field: 'watchRegion', message: 'watchRegion (or region) is required with watchProviders or monetization' });
+  }
+  if (watchProviders) params.with_watch_providers = watchProviders.join('|');
+  if (monetization) params.with_watch_monetization_types = monetization.join('|');
+  if ((watchProviders || monetization) && watchRegion) params.watch_region = watchRegion;
+
+  const sort = oneOf('sort', sortFields) || 'popularity';
+  const order = oneOf('order', ['asc', 'desc']) || 'desc';
+  params.sort_by = `${sort}.${order}`;
+
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid discover filters', invalid);
+  }
+  return params;
+};
+
+module.exports = {
+  MEDIA_FILTERS,
+  MONETIZATION_TYPES,
+  MIN_YEAR,
+  MAX_YEAR,
+  createParser,
+  parseDiscoverFilters,
+};
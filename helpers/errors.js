@@ -0,0 +1,49 @@
+// helpers/errors.js
+
+// Error raised by our own routes (bad input, missing resources, auth, ...). The error
+// middleware turns it into the standard error envelope with the given status and code.
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Error thrown by fetchFromTmdb. Carries the upstream HTTP status (null when TMDb could not
+// be reached) and TMDb's own status_code/status_message from the response body.
+class TmdbError extends Error {
+  constructor(message, { status = null, tmdbStatusCode = null, tmdbStatusMessage = null, endpoint = null, code = null, retryAfterMs = null } = {}) {
+    super(message);
+    this.name = 'TmdbError';
+    this.status = status;
+    this.tmdbStatusCode = tmdbStatusCode;
+    this.tmdbStatusMessage = tmdbStatusMessage;
+    this.endpoint = endpoint;
+    this.code = code;
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get isTimeout() {
+    return this.code === 'ECONNABORTED' || this.code === 'ETIMEDOUT';
+  }
+
+  static fromAxiosError(error, endpoint) {
+    if (error instanceof TmdbError) return error;
+
+    const response = error.response;
+    const body = response && response.data && typeof response.data === 'object' ? response.data : {};
+    return new TmdbError(body.status_message || error.message, {
+      status: response ? response.status : null,
+      tmdbStatusCode: body.status_code != null ? body.status_code : null,
+      tmdbStatusMessage: body.status_message || null,
+      endpoint,
+      code: error.code || null,
+      retryAfterMs: error.retryAfterMs != null ? error.retryAfterMs : null,
+    });
+  }
+}
+
+module.exports = { ApiError, TmdbError };
@@ -0,0 +1,168 @@
+// helpers/filmography.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { TmdbError } = require('./errors');
+const { mapWithConcurrency } = require('./concurrency');
+const Movie = require('../models/Movie');
+const TVShow = require('../models/TVShow');
+const Person = require('../models/Person');
+
+const MODELS = {
+  movie: Movie,
+  tv: TVShow,
+};
+
+const TOP_RATED_COUNT = 5;
+// Titles with fewer votes are too noisy to rank
+const TOP_RATED_MIN_VOTES = 100;
+const COLLABORATOR_COUNT = 10;
+// Collaborators come from the credits of the person's most voted titles; one request each
+const COLLABORATOR_SAMPLE_TITLES = 20;
+const COLLABORATOR_CONCURRENCY = 5;
+
+// Talk shows, award shows, documentaries, ... where the person plays themselves
+const SELF_CHARACTER = /^(self|himself|herself|themselves|themself)\b/i;
+
+const dateOf = (credit) => credit.release_date || credit.first_air_date || null;
+
+const roleOf = (credit, department) => ({
+  department,
+  ...(department === 'Acting' ? { character: credit.character || null } : { job: credit.job }),
+  creditId: credit.credit_id,
+  episodeCount: credit.episode_count,
+});
+
+// One entry per title, with every role the person had on it
+const mergeCredits = ({ cast = [], crew = [] }, options) => {
+  const entries = new Map();
+  const add = (credit, role) => {
+    const key = `${credit.media_type}:${credit.id}`;
+    if (!entries.has(key)) {
+      const date = dateOf(credit);
+      entries.set(key, {
+        type: credit.media_type,
+        date,
+        year: date ? Number(date.slice(0, 4)) : null,
+        media: new MODELS[credit.media_type](credit, options),
+        roles: [],
+      });
+    }
+    entries.get(key).roles.push(role);
+  };
+  cast.filter((credit) => MODELS[credit.media_type]).forEach((credit) => add(credit, roleOf(credit, 'Acting')));
+  crew.filter((credit) => MODELS[credit.media_type]).forEach((credit) => add(credit, roleOf(credit, credit.department)));
+  return [...entries.values()];
+};
+
+// Oldest first; undated titles (usually announced projects) go last
+const compareChronologically = (a, b) => {
+  if (a.date !== b.date) {
+    if (!a.date) return 1;
+    if (!b.date) return -1;
+    return a.date < b.date ? -1 : 1;
+  }
+  return String(a.media.title || a.media.name).localeCompare(String(b.media.title || b.media.name));
+};
+
+// Entries per department, each keeping only the roles of that department
+const groupByDepartment = (entries) => {
+  const groups = new Map();
+  entries.forEach((entry) => {
+    entry.roles.forEach((role) => {
+      if (!groups.has(role.department)) groups.set(role.department, new Map());
+      const group = groups.get(role.department);
+      const key = `${entry.type}:${entry.media.id}`;
+      if (!group.has(key)) group.set(key, { ...entry, roles: [] });
+      group.get(key).roles.push(role);
+    });
+  });
+  return [...groups.entries()]
+    .map(([department, group]) => ({ department, count: group.size, credits: [...group.values()] }))
+    .sort((a, b) => b.count - a.count || a.department.localeCompare(b.department));
+};
+
+const isSelfAppearance = (entry) => entry.roles.every((role) => role.department === 'Acting' && SELF_CHARACTER.test(role.character || ''));
+
+const summaryOf = (entry) => ({
+  type: entry.type,
+  id: entry.media.id,
+  title: entry.media.title || entry.media.name,
+  year: entry.year,
+  voteAverage: entry.media.voteAverage,
+  voteCount: entry.media.voteCount,
+});
+
+// First and last year with a released credit, ignoring announced projects
+const yearsActiveOf = (entries) => {
+  const today = new Date().toISOString().slice(0, 10);
+  const years = entries.filter((entry) => entry.date && entry.date <= today).map((entry) => entry.year);
+  if (years.length === 0) return null;
+  const from = Math.min(...years);
+  const to = Math.max(...years);
+  return { from, to, years: to - from + 1 };
+};
+
+const topRatedOf = (works) => works
+  .filter((entry) => entry.media.voteCount >= TOP_RATED_MIN_VOTES)
+  .sort((a, b) => b.media.voteAverage - a.media.voteAverage || b.media.voteCount - a.media.voteCount)
+  .slice(0, TOP_RATED_COUNT)
+  .map(summaryOf);
+
+// People credited most often on the person's most voted titles. A title whose credits fail
+// to load is left out rather than failing the filmography.
+const collaboratorsOf = async (personId, works, params, options) => {
+  const sample = [...works].sort((a, b) => (b.media.voteCount || 0) - (a.media.voteCount || 0)).slice(0, COLLABORATOR_SAMPLE_TITLES);
+  const credits = await mapWithConcurrency(sample, COLLABORATOR_CONCURRENCY, async (entry) => {
+    try {
+      return await fetchFromTmdb(`/${entry.type}/${entry.media.id}/credits`, params);
+    } catch (error) {
+      if (!(error instanceof TmdbError)) throw error;
+      return null;
+    }
+  });
+
+  const collaborators = new Map();
+  sample.forEach((entry, index) => {
+    if (!credits[index]) return;
+    const people = new Map([...(credits[index].cast || []), ...(credits[index].crew || [])]
+      .filter((person) => person.id !== personId)
+      .map((person) => [person.id, person]));
+    people.forEach((person) => {
+      if (!collaborators.has(person.id)) collaborators.set(person.id, { person: new Person(person, options), titles: [] });
+      collaborators.get(person.id).titles.push(summaryOf(entry));
+    });
+  });
+
+  return [...collaborators.values()]
+    .filter(({ titles }) => titles.length > 1)
+    .sort((a, b) => b.titles.length - a.titles.length || String(a.person.name).localeCompare(String(b.person.name)))
+    .slice(0, COLLABORATOR_COUNT)
+    .map(({ person, titles }) => ({ person, sharedCredits: titles.length, titles }));
+};
+
+// Movie and TV credits of a person from TMDb's combined credits: one entry per title with
+// all of its roles, sorted chronologically (order: 'asc' or 'desc'), the same entries grouped
+// by department, and summary stats. Self appearances (e.g. talk shows, which carry the show's
+// first air date) are left out of the stats.
+const getFilmography = async (personId, { params = {}, options = {}, order = 'asc' } = {}) => {
+  const data = await fetchFromTmdb(`/person/${personId}/combined_credits`, params);
+  const credits = mergeCredits(data, options).sort(compareChronologically);
+  if (order === 'desc') {
+    // Keep undated titles first: they are the most recent ones
+    credits.reverse();
+  }
+
+  const works = credits.filter((entry) => !isSelfAppearance(entry));
+  return {
+    id: personId,
+    credits,
+    departments: groupByDepartment(credits),
+    stats: {
+      totalCredits: credits.length,
+      yearsActive: yearsActiveOf(works),
+      topRated: topRatedOf(works),
+      collaborators: await collaboratorsOf(personId, works, params, options),
+    },
+  };
+};
+
+module.exports = { getFilmography };
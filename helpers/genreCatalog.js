@@ -0,0 +1,23 @@
+// helpers/genreCatalog.js
+const fetchFromTmdb = require('./tmdbHelper');
+
+// TMDb keeps separate genre lists for movies and TV
+const GENRE_TYPES = ['movie', 'tv'];
+
+// Genre list for a media type. fetchFromTmdb caches /genre lists for a day, and since
+// language is part of the cache key each language gets its own entry.
+const getGenres = async (type, language) => {
+  const data = await fetchFromTmdb(`/genre/${type}/list`, language ? { language } : {});
+  return data.genres;
+};
+
+// Maps of genre id -> name for every media type, e.g. { movie: Map, tv: Map }
+const getGenreNames = async (language) => {
+  const lists = await Promise.all(GENRE_TYPES.map((type) => getGenres(type, language)));
+  return GENRE_TYPES.reduce((names, type, index) => ({
+    ...names,
+    [type]: new Map(lists[index].map(({ id, name }) => [id, name])),
+  }), {});
+};
+
+module.exports = { GENRE_TYPES, getGenres, getGenreNames };
@@ -0,0 +1,123 @@
+// helpers/imageUrls.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { ApiError } = require('./errors');
+
+// Used when /configuration can't be loaded; matches what TMDb has served for years
+const DEFAULT_IMAGE_CONFIGURATION = {
+  secure_base_url: 'https://image.tmdb.org/t/p/',
+  backdrop_sizes: ['w300', 'w780', 'w1280', 'original'],
+  logo_sizes: ['w45', 'w92', 'w154', 'w185', 'w300', 'w500', 'original'],
+  poster_sizes: ['w92', 'w154', 'w185', 'w342', 'w500', 'w780', 'original'],
+  profile_sizes: ['w45', 'w185', 'h632', 'original'],
+  still_sizes: ['w92', 'w185', 'w300', 'original'],
+};
+
+// Size used for each image type when the request has no imageSize
+const DEFAULT_SIZES = {
+  backdrop: 'w1280',
+  logo: 'w300',
+  poster: 'w500',
+  profile: 'w185',
+  still: 'w300',
+};
+
+// Keys of TMDb /images payloads and the image type of their entries
+const IMAGE_LISTS = {
+  backdrops: 'backdrop',
+  logos: 'logo',
+  posters: 'poster',
+  profiles: 'profile',
+  stills: 'still',
+};
+
+const SIZE_PATTERN = /^(?:([wh])(\d+)|original)$/;
+
+// After a failed load, use the defaults for a minute instead of retrying on every request
+const RETRY_AFTER_FAILURE_MS = 60 * 1000;
+let unavailableUntil = 0;
+
+// TMDb's image configuration. It goes through fetchFromTmdb, so it is cached for a day like
+// the rest of /configuration.
+const getImageConfiguration = async () => {
+  if (Date.now() < unavailableUntil) return DEFAULT_IMAGE_CONFIGURATION;
+  try {
+    const { images } = await fetchFromTmdb('/configuration');
+    return { ...DEFAULT_IMAGE_CONFIGURATION, ...images };
+  } catch (error) {
+    console.warn(`[Images] Could not load TMDb configuration, using defaults: ${error.message}`);
+    unavailableUntil = Date.now() + RETRY_AFTER_FAILURE_MS;
+    return DEFAULT_IMAGE_CONFIGURATION;
+  }
+};
+
+const parseImageSize = (value) => {
+  if (value === undefined || value === '') return undefined;
+  if (!SIZE_PATTERN.test(value)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'imageSize must be "original" or a TMDb size such as w500 or h632');
+  }
+  return value;
+};
+
+// Builds fully-qualified image URLs from TMDb file paths
+class ImageUrlBuilder {
+  constructor(configuration = DEFAULT_IMAGE_CONFIGURATION, size) {
+    this.baseUrl = configuration.secure_base_url;
+    this.configuration = configuration;
+    this.size = size;
+  }
+
+  sizesFor(type) {
+    return this.configuration[`${type}_sizes`] || ['original'];
+  }
+
+  // The requested size when TMDb offers it for this type, otherwise the closest larger
+  // size of the same kind, falling back to "original"
+  sizeFor(type) {
+    const wanted = this.size || DEFAULT_SIZES[type];
+    const sizes = this.sizesFor(type);
+    if (sizes.includes(wanted)) return wanted;
+
+    const [, kind, value] = SIZE_PATTERN.exec(wanted) || [];
+    const larger = sizes
+      .map((size) => SIZE_PATTERN.exec(size))
+      .filter((match) => match && match[1] === kind && Number(match[2]) >= Number(value))
+      .sort((a, b) => Number(a[2]) - Number(b[2]));
+    return larger.length > 0 ? larger[0][0] : 'original';
+  }
+
+  url(type, path, size = this.sizeFor(type)) {
+    return path ? `${this.baseUrl}${size}${path}` : null;
+  }
+
+  // srcset-style list of every width-based size, e.g. "https://.../w92/x.jpg 92w, ..."
+  srcset(type, path) {
+    if (!path) return null;
+    return this.sizesFor(type)
+      .filter((size) => size.startsWith('w'))
+      .map((size) => `${this.url(type, path, size)} ${size.slice(1)}w`)
+      .join(', ');
+  }
+
+  describe(type, path) {
+    return path ? { url: this.url(type, path), srcset: this.srcset(type, path) } : null;
+  }
+
+  // Add url and srcset to every entry of a TMDb /images payload
+  decorate(payload) {
+    return Object.entries(payload).reduce((result, [key, value]) => {
+      const type = IMAGE_LISTS[key];
+      result[key] = type && Array.isArray(value)
+        ? value.map((image) => ({ ...image, ...this.describe(type, image.file_path) }))
+        : value;
+      return result;
+    }, {});
+  }
+}
+
+module.exports = {
+  DEFAULT_IMAGE_CONFIGURATION,
+  DEFAULT_SIZES,
+  ImageUrlBuilder,
+  getImageConfiguration,
+  parseImageSize,
+};
@@ -0,0 +1,98 @@
+// helpers/mediaHydrator.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { ApiError, TmdbError } = require('./errors');
+const { mapWithConcurrency } = require('./concurrency');
+const { mapTmdbError } = require('../middleware/errorHandler');
+const Movie = require('../models/Movie');
+const TVShow = require('../models/TVShow');
+
+// Media types stored by user-owned features and the model each one hydrates into
+const MODELS = {
+  movie: Movie,
+  tv: TVShow,
+};
+
+const MEDIA_TYPES = Object.keys(MODELS);
+
+const MAX_BATCH_ITEMS = 50;
+
+// TMDb requests a batch keeps in flight at once, so one call can't drain the rate limiter
+const BATCH_CONCURRENCY = 8;
+
+// Fetch the TMDb details of one title and wrap them in the matching model.
+// options are the model options from req.mediaOptions (genre names, image URLs).
+const hydrateMedia = async (type, tmdbId, params = {}, options = {}) => {
+  const data = await fetchFromTmdb(`/${type}/${tmdbId}`, params);
+  return new MODELS[type](data, options);
+};
+
+// Hydrate one title into { media } or, when TMDb can't load it, { media: null, error }
+const tryHydrateMedia = async (type, tmdbId, params, options) => {
+  try {
+    return { media: await hydrateMedia(type, tmdbId, params, options) };
+  } catch (error) {
+    if (!(error instanceof TmdbError)) throw error;
+    const { code, message } = mapTmdbError(error);
+    return { media: null, error: { code, message } };
+  }
+};
+
+// Attach `media` to every { type, tmdbId } record, at most BATCH_CONCURRENCY at a time. A
+// title that fails to load (e.g. removed from TMDb) gets media: null and an error instead of
+// failing the whole listing.
+const hydrateRecords = (records, params = {}, options = {}) => mapWithConcurrency(records, BATCH_CONCURRENCY, async (record) => ({
+  ...record,
+  ...await tryHydrateMedia(record.type, record.tmdbId, params, options),
+}));
+
+// A TMDb ID as a positive integer, or a string of digits; anything else (true, [5], " 7 ")
+// is rejected
+const toTmdbId = (value) => {
+  if (typeof value === 'number') return Number.isInteger(value) && value > 0 ? value : null;
+  if (typeof value === 'string' && /^\d+$/.test(value) && Number(value) > 0) return Number(value);
+  return null;
+};
+
+// Validate the { type, id } items of a batch request body
+const parseBatchItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'items must be a non-empty array of { type, id }');
+  }
+  if (items.length > MAX_BATCH_ITEMS) {
+    throw new ApiError(400, 'INVALID_REQUEST', `At most ${MAX_BATCH_ITEMS} items can be requested at once`);
+  }
+  const invalid = [];
+  items.forEach((item, index) => {
+    if (!item || !MEDIA_TYPES.includes(item.type)) {
+      invalid.push({ field: `items[${index}].type`, message: `type must be one of: ${MEDIA_TYPES.join(', ')}` });
+    }
+    if (!item || toTmdbId(item.id) === null) {
+      invalid.push({ field: `items[${index}].id`, message: 'id must be a positive integer' });
+    }
+  });
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid batch items', invalid);
+  }
+  return items.map(({ type, id }) => ({ type, id: toTmdbId(id) }));
+};
+
+// Details of several titles in one call, one entry per distinct title in request order.
+// Duplicates are fetched once, at most BATCH_CONCURRENCY titles load at a time and a title
+// that fails to load gets an error entry instead of failing the whole batch.
+const hydrateBatch = (items, params = {}, options = {}) => {
+  const unique = [...new Map(items.map((item) => [`${item.type}:${item.id}`, item])).values()];
+  return mapWithConcurrency(unique, BATCH_CONCURRENCY, async ({ type, id }) => ({
+    type,
+    id,
+    ...await tryHydrateMedia(type, id, params, options),
+  }));
+};
+
+module.exports = {
+  MEDIA_TYPES,
+  MAX_BATCH_ITEMS,
+  hydrateMedia,
+  hydrateRecords,
+  parseBatchItems,
+  hydrateBatch,
+};
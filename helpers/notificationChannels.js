@@ -0,0 +1,161 @@
+// helpers/notificationChannels.js
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const net = require('net');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const config = require('../config');
+const { ApiError } = require('./errors');
+
+// Every channel implements the same interface so new ones can be plugged in:
+//   validate(settings) -> normalized settings (or a promise of them), throws or rejects
+//     with an ApiError when they are invalid
+//   send(settings, notifications) -> resolves once delivered, rejects on failure
+
+// IPv4 ranges a webhook must not reach: "this network", private, carrier-grade NAT,
+// loopback, link-local (including cloud metadata at 169.254.169.254), multicast and reserved
+const BLOCKED_IPV4_RANGES = [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['224.0.0.0', 3],
+];
+
+const ipv4ToNumber = (address) => address.split('.').reduce((number, part) => number * 256 + Number(part), 0);
+
+const inIpv4Range = (address, [base, bits]) => (ipv4ToNumber(address) >>> (32 - bits)) === (ipv4ToNumber(base) >>> (32 - bits));
+
+// Loopback, private, link-local, multicast or unspecified address, IPv4 or IPv6
+const isInternalAddress = (address) => {
+  if (net.isIPv4(address)) return BLOCKED_IPV4_RANGES.some((range) => inIpv4Range(address, range));
+  const ip = address.toLowerCase();
+  // IPv4-mapped IPv6, written either way: ::ffff:127.0.0.1 or ::ffff:7f00:1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(ip);
+  if (mapped) return isInternalAddress(mapped[1]);
+  const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(ip);
+  if (mappedHex) {
+    const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+    return isInternalAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  return ip === '::' || ip === '::1' || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || /^ff/.test(ip);
+};
+
+// POSTs { notifications } as JSON. With a secret, the body is signed with HMAC-SHA256 in
+// the X-Signature-256 header ("sha256=<hex>") so receivers can verify it.
+// URLs resolving to loopback, private or link-local addresses are refused, both when they
+// are saved and when they are called (the address is checked again at connection time, so
+// DNS changes can't sneak past), unless their host is in allowedHosts.
+class WebhookChannel {
+  constructor({ timeoutMs = config.alerts.webhookTimeoutMs, allowedHosts = config.alerts.webhookAllowedHosts } = {}) {
+    this.timeoutMs = timeoutMs;
+    this.allowedHosts = allowedHosts.map((host) => host.toLowerCase());
+  }
+
+  isAllowedHost(host) {
+    return this.allowedHosts.includes(host);
+  }
+
+  // First public address of a host, for the HTTP client's lookup option
+  async lookupPublic(hostname) {
+    const addresses = await dns.lookup(hostname, { all: true });
+    const allowed = this.isAllowedHost(hostname.toLowerCase())
+      ? addresses
+      : addresses.filter(({ address }) => !isInternalAddress(address));
+    if (allowed.length === 0) {
+      throw new Error(`Webhook host ${hostname} resolves to an internal address`);
+    }
+    return [allowed[0].address, allowed[0].family];
+  }
+
+  // Throws an ApiError when the URL's host is internal or doesn't resolve
+  async assertPublicUrl(url) {
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (this.isAllowedHost(host)) return;
+
+    let addresses = [host];
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+      addresses = ['127.0.0.1'];
+    } else if (!net.isIP(host)) {
+      try {
+        addresses = (await dns.lookup(host, { all: true })).map(({ address }) => address);
+      } catch (error) {
+        throw new ApiError(400, 'INVALID_REQUEST', `webhook.url host ${host} could not be resolved`);
+      }
+    }
+    if (addresses.some(isInternalAddress)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'webhook.url must not point to a loopback, private or link-local address');
+    }
+  }
+
+  async validate(settings) {
+    let url;
+    try {
+      url = new URL(settings.url);
+    } catch (error) {
+      url = null;
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'webhook.url must be an http(s) URL');
+    }
+    if (settings.secret !== undefined && typeof settings.secret !== 'string') {
+      throw new ApiError(400, 'INVALID_REQUEST', 'webhook.secret must be a string');
+    }
+    await this.assertPublicUrl(url);
+    return { url: url.toString(), secret: settings.secret || null };
+  }
+
+  async send({ url, secret }, notifications) {
+    await this.assertPublicUrl(new URL(url));
+    const body = JSON.stringify({ notifications });
+    const headers = { 'Content-Type': 'application/json' };
+    if (secret) {
+      headers['X-Signature-256'] = `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+    }
+    // No redirects: they could lead to an internal address
+    await axios.post(url, body, {
+      headers,
+      timeout: this.timeoutMs,
+      maxRedirects: 0,
+      lookup: async (hostname) => this.lookupPublic(hostname),
+    });
+  }
+}
+
+// Sends one plain-text digest per batch through SMTP (by default a local stand-in such as
+// MailHog listening on localhost:1025)
+class EmailChannel {
+  constructor({ transport, from = config.smtp.from } = {}) {
+    this.transport = transport || nodemailer.createTransport({
+      host: config.smtp.host,
+      port: config.smtp.port,
+      secure: config.smtp.secure,
+      auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.password } : undefined,
+    });
+    this.from = from;
+  }
+
+  validate(settings) {
+    if (typeof settings.address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(settings.address)) {
+      throw new ApiError(400, 'INVALID_REQUEST', 'email.address must be an email address');
+    }
+    return { address: settings.address };
+  }
+
+  async send({ address }, notifications) {
+    const subject = notifications.length === 1
+      ? notifications[0].message
+      : `${notifications.length} availability changes for titles you follow`;
+    await this.transport.sendMail({
+      from: this.from,
+      to: address,
+      subject,
+      text: notifications.map((notification) => `- ${notification.message}`).join('\n'),
+    });
+  }
+}
+
+module.exports = { WebhookChannel, EmailChannel };
@@ -0,0 +1,64 @@
+// helpers/notificationService.js
+const notificationRepository = require('../repositories/notificationRepository');
+const { WebhookChannel, EmailChannel } = require('./notificationChannels');
+const { ApiError } = require('./errors');
+const { withoutUser } = require('./userRecords');
+
+// Outbound channels by name; users configure their settings under the same names
+const channels = new Map([
+  ['webhook', new WebhookChannel()],
+  ['email', new EmailChannel()],
+]);
+
+// Add or replace a channel, e.g. registerChannel('slack', new SlackChannel())
+const registerChannel = (name, channel) => {
+  channels.set(name, channel);
+};
+
+const getChannelNames = () => [...channels.keys()];
+
+// Validate channel settings from a request; null (or a missing key) disables a channel
+const validateChannelSettings = async (settings) => {
+  if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Channel settings must be an object keyed by channel name');
+  }
+  const validated = {};
+  for (const [name, value] of Object.entries(settings)) {
+    if (!channels.has(name)) {
+      throw new ApiError(400, 'INVALID_REQUEST', `Unknown channel "${name}", expected one of: ${getChannelNames().join(', ')}`);
+    }
+    if (value === null) continue;
+    if (typeof value !== 'object') {
+      throw new ApiError(400, 'INVALID_REQUEST', `${name} settings must be an object or null`);
+    }
+    validated[name] = await channels.get(name).validate(value);
+  }
+  return validated;
+};
+
+// Store notifications in the user's feed, then deliver them on every channel the user set
+// up. A failing channel is logged and doesn't affect the feed or the other channels.
+const publish = async (userId, notifications) => {
+  if (notifications.length === 0) return [];
+  const stored = (await notificationRepository.addNotifications(userId, notifications)).map(withoutUser);
+  const settings = await notificationRepository.getChannels(userId);
+
+  await Promise.all(Object.entries(settings)
+    .filter(([name]) => channels.has(name))
+    .map(async ([name, channelSettings]) => {
+      try {
+        await channels.get(name).send(channelSettings, stored);
+      } catch (error) {
+        console.error(`[Notifications] ${name} delivery failed for user ${userId}: ${error.message}`);
+      }
+    }));
+
+  return stored;
+};
+
+module.exports = {
+  registerChannel,
+  getChannelNames,
+  validateChannelSettings,
+  publish,
+};
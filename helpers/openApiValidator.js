@@ -0,0 +1,157 @@
+// helpers/openApiValidator.js
+const Ajv = require('ajv');
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const MAX_LOGGED_ERRORS = 5;
+
+// Keywords holding a map of name -> schema rather than a schema
+const SCHEMA_MAPS = ['properties', 'definitions'];
+
+const mapValues = (object, fn) => Object.entries(object).reduce((result, [key, value]) => ({ ...result, [key]: fn(value) }), {});
+
+// OpenAPI 3.0 schemas are almost JSON Schema: turn `nullable` into an explicit null
+// alternative, drop `example` and point component refs at `definitions`
+const toJsonSchema = (schema) => {
+  if (Array.isArray(schema)) return schema.map(toJsonSchema);
+  if (!schema || typeof schema !== 'object') return schema;
+
+  const { nullable, example, ...rest } = schema;
+  const converted = Object.entries(rest).reduce((result, [key, value]) => {
+    if (key === '$ref') return { ...result, $ref: value.replace('#/components/schemas/', '#/definitions/') };
+    if (SCHEMA_MAPS.includes(key)) return { ...result, [key]: mapValues(value, toJsonSchema) };
+    return { ...result, [key]: toJsonSchema(value) };
+  }, {});
+  return nullable ? { anyOf: [converted, { type: 'null' }] } : converted;
+};
+
+// Express-style path ("/{movie_id}/credits") -> regex capturing each parameter
+const compilePath = (path) => {
+  const segments = path.split('/').filter(Boolean);
+  const names = [];
+  const pattern = segments.map((segment) => {
+    const match = /^\{(.+)\}$/.exec(segment);
+    if (!match) return segment.replace(/[.*+?^$()|[\]\\]/g, '\\$&');
+    names.push(match[1]);
+    return '([^/]+)';
+  }).join('/');
+  return {
+    regex: new RegExp(`^/${pattern}/?$`),
+    names,
+    // Literal segments win over parameters, e.g. /popular over /{series_id}
+    specificity: segments.map((segment) => (segment.startsWith('{') ? '0' : '1')).join(''),
+  };
+};
+
+// { field, message } for every ajv error of a { path, query } params object
+const describeErrors = (errors = []) => errors.map((error) => {
+  // Drop the leading '' and the params location (path or query)
+  const [, , ...fieldPath] = error.instancePath.split('/');
+  if (error.keyword === 'required') fieldPath.push(error.params.missingProperty);
+  const field = fieldPath.join('.');
+
+  let reason = error.message;
+  if (error.keyword === 'required') reason = 'is required';
+  if (error.keyword === 'enum') reason = `must be one of: ${error.params.allowedValues.join(', ')}`;
+  return { field, message: `${field} ${reason}` };
+});
+
+// Validates requests (and optionally responses) against the operations of an OpenAPI spec
+class OpenApiValidator {
+  constructor(spec) {
+    this.components = spec.components || {};
+    this.definitions = mapValues(this.components.schemas || {}, toJsonSchema);
+    this.ajv = new Ajv({ strict: false, allErrors: true, validateFormats: false });
+    // Query and path values are strings; coerce them to the declared types
+    this.coercingAjv = new Ajv({ strict: false, allErrors: true, validateFormats: false, coerceTypes: true });
+    this.operations = Object.entries(spec.paths || {}).flatMap(([path, methods]) => Object.entries(methods)
+      .filter(([method]) => HTTP_METHODS.includes(method))
+      .map(([method, operation]) => this.compileOperation(path, method, operation, methods.parameters)));
+  }
+
+  resolve(parameter) {
+    if (!parameter.$ref) return parameter;
+    return this.components.parameters[parameter.$ref.split('/').pop()];
+  }
+
+  compileOperation(path, method, operation, pathParameters = []) {
+    const parameters = [...pathParameters, ...(operation.parameters || [])].map((parameter) => this.resolve(parameter));
+    const groupOf = (location) => {
+      const inLocation = parameters.filter((parameter) => parameter.in === location);
+      return {
+        type: 'object',
+        properties: inLocation.reduce((properties, parameter) => ({
+          ...properties,
+          [parameter.name]: toJsonSchema(parameter.schema || {}),
+        }), {}),
+        required: inLocation.filter((parameter) => parameter.required).map((parameter) => parameter.name),
+      };
+    };
+    const schema = {
+      type: 'object',
+      properties: { path: groupOf('path'), query: groupOf('query') },
+      definitions: this.definitions,
+    };
+
+    return {
+      method: method.toUpperCase(),
+      path,
+      ...compilePath(path),
+      validateParams: this.coercingAjv.compile(schema),
+      responses: operation.responses || {},
+      responseValidators: {},
+    };
+  }
+
+  // Operation documented for a method and a path relative to the router, or undefined.
+  // Path values that aren't valid URL encoding are listed in `malformed` as { field, message }.
+  match(method, path) {
+    const matches = this.operations
+      .filter((operation) => operation.method === method && operation.regex.test(path))
+      .sort((a, b) => (a.specificity < b.specificity ? 1 : -1));
+    if (matches.length === 0) return undefined;
+
+    const [operation] = matches;
+    const values = operation.regex.exec(path).slice(1);
+    const malformed = [];
+    const pathParams = operation.names.reduce((params, name, index) => {
+      try {
+        return { ...params, [name]: decodeURIComponent(values[index]) };
+      } catch (error) {
+        malformed.push({ field: name, message: `${name} is not a valid URL-encoded value` });
+        return params;
+      }
+    }, {});
+    return { operation, pathParams, malformed };
+  }
+
+  // Check path and query params; returns [{ field, message }] for every invalid one. Empty
+  // query values count as missing, like the route handlers treat them.
+  validateRequest(operation, pathParams, query = {}) {
+    const present = Object.entries(query).reduce((params, [name, value]) => (
+      value === '' ? params : { ...params, [name]: value }
+    ), {});
+    // Validate copies: handlers still read the raw strings
+    const params = { path: { ...pathParams }, query: present };
+    return operation.validateParams(params) ? [] : describeErrors(operation.validateParams.errors);
+  }
+
+  // Check a JSON response body against the schema documented for its status; returns a
+  // list of messages (empty when it matches or nothing is documented)
+  validateResponse(operation, status, body) {
+    if (!(status in operation.responseValidators)) {
+      const response = operation.responses[status] || operation.responses.default;
+      const schema = response && response.content && response.content['application/json']
+        && response.content['application/json'].schema;
+      operation.responseValidators[status] = schema
+        ? this.ajv.compile({ ...toJsonSchema(schema), definitions: this.definitions })
+        : null;
+    }
+    const validate = operation.responseValidators[status];
+    // Round-trip through JSON so undefined properties and class instances look like the
+    // payload the client actually receives
+    if (!validate || validate(JSON.parse(JSON.stringify(body)))) return [];
+    return validate.errors.slice(0, MAX_LOGGED_ERRORS).map((error) => `${error.instancePath || '(body)'} ${error.message}`);
+  }
+}
+
+module.exports = OpenApiValidator;
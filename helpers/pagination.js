@@ -0,0 +1,101 @@
+// helpers/pagination.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { ApiError } = require('./errors');
+
+// TMDb refuses pages above 500 and serves 20 results per page
+const MAX_TMDB_PAGE = 500;
+const MAX_AGGREGATED_PAGES = 10;
+
+const parsePositiveInt = (value, name, max) => {
+  if (value === undefined || value === '') return undefined;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1 || number > max) {
+    throw new ApiError(400, 'INVALID_REQUEST', `${name} must be an integer between 1 and ${max}`);
+  }
+  return number;
+};
+
+// Read page, limit and pages from the query string.
+// - page: first TMDb page to return (default 1)
+// - pages: number of consecutive TMDb pages to merge into one response
+// - limit: number of results wanted; enough pages are fetched to fill it
+const parsePagination = (query = {}) => ({
+  page: parsePositiveInt(query.page, 'page', MAX_TMDB_PAGE) || 1,
+  pages: parsePositiveInt(query.pages, 'pages', MAX_AGGREGATED_PAGES),
+  limit: parsePositiveInt(query.limit, 'limit', MAX_AGGREGATED_PAGES * 20),
+});
+
+const buildEnvelope = (results, firstPage, lastPage, totalPages, totalResults) => ({
+  results,
+  pagination: {
+    page: firstPage,
+    lastPage,
+    pagesFetched: lastPage - firstPage + 1,
+    totalPages,
+    totalResults,
+    hasMore: lastPage < totalPages,
+    nextPage: lastPage < totalPages ? lastPage + 1 : null,
+  },
+});
+
+// Fetch a paginated TMDb list and return { results, pagination }, mapping every result
+// with mapItem. When `pages` or `limit` is requested, consecutive pages are fetched and
+// merged so infinite-scroll clients can load several pages in one call.
+const fetchPaginated = async (endpoint, params, query, mapItem = (item) => item) => {
+  const { page, pages, limit } = parsePagination(query);
+
+  const first = await fetchFromTmdb(endpoint, { ...params, page });
+  const totalPages = Math.min(first.total_pages || 1, MAX_TMDB_PAGE);
+  const pageSize = first.results.length || 20;
+
+  let wantedPages = pages || 1;
+  if (limit) {
+    wantedPages = Math.max(wantedPages, Math.ceil(limit / pageSize));
+  }
+  const lastPage = Math.max(page, Math.min(page + Math.min(wantedPages, MAX_AGGREGATED_PAGES) - 1, totalPages));
+
+  const remaining = [];
+  for (let next = page + 1; next <= lastPage; next += 1) {
+    remaining.push(fetchFromTmdb(endpoint, { ...params, page: next }));
+  }
+  const rest = await Promise.all(remaining);
+
+  let results = [first, ...rest].flatMap((data) => data.results);
+  if (limit) {
+    results = results.slice(0, limit);
+  }
+
+  return buildEnvelope(results.map(mapItem), page, lastPage, totalPages, first.total_results || 0);
+};
+
+// Envelope for one TMDb page that was already fetched, e.g. a list appended to a details
+// response with append_to_response
+const envelopeOf = (data, mapItem = (item) => item) => {
+  const page = data.page || 1;
+  const totalPages = Math.min(data.total_pages || 1, MAX_TMDB_PAGE);
+  return buildEnvelope((data.results || []).map(mapItem), page, page, totalPages, data.total_results || 0);
+};
+
+// Envelope for a list held in memory (e.g. the watchlist), cut into pages of
+// LOCAL_PAGE_SIZE results and read with the same page, pages and limit parameters
+const LOCAL_PAGE_SIZE = 20;
+
+const paginateList = (items, query = {}) => {
+  const { page, pages, limit } = parsePagination(query);
+  const totalPages = Math.max(1, Math.ceil(items.length / LOCAL_PAGE_SIZE));
+
+  let wantedPages = pages || 1;
+  if (limit) {
+    wantedPages = Math.max(wantedPages, Math.ceil(limit / LOCAL_PAGE_SIZE));
+  }
+  const lastPage = Math.max(page, Math.min(page + Math.min(wantedPages, MAX_AGGREGATED_PAGES) - 1, totalPages));
+
+  let results = items.slice((page - 1) * LOCAL_PAGE_SIZE, lastPage * LOCAL_PAGE_SIZE);
+  if (limit) {
+    results = results.slice(0, limit);
+  }
+
+  return buildEnvelope(results, page, lastPage, totalPages, items.length);
+};
+
+module.exports = { parsePagination, fetchPaginated, envelopeOf, paginateList, MAX_AGGREGATED_PAGES };
@@ -0,0 +1,148 @@
+// helpers/progressService.js
+const fetchFromTmdb = require('./tmdbHelper');
+const progressRepository = require('../repositories/progressRepository');
+const { ApiError } = require('./errors');
+const { mapWithConcurrency } = require('./concurrency');
+const TVShow = require('../models/TVShow');
+const Episode = require('../models/Episode');
+
+// TMDb requests kept in flight at once: seasons of one series, and series for up next
+// (so up next has at most SERIES_CONCURRENCY * SEASON_CONCURRENCY season requests pending)
+const SEASON_CONCURRENCY = 4;
+const SERIES_CONCURRENCY = 4;
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const hasAired = (episode, date) => Boolean(episode.air_date) && episode.air_date <= date;
+
+const episodeKey = (seasonNumber, episodeNumber) => `${seasonNumber}x${episodeNumber}`;
+
+// Load a series and every one of its seasons (with episodes) from TMDb
+const loadSeries = async (seriesId, params = {}) => {
+  const show = await fetchFromTmdb(`/tv/${seriesId}`, params);
+  const seasons = await mapWithConcurrency(show.seasons || [], SEASON_CONCURRENCY, (season) => (
+    fetchFromTmdb(`/tv/${seriesId}/season/${season.season_number}`, params)
+  ));
+  return { show, seasons: seasons.sort((a, b) => a.season_number - b.season_number) };
+};
+
+// Compute progress for one series from its TMDb seasons and the episodes the user watched.
+// Only aired episodes count. Specials (season 0) are reported separately and only count
+// towards the totals with includeSpecials; they never drive "next up".
+// options are the model options from req.mediaOptions (genre names, image URLs).
+const computeProgress = (show, seasons, watchedEpisodes, { includeSpecials = false, options = {} } = {}) => {
+  const date = today();
+  const watched = new Set(watchedEpisodes.map((episode) => episodeKey(episode.seasonNumber, episode.episodeNumber)));
+  const isWatched = (episode) => watched.has(episodeKey(episode.season_number, episode.episode_number));
+  const lastWatchedAt = watchedEpisodes.reduce((latest, { watchedAt }) => (!latest || watchedAt > latest ? watchedAt : latest), null);
+
+  const airedOf = (season) => (season.episodes || []).filter((episode) => hasAired(episode, date));
+  const regularAired = seasons.filter((season) => season.season_number > 0).flatMap(airedOf);
+  const specialsAired = seasons.filter((season) => season.season_number === 0).flatMap(airedOf);
+  const counted = includeSpecials ? [...specialsAired, ...regularAired] : regularAired;
+  const watchedCount = counted.filter(isWatched).length;
+
+  // Next up is the first unwatched episode after the furthest one watched, falling back to
+  // the earliest gap when everything after it has been seen
+  let furthestWatched = -1;
+  regularAired.forEach((episode, index) => {
+    if (isWatched(episode)) furthestWatched = index;
+  });
+  const nextEpisode = regularAired.slice(furthestWatched + 1).find((episode) => !isWatched(episode))
+    || regularAired.find((episode) => !isWatched(episode))
+    || null;
+
+  // Episodes that aired after the user last watched something from this show
+  const lastWatchedDate = lastWatchedAt ? lastWatchedAt.slice(0, 10) : null;
+  const newlyAired = lastWatchedDate
+    ? counted.filter((episode) => !isWatched(episode) && episode.air_date > lastWatchedDate).length
+    : 0;
+
+  return {
+    seriesId: show.id,
+    show: new TVShow(show, options),
+    airedEpisodes: counted.length,
+    watchedEpisodes: watchedCount,
+    remainingEpisodes: counted.length - watchedCount,
+    percentComplete: counted.length === 0 ? 0 : Math.round((watchedCount / counted.length) * 100),
+    completed: counted.length > 0 && watchedCount === counted.length,
+    lastWatchedAt,
+    newlyAiredEpisodes: newlyAired,
+    nextEpisode: nextEpisode ? new Episode({ ...nextEpisode, show_id: show.id }, options) : null,
+    upcomingEpisode: show.next_episode_to_air ? new Episode({ ...show.next_episode_to_air, show_id: show.id }, options) : null,
+    includeSpecials,
+    specials: {
+      airedEpisodes: specialsAired.length,
+      watchedEpisodes: specialsAired.filter(isWatched).length,
+    },
+    seasons: seasons.map((season) => {
+      const aired = airedOf(season);
+      const seasonWatched = (season.episodes || []).filter(isWatched).length;
+      return {
+        seasonNumber: season.season_number,
+        name: season.name,
+        episodeCount: (season.episodes || []).length,
+        airedEpisodes: aired.length,
+        watchedEpisodes: seasonWatched,
+        completed: aired.length > 0 && aired.every(isWatched),
+      };
+    }),
+  };
+};
+
+const getSeriesProgress = async (userId, seriesId, { includeSpecials = false, params = {}, options = {} } = {}) => {
+  const [{ show, seasons }, watchedEpisodes] = await Promise.all([
+    loadSeries(seriesId, params),
+    progressRepository.listWatchedEpisodes(userId, seriesId),
+  ]);
+  return computeProgress(show, seasons, watchedEpisodes, { includeSpecials, options });
+};
+
+// Next episode for every show the user has started, most recently watched first.
+// Finished shows without new episodes are left out.
+const getUpNext = async (userId, { includeSpecials = false, params = {}, options = {} } = {}) => {
+  const tracked = await progressRepository.listTrackedSeries(userId);
+  const progress = await mapWithConcurrency(tracked, SERIES_CONCURRENCY, ({ seriesId }) => (
+    getSeriesProgress(userId, seriesId, { includeSpecials, params, options })
+  ));
+  return progress
+    .filter((entry) => entry.nextEpisode)
+    .sort((a, b) => (a.lastWatchedAt < b.lastWatchedAt ? 1 : -1))
+    .map(({ seasons, ...entry }) => entry);
+};
+
+// Mark one aired episode, or every aired episode of a season when episodeNumber is omitted
+const markWatched = async (userId, seriesId, seasonNumber, episodeNumber, watchedAt, params = {}) => {
+  const season = await fetchFromTmdb(`/tv/${seriesId}/season/${seasonNumber}`, params);
+  const date = today();
+  let episodes = (season.episodes || []).filter((episode) => hasAired(episode, date));
+
+  if (episodeNumber !== undefined) {
+    episodes = (season.episodes || []).filter((episode) => episode.episode_number === episodeNumber);
+    if (episodes.length === 0) {
+      throw new ApiError(404, 'NOT_FOUND', `Episode ${episodeNumber} not found in season ${seasonNumber}`);
+    }
+    if (!hasAired(episodes[0], date)) {
+      throw new ApiError(400, 'INVALID_REQUEST', `Episode S${seasonNumber}E${episodeNumber} has not aired yet`);
+    }
+  }
+
+  await progressRepository.markWatched(
+    userId,
+    seriesId,
+    episodes.map((episode) => ({ seasonNumber, episodeNumber: episode.episode_number })),
+    watchedAt,
+  );
+};
+
+const unmarkWatched = (userId, seriesId, seasonNumber, episodeNumber) => (
+  progressRepository.unmarkWatched(userId, seriesId, seasonNumber, episodeNumber)
+);
+
+module.exports = {
+  computeProgress,
+  getSeriesProgress,
+  getUpNext,
+  markWatched,
+  unmarkWatched,
+};
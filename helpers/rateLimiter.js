@@ -0,0 +1,44 @@
+// helpers/rateLimiter.js
+
+// Client-side token bucket. Each request takes a token; tokens refill continuously at
+// `refillPerSecond` up to `capacity`. When the bucket is empty, take() waits until a token
+// is available instead of rejecting, so bursts are smoothed out rather than failed.
+class TokenBucket {
+  constructor({ capacity = 40, refillPerSecond = 40 } = {}) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.lastRefill = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefill) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsedSeconds * this.refillPerSecond);
+    this.lastRefill = now;
+  }
+
+  // Requests are chained so waiting callers are served in arrival order
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        const waitMs = Math.ceil(((1 - this.tokens) / this.refillPerSecond) * 1000);
+        await new Promise((resolve) => setTimeout(resolve, waitMs));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  // Drain the bucket for the given time, used when TMDb tells us to back off
+  pause(ms) {
+    this.tokens = Math.min(this.tokens, 0) - (ms / 1000) * this.refillPerSecond;
+    this.lastRefill = Date.now();
+  }
+}
+
+module.exports = TokenBucket;
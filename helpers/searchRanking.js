@@ -0,0 +1,94 @@
+// helpers/searchRanking.js
+const config = require('../config');
+
+// A release this many years old scores half of a new one on recency
+const RECENCY_HALF_LIFE_YEARS = 10;
+// log10(popularity + 1) / 3: a TMDb popularity of ~1000 scores 1
+const POPULARITY_SCALE = 3;
+const MAX_FUZZY_VARIANTS = 3;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+// Lowercase, without accents or punctuation, so "Amélie!" matches "amelie"
+const normalize = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j += 1) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical strings down to 0 for nothing in common
+const similarity = (a, b) => (a || b ? 1 - levenshtein(a, b) / Math.max(a.length, b.length) : 1);
+
+const titlesOf = (item) => [item.title, item.name, item.original_title, item.original_name].filter(Boolean).map(normalize);
+
+// How well any title of a TMDb result matches the query, from 0 to 1: exact matches first,
+// then titles starting with the query, titles containing every word of it, and finally
+// titles that are merely close (typos)
+const titleScore = (query, item) => {
+  const wanted = normalize(query);
+  const words = wanted.split(' ');
+  const scores = titlesOf(item).map((title) => {
+    if (title === wanted) return 1;
+    if (title.startsWith(wanted)) return 0.8;
+    const titleWords = title.split(' ');
+    if (words.every((word) => titleWords.includes(word))) return 0.6;
+    return 0.5 * Math.max(similarity(wanted, title), similarity(wanted, title.slice(0, wanted.length)));
+  });
+  return Math.max(0, ...scores);
+};
+
+const popularityScore = (item) => Math.min(1, Math.log10((item.popularity || 0) + 1) / POPULARITY_SCALE);
+
+// Decays with the age of the release (or first air) date; undated results score 0 and
+// upcoming ones 1
+const recencyScore = (item, now = Date.now()) => {
+  const date = Date.parse(item.release_date || item.first_air_date || '');
+  if (Number.isNaN(date)) return 0;
+  const age = (now - date) / YEAR_MS;
+  return age <= 0 ? 1 : 0.5 ** (age / RECENCY_HALF_LIFE_YEARS);
+};
+
+// Weighted score of a raw TMDb search result for the query, rounded to 4 decimals.
+// Weights default to config.search.weights.
+const scoreResult = (query, item, weights = config.search.weights) => {
+  const score = weights.title * titleScore(query, item)
+    + weights.popularity * popularityScore(item)
+    + weights.recency * recencyScore(item);
+  return Math.round(score * 10000) / 10000;
+};
+
+// Looser versions of a query to retry with when it finds nothing. TMDb matches word
+// prefixes, so cutting long words short survives most typos past their first letters.
+const fuzzyVariants = (query) => {
+  const words = normalize(query).split(' ').filter(Boolean);
+  const variants = [
+    words.join(' '),
+    words.map((word) => (word.length > 4 ? word.slice(0, Math.ceil(word.length * 0.6)) : word)).join(' '),
+  ];
+  if (words.length > 1) {
+    variants.push([...words].sort((a, b) => b.length - a.length)[0]);
+  }
+  const original = query.trim().toLowerCase();
+  return [...new Set(variants)].filter((variant) => variant && variant !== original).slice(0, MAX_FUZZY_VARIANTS);
+};
+
+module.exports = {
+  normalize,
+  titleScore,
+  popularityScore,
+  recencyScore,
+  scoreResult,
+  fuzzyVariants,
+};
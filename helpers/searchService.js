@@ -0,0 +1,191 @@
+// helpers/searchService.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { ApiError } = require('./errors');
+const { fetchPaginated } = require('./pagination');
+const { MIN_YEAR, MAX_YEAR, createParser } = require('./discoverFilters');
+const { scoreResult, fuzzyVariants } = require('./searchRanking');
+const titleIndex = require('./titleIndex');
+const Movie = require('../models/Movie');
+const TVShow = require('../models/TVShow');
+const Person = require('../models/Person');
+const Collection = require('../models/Collection');
+const Company = require('../models/Company');
+
+// Multi-search mixes movies, TV shows and people
+const toSearchResult = (item, options) => {
+  switch (item.media_type) {
+    case 'movie':
+      return new Movie(item, options);
+    case 'tv':
+      return new TVShow(item, options);
+    case 'person':
+      return new Person(item, options);
+    default:
+      return item; // Fallback in case of unexpected media types
+  }
+};
+
+// TMDb search endpoints by type: the filters each one accepts and how its results are mapped
+const SEARCH_TYPES = {
+  movie: {
+    filters: ['include_adult', 'year', 'primary_release_year'],
+    mapItem: (item, options) => new Movie(item, options),
+  },
+  tv: {
+    filters: ['include_adult', 'year', 'first_air_date_year'],
+    mapItem: (item, options) => new TVShow(item, options),
+  },
+  person: {
+    filters: ['include_adult'],
+    mapItem: (item, options) => new Person(item, options),
+  },
+  multi: {
+    filters: ['include_adult'],
+    mapItem: toSearchResult,
+  },
+  collection: {
+    filters: ['include_adult'],
+    mapItem: (item, options) => new Collection(item, options),
+  },
+  company: {
+    filters: [],
+    mapItem: (item, options) => new Company(item, options),
+  },
+  keyword: {
+    filters: [],
+    mapItem: (item) => item,
+  },
+};
+
+const YEAR_FILTERS = ['year', 'primary_release_year', 'first_air_date_year'];
+
+// The search text; arrays (?query=a&query=b) and blank strings count as missing
+const parseSearchQuery = (query = {}) => {
+  const text = typeof query.query === 'string' ? query.query.trim() : '';
+  if (!text) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid request parameters', [{ field: 'query', message: 'query is required' }]);
+  }
+  return text;
+};
+
+// TMDb params for the filters a search type accepts; filters of other types are ignored
+const parseSearchFilters = (type, query = {}) => {
+  const { invalid, number, oneOf } = createParser(query);
+  const params = {};
+
+  SEARCH_TYPES[type].filters.forEach((filter) => {
+    if (filter === 'include_adult') {
+      const includeAdult = oneOf('include_adult', ['true', 'false']);
+      if (includeAdult !== undefined) params.include_adult = includeAdult === 'true';
+    } else if (YEAR_FILTERS.includes(filter)) {
+      const year = number(filter, { min: MIN_YEAR, max: MAX_YEAR, integer: true });
+      if (year !== undefined) params[filter] = year;
+    }
+  });
+
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid search filters', invalid);
+  }
+  return params;
+};
+
+// Search TMDb for one type and return the paginated envelope. Everything taken from the
+// request goes through the params object, so user input can never add or override TMDb
+// params; `query` is set last for the same reason. Results also feed the autocomplete
+// title index.
+const search = async (type, query = {}, { params = {}, options = {} } = {}) => {
+  if (!SEARCH_TYPES[type]) {
+    throw new ApiError(400, 'INVALID_REQUEST', `type must be one of: ${Object.keys(SEARCH_TYPES).join(', ')}`);
+  }
+  const text = parseSearchQuery(query);
+  const filters = parseSearchFilters(type, query);
+  const { mapItem } = SEARCH_TYPES[type];
+  return fetchPaginated(`/search/${type}`, { ...params, ...filters, query: text }, query, (item) => {
+    titleIndex.remember(type, [item]);
+    return mapItem(item, options);
+  });
+};
+
+// Types the unified search can fan out to (multi would duplicate movie, tv and person)
+const UNIFIED_TYPES = ['movie', 'tv', 'person', 'collection', 'company', 'keyword'];
+const DEFAULT_UNIFIED_TYPES = ['movie', 'tv', 'person'];
+const LAYOUTS = ['interleaved', 'grouped'];
+const MAX_UNIFIED_LIMIT = 50;
+
+// types, layout and limit of a unified search; every invalid one is reported in one 400
+const parseUnifiedSearch = (query = {}) => {
+  const { invalid, number, oneOf } = createParser(query);
+
+  let types = DEFAULT_UNIFIED_TYPES;
+  if (query.types !== undefined && query.types !== '') {
+    types = [...new Set(String(query.types).split(',').map((type) => type.trim()))];
+    if (!types.every((type) => UNIFIED_TYPES.includes(type))) {
+      invalid.push({ field: 'types', message: `types must be a comma-separated list of: ${UNIFIED_TYPES.join(', ')}` });
+    }
+  }
+  const layout = oneOf('layout', LAYOUTS) || 'interleaved';
+  const limit = number('limit', { min: 1, max: MAX_UNIFIED_LIMIT, integer: true }) || 20;
+
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid search parameters', invalid);
+  }
+  return { types, layout, limit };
+};
+
+// Search several types at once and rank everything together with scoreResult. Only the
+// first TMDb page of each type is ranked. When nothing matches, the fuzzy variants of the
+// query are tried in turn; results are still scored against the original query.
+// layout 'interleaved' returns the best `limit` results of all types, 'grouped' the best
+// `limit` of each type, best group first.
+const searchAll = async (query = {}, { params = {}, options = {}, weights } = {}) => {
+  const text = parseSearchQuery(query);
+  const { types, layout, limit } = parseUnifiedSearch(query);
+  const filters = types.map((type) => parseSearchFilters(type, query));
+
+  const searchTypes = (searchText) => Promise.all(types.map((type, index) => (
+    fetchFromTmdb(`/search/${type}`, { ...params, ...filters[index], query: searchText, page: 1 })
+  )));
+  const hasResults = (pages) => pages.some((page) => (page.results || []).length > 0);
+
+  let matchedQuery = text;
+  let pages = await searchTypes(text);
+  const variants = hasResults(pages) ? [] : fuzzyVariants(text);
+  for (const variant of variants) {
+    const variantPages = await searchTypes(variant);
+    if (hasResults(variantPages)) {
+      matchedQuery = variant;
+      pages = variantPages;
+      break;
+    }
+  }
+
+  types.forEach((type, index) => titleIndex.remember(type, pages[index].results));
+  const ranked = types.flatMap((type, index) => (pages[index].results || []).map((item) => ({
+    type,
+    score: scoreResult(text, item, weights),
+    item,
+  }))).sort((a, b) => b.score - a.score);
+  const toResult = ({ type, score, item }) => ({ type, score, item: SEARCH_TYPES[type].mapItem(item, options) });
+
+  const totals = types.reduce((result, type, index) => ({ ...result, [type]: pages[index].total_results || 0 }), {});
+  const response = { query: text, matchedQuery, fuzzy: matchedQuery !== text, totals };
+
+  if (layout === 'grouped') {
+    // Ranked is sorted, so the first result of each type is its best one
+    const groups = types
+      .map((type) => ({ type, results: ranked.filter((result) => result.type === type).slice(0, limit) }))
+      .sort((a, b) => (b.results.length ? b.results[0].score : -1) - (a.results.length ? a.results[0].score : -1));
+    return { ...response, groups: groups.map((group) => ({ ...group, results: group.results.map(toResult) })) };
+  }
+  return { ...response, results: ranked.slice(0, limit).map(toResult) };
+};
+
+module.exports = {
+  SEARCH_TYPES,
+  UNIFIED_TYPES,
+  parseSearchQuery,
+  parseSearchFilters,
+  parseUnifiedSearch,
+  search,
+  searchAll,
+};
@@ -0,0 +1,71 @@
+// helpers/titleIndex.js
+const config = require('../config');
+const { normalize } = require('./searchRanking');
+
+// Recently seen movies, TV shows and people, keyed by "type:id" in least recently seen
+// order, so autocomplete can answer prefix queries without calling TMDb
+const entries = new Map();
+const maxEntries = config.autocomplete.indexSize;
+
+const dateOf = (item) => item.release_date || item.first_air_date || '';
+
+// Compact entry of a raw TMDb movie, tv or person result; null for anything else
+const entryOf = (type, item) => {
+  const title = type === 'movie' ? item.title : item.name;
+  if (!['movie', 'tv', 'person'].includes(type) || !item.id || !title) return null;
+  const year = Number(dateOf(item).slice(0, 4));
+  return {
+    type,
+    id: item.id,
+    title,
+    year: year || null,
+    imagePath: (type === 'person' ? item.profile_path : item.poster_path) || null,
+    popularity: item.popularity || 0,
+    normalized: normalize(title),
+  };
+};
+
+// Add (or refresh) TMDb results; `type` may be 'multi' when the items carry a media_type
+const remember = (type, items = []) => {
+  items.forEach((item) => {
+    const entry = entryOf(type === 'multi' ? item.media_type : type, item);
+    if (!entry) return;
+    const key = `${entry.type}:${entry.id}`;
+    entries.delete(key);
+    entries.set(key, entry);
+  });
+  while (entries.size > maxEntries) {
+    entries.delete(entries.keys().next().value);
+  }
+};
+
+// Entries whose title starts with the query, then those where every query word starts a
+// word of the title, most popular first
+const match = (query, limit) => {
+  const wanted = normalize(query);
+  if (!wanted) return [];
+  const words = wanted.split(' ');
+  const rankOf = (entry) => {
+    if (entry.normalized.startsWith(wanted)) return 2;
+    const titleWords = entry.normalized.split(' ');
+    return words.every((word) => titleWords.some((titleWord) => titleWord.startsWith(word))) ? 1 : 0;
+  };
+  return [...entries.values()]
+    .map((entry) => ({ entry, rank: rankOf(entry) }))
+    .filter(({ rank }) => rank > 0)
+    .sort((a, b) => b.rank - a.rank || b.entry.popularity - a.entry.popularity)
+    .slice(0, limit)
+    .map(({ entry }) => entry);
+};
+
+const clear = () => entries.clear();
+
+const size = () => entries.size;
+
+module.exports = {
+  entryOf,
+  remember,
+  match,
+  clear,
+  size,
+};
@@ -0,0 +1,122 @@
+// helpers/tmdbCache.js
+require('dotenv').config();
+const { MemoryStore, FileStore } = require('./cacheStores');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const DEFAULT_TTL = Number(process.env.TMDB_CACHE_DEFAULT_TTL_MS) || 10 * MINUTE;
+
+// Per-endpoint TTLs, first match wins. Lists that change through the day are kept short,
+// while credits, images and other static sub-resources can live much longer.
+const TTL_RULES = [
+  { pattern: /^\/(movie|tv|person)\/latest$/, ttl: 1 * MINUTE },
+  { pattern: /^\/(movie|tv|person)\/(popular|now_playing|upcoming|top_rated|airing_today|on_the_air)$/, ttl: 5 * MINUTE },
+  { pattern: /^\/trending\//, ttl: 5 * MINUTE },
+  { pattern: /^\/search\//, ttl: 15 * MINUTE },
+  { pattern: /\/watch\/providers$/, ttl: 6 * HOUR },
+  { pattern: /^\/watch\/providers\//, ttl: 24 * HOUR },
+  { pattern: /\/(credits|aggregate_credits|images|external_ids|movie_credits|tv_credits|combined_credits)$/, ttl: 24 * HOUR },
+  { pattern: /^\/(configuration|genre)\b/, ttl: 24 * HOUR },
+  { pattern: /^\/authentication\//, ttl: 0 },
+];
+
+const getTtlForEndpoint = (endpoint) => {
+  const rule = TTL_RULES.find(({ pattern }) => pattern.test(endpoint));
+  return rule ? rule.ttl : DEFAULT_TTL;
+};
+
+// Build a stable key from the endpoint and its params: keys are sorted, empty values are
+// dropped and the API key is never part of the key.
+const buildCacheKey = (endpoint, params = {}) => {
+  const normalized = Object.keys(params)
+    .filter((key) => key !== 'api_key' && params[key] !== undefined && params[key] !== null && params[key] !== '')
+    .sort()
+    .map((key) => `${key}=${String(params[key]).trim()}`)
+    .join('&');
+
+  return normalized ? `${endpoint}?${normalized}` : endpoint;
+};
+
+const createDefaultStore = () => {
+  if (process.env.TMDB_CACHE_STORE === 'file') {
+    return new FileStore(process.env.TMDB_CACHE_FILE ? { filePath: process.env.TMDB_CACHE_FILE } : {});
+  }
+  return new MemoryStore({ maxEntries: Number(process.env.TMDB_CACHE_MAX_ENTRIES) || 500 });
+};
+
+let store = createDefaultStore();
+let enabled = process.env.TMDB_CACHE_ENABLED !== 'false';
+const stats = { hits: 0, misses: 0, errors: 0 };
+
+// Swap the backing store, e.g. setStore(new RedisStore(redisClient)).
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+const setEnabled = (value) => {
+  enabled = Boolean(value);
+};
+
+// Cache failures are logged and treated as misses so they never fail the request.
+const get = async (key) => {
+  if (!enabled) return undefined;
+  try {
+    const value = await store.get(key);
+    if (value === undefined) {
+      stats.misses += 1;
+    } else {
+      stats.hits += 1;
+    }
+    return value;
+  } catch (error) {
+    stats.errors += 1;
+    console.error(`[TMDb Cache Error] ${error.message}`);
+    return undefined;
+  }
+};
+
+const set = async (key, value, ttl) => {
+  if (!enabled || ttl <= 0) return;
+  try {
+    await store.set(key, value, ttl);
+  } catch (error) {
+    stats.errors += 1;
+    console.error(`[TMDb Cache Error] ${error.message}`);
+  }
+};
+
+const clear = async () => {
+  await store.clear();
+};
+
+const getStats = () => {
+  const lookups = stats.hits + stats.misses;
+  return {
+    enabled,
+    store: store.constructor.name,
+    hits: stats.hits,
+    misses: stats.misses,
+    errors: stats.errors,
+    hitRate: lookups === 0 ? 0 : Number((stats.hits / lookups).toFixed(3)),
+  };
+};
+
+const resetStats = () => {
+  stats.hits = 0;
+  stats.misses = 0;
+  stats.errors = 0;
+};
+
+module.exports = {
+  TTL_RULES,
+  getTtlForEndpoint,
+  buildCacheKey,
+  setStore,
+  setEnabled,
+  get,
+  set,
+  clear,
+  getStats,
+  resetStats,
+};
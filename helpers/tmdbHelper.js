@@ -1,14 +1,123 @@
 // helpers/tmdbHelper.js
 require('dotenv').config();
 const axios = require('axios');
+const tmdbCache = require('./tmdbCache');
+const TokenBucket = require('./rateLimiter');
+const CircuitBreaker = require('./circuitBreaker');
+const { TmdbError } = require('./errors');
 
 const tmdbApiKey = process.env.TMDB_API_KEY;
 const tmdbBaseUrl = process.env.TMDB_BASE_URL.endsWith('/') ? process.env.TMDB_BASE_URL.slice(0, -1) : process.env.TMDB_BASE_URL;
 
-// Helper function to make TMDb API calls
-const fetchFromTmdb = async (endpoint, params = {}) => {
-  const url = `${tmdbBaseUrl}${endpoint.startsWith('/') ? endpoint : `/${endpoint}`}`;
-  const fullParams = { api_key: tmdbApiKey, ...params };
+// Retry, rate limit and circuit breaker settings, overridable through the environment
+// or at runtime with fetchFromTmdb.configure()
+const settings = {
+  timeoutMs: Number(process.env.TMDB_TIMEOUT_MS) || 10000,
+  maxRetries: process.env.TMDB_MAX_RETRIES !== undefined ? Number(process.env.TMDB_MAX_RETRIES) : 3,
+  retryBaseDelayMs: Number(process.env.TMDB_RETRY_BASE_DELAY_MS) || 300,
+  retryMaxDelayMs: Number(process.env.TMDB_RETRY_MAX_DELAY_MS) || 10000,
+};
+
+let rateLimiter = new TokenBucket({
+  capacity: Number(process.env.TMDB_RATE_LIMIT_BURST) || 40,
+  refillPerSecond: Number(process.env.TMDB_RATE_LIMIT_PER_SECOND) || 40,
+});
+
+let circuitBreaker = new CircuitBreaker({
+  failureThreshold: Number(process.env.TMDB_CIRCUIT_FAILURE_THRESHOLD) || 5,
+  resetTimeoutMs: Number(process.env.TMDB_CIRCUIT_RESET_MS) || 30000,
+});
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Network errors and timeouts have no response; those are retried along with 429 and 5xx
+const isRetryable = (error) => !error.response || RETRYABLE_STATUSES.includes(error.response.status);
+
+// Retry-After can be either a number of seconds or an HTTP date
+const parseRetryAfter = (header) => {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+// Exponential backoff with full jitter
+const backoffDelay = (attempt) => {
+  const ceiling = Math.min(settings.retryMaxDelayMs, settings.retryBaseDelayMs * 2 ** attempt);
+  return Math.floor(Math.random() * ceiling);
+};
+
+// The breaker sees one outcome per logical request: retries happen inside a request the
+// breaker already let through, and only a request that failed every attempt counts as a
+// failure. Running out of retries on 429 means TMDb is throttling us, not that it is down.
+const requestWithRetry = async (url, params) => {
+  if (!circuitBreaker.canRequest()) {
+    throw new TmdbError('TMDb is unavailable (circuit breaker open)', {
+      code: 'ECIRCUITOPEN',
+      retryAfterMs: circuitBreaker.retryAfterMs(),
+    });
+  }
+
+  for (let attempt = 0; ; attempt += 1) {
+    await rateLimiter.take();
+
+    try {
+      const response = await axios.get(url, { params, timeout: settings.timeoutMs });
+      circuitBreaker.recordSuccess();
+      return response;
+    } catch (error) {
+      if (!isRetryable(error)) {
+        // The service answered (e.g. 401 or 404), so it is healthy as far as the breaker cares
+        circuitBreaker.recordSuccess();
+        throw error;
+      }
+
+      const throttled = Boolean(error.response) && error.response.status === 429;
+      if (attempt >= settings.maxRetries) {
+        if (throttled) {
+          circuitBreaker.recordSuccess();
+        } else {
+          circuitBreaker.recordFailure();
+        }
+        throw error;
+      }
+
+      let delay = backoffDelay(attempt);
+      if (throttled) {
+        const retryAfter = parseRetryAfter(error.response.headers['retry-after']);
+        if (retryAfter !== null) {
+          delay = Math.min(settings.retryMaxDelayMs, retryAfter);
+          rateLimiter.pause(delay);
+        }
+      }
+
+      console.warn(`[TMDb Retry] ${error.message} - attempt ${attempt + 1}/${settings.maxRetries}, retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+};
+
+// Helper function to make TMDb API calls. With `fresh`, the cached response is skipped and
+// replaced, for callers that must see TMDb's current data (e.g. availability alerts).
+const fetchFromTmdb = async (endpoint, params = {}, { fresh = false } = {}) => {
+  const path = endpoint.startsWith('/') ? endpoint : `/${endpoint}`;
+  // Query values belong in params, where axios encodes them; never in the endpoint
+  if (/[?#]/.test(path)) {
+    throw new Error(`TMDb endpoint must not contain a query string: ${path}`);
+  }
+  const url = `${tmdbBaseUrl}${path}`;
+  // The API key goes last so that params can never replace it
+  const fullParams = { ...params, api_key: tmdbApiKey };
+
+  // Serve from the cache when possible; the key never includes the API key
+  const cacheKey = tmdbCache.buildCacheKey(path, params);
+  const cached = fresh ? undefined : await tmdbCache.get(cacheKey);
+  if (cached !== undefined) {
+    return cached;
+  }
 
   // Log the request details for each call to TMDb
   console.log(`\n[Sending Request to TMDb]`);
@@ -16,12 +125,28 @@ const fetchFromTmdb = async (endpoint, params = {}) => {
   console.log(`- Params: ${JSON.stringify(fullParams)}\n`);
 
   try {
-    const response = await axios.get(url, { params: fullParams });
+    const response = await requestWithRetry(url, fullParams);
+    await tmdbCache.set(cacheKey, response.data, tmdbCache.getTtlForEndpoint(path));
     return response.data;
   } catch (error) {
     console.error(`[TMDb Error] ${error.message}`);
-    throw error;
+    throw TmdbError.fromAxiosError(error, path);
+  }
+};
+
+// Adjust retry, rate limit and circuit breaker settings at runtime (e.g. in tests)
+const configure = (options = {}) => {
+  const { rateLimit, circuitBreaker: breakerOptions, ...retryOptions } = options;
+  Object.assign(settings, retryOptions);
+  if (rateLimit) {
+    rateLimiter = new TokenBucket(rateLimit);
+  }
+  if (breakerOptions) {
+    circuitBreaker = new CircuitBreaker(breakerOptions);
   }
 };
 
 module.exports = fetchFromTmdb;
+module.exports.cache = tmdbCache;
+module.exports.configure = configure;
+module.exports.getCircuitState = () => circuitBreaker.getState();
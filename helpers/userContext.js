@@ -0,0 +1,7 @@
+// helpers/userContext.js
+
+// Owner of user data for the request. Anonymous requests (on routers that don't require
+// authentication) share the local user.
+const userIdOf = (req) => (req.user ? req.user.id : 'local');
+
+module.exports = { userIdOf };
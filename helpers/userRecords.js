@@ -0,0 +1,25 @@
+// helpers/userRecords.js
+const { MEDIA_TYPES } = require('./mediaHydrator');
+const { ApiError } = require('./errors');
+
+// Shared by the routers that store per-user records about titles (watchlist, notifications)
+
+// Drop the owner from stored records before returning them
+const withoutUser = ({ userId, ...record }) => record;
+
+const parseMediaType = (value) => {
+  if (!MEDIA_TYPES.includes(value)) {
+    throw new ApiError(400, 'INVALID_REQUEST', `type must be one of: ${MEDIA_TYPES.join(', ')}`);
+  }
+  return value;
+};
+
+const parseTmdbId = (value) => {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'id must be a positive integer');
+  }
+  return id;
+};
+
+module.exports = { withoutUser, parseMediaType, parseTmdbId };
@@ -0,0 +1,140 @@
+// helpers/watchAvailability.js
+const fetchFromTmdb = require('./tmdbHelper');
+const { ApiError, TmdbError } = require('./errors');
+const { MONETIZATION_TYPES } = require('./discoverFilters');
+const { mapWithConcurrency } = require('./concurrency');
+const { mapTmdbError } = require('../middleware/errorHandler');
+const subscriptionRepository = require('../repositories/subscriptionRepository');
+
+// Monetization types that count as "streamable on a service the user pays for"
+const SUBSCRIPTION_TYPES = ['flatrate'];
+
+const MAX_BATCH_TITLES = 50;
+
+// TMDb requests a batch keeps in flight at once, so one call can't drain the rate limiter
+const BATCH_CONCURRENCY = 8;
+
+const parseIdList = (value, field, invalid) => {
+  if (value === undefined || value === '') return undefined;
+  const ids = String(value).split(',').map((id) => id.trim());
+  if (!ids.every((id) => /^\d+$/.test(id))) {
+    invalid.push({ field, message: `${field} must be a comma-separated list of numeric IDs` });
+    return undefined;
+  }
+  return ids.map(Number);
+};
+
+// Region comes from the (already validated) request locale; watchProviders and monetization
+// narrow the providers that are returned.
+const parseAvailabilityFilters = (query = {}, locale = {}) => {
+  const invalid = [];
+  const providerIds = parseIdList(query.watchProviders, 'watchProviders', invalid);
+
+  let monetization = MONETIZATION_TYPES;
+  if (query.monetization !== undefined && query.monetization !== '') {
+    monetization = String(query.monetization).split(',').map((type) => type.trim());
+    if (!monetization.every((type) => MONETIZATION_TYPES.includes(type))) {
+      invalid.push({ field: 'monetization', message: `monetization must be a comma-separated list of: ${MONETIZATION_TYPES.join(', ')}` });
+    }
+  }
+
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid watch provider filters', invalid);
+  }
+  return { region: locale.region || null, providerIds, monetization };
+};
+
+// Titles for the batch endpoint from ?movie=1,2&tv=3
+const parseBatchTitles = (query = {}) => {
+  const invalid = [];
+  const titles = ['movie', 'tv'].flatMap((type) => (parseIdList(query[type], type, invalid) || []).map((id) => ({ type, id })));
+  if (invalid.length > 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'Invalid title IDs', invalid);
+  }
+  if (titles.length === 0) {
+    throw new ApiError(400, 'INVALID_REQUEST', 'At least one movie or tv ID is required');
+  }
+  if (titles.length > MAX_BATCH_TITLES) {
+    throw new ApiError(400, 'INVALID_REQUEST', `At most ${MAX_BATCH_TITLES} titles can be requested at once`);
+  }
+  return titles;
+};
+
+const getSubscribedProviderIds = async (userId) => {
+  const { providerIds } = await subscriptionRepository.getSubscriptions(userId);
+  return new Set(providerIds);
+};
+
+const normalizeProvider = (provider, { images, subscribed }) => ({
+  id: provider.provider_id,
+  name: provider.provider_name,
+  displayPriority: provider.display_priority,
+  logoPath: provider.logo_path,
+  logo: images ? images.describe('logo', provider.logo_path) : undefined,
+  subscribed: subscribed.has(provider.provider_id),
+});
+
+// One country of TMDb's watch/providers results, grouped by monetization type
+const normalizeRegion = (entry, filters, options) => filters.monetization.reduce((region, type) => ({
+  ...region,
+  [type]: (entry[type] || [])
+    .filter((provider) => !filters.providerIds || filters.providerIds.includes(provider.provider_id))
+    .sort((a, b) => a.display_priority - b.display_priority)
+    .map((provider) => normalizeProvider(provider, options)),
+}), { link: entry.link || null });
+
+// Normalize TMDb's per-country results: keep the requested region (or all of them), group
+// providers by monetization type and flag the ones the user subscribes to.
+// options: { images: ImageUrlBuilder, subscribed: Set of provider IDs }
+const normalizeAvailability = (results = {}, filters, options) => {
+  const countries = filters.region ? [filters.region].filter((region) => results[region]) : Object.keys(results).sort();
+  const regions = countries.reduce((normalized, country) => ({
+    ...normalized,
+    [country]: normalizeRegion(results[country], filters, options),
+  }), {});
+
+  const subscribedProviders = new Map();
+  Object.values(regions).forEach((region) => {
+    SUBSCRIPTION_TYPES.forEach((type) => (region[type] || [])
+      .filter((provider) => provider.subscribed)
+      .forEach((provider) => subscribedProviders.set(provider.id, provider)));
+  });
+
+  return {
+    region: filters.region,
+    regions,
+    onMySubscriptions: subscribedProviders.size > 0,
+    subscribedProviders: [...subscribedProviders.values()],
+  };
+};
+
+// Providers are the same in every language, so no locale params are sent and all
+// languages share one cache entry per title
+const getAvailability = async (type, id, filters, options) => {
+  const data = await fetchFromTmdb(`/${type}/${id}/watch/providers`);
+  return { type, id: Number(id), ...normalizeAvailability(data.results, filters, options) };
+};
+
+// Availability for several titles, at most BATCH_CONCURRENCY at a time. A title that fails
+// to load gets an error entry instead of failing the whole batch.
+const getBatchAvailability = (titles, filters, options) => mapWithConcurrency(titles, BATCH_CONCURRENCY, async ({ type, id }) => {
+  try {
+    return await getAvailability(type, id, filters, options);
+  } catch (error) {
+    if (!(error instanceof TmdbError)) throw error;
+    const { code, message } = mapTmdbError(error);
+    return { type, id, error: { code, message } };
+  }
+});
+
+module.exports = {
+  MAX_BATCH_TITLES,
+  SUBSCRIPTION_TYPES,
+  parseAvailabilityFilters,
+  parseBatchTitles,
+  getSubscribedProviderIds,
+  normalizeProvider,
+  normalizeAvailability,
+  getAvailability,
+  getBatchAvailability,
+};
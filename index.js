@@ -3,56 +3,155 @@ const express = require('express');
 const cors = require('cors');
 const path = require('path');
 const axios = require('axios');
+const config = require('./config');
 
 // Import controllers
 const tmdbController = require('./controller/tmdbController');
 const movieController = require('./controller/movieController');
 const tvShowController = require('./controller/tvShowController');
 const personController = require('./controller/personController');
+const watchlistController = require('./controller/watchlistController');
+const accountController = require('./controller/accountController');
+const notificationsController = require('./controller/notificationsController');
 
 // Import Swagger setup for the movie server
 const swaggerSetup = require('./swagger');
 
-// Function to create and start a new Express server on a specified port with a given controller
-const startServer = (port, controller, routePath) => {
+// Import shared middleware
+const requestId = require('./middleware/requestId');
+const mediaContext = require('./middleware/mediaContext');
+const validateRequests = require('./middleware/validation');
+const { authenticate, requireRole, protectRouter } = require('./middleware/auth');
+const authService = require('./helpers/authService');
+const scheduler = require('./jobs/scheduler');
+const { runAvailabilityCheck } = require('./jobs/availabilityAlerts');
+const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
+const { TmdbError } = require('./helpers/errors');
+
+// Every router the backend can serve, keyed by the names used in config.enabledRouters
+const controllers = {
+  tmdb: tmdbController,         // TMDb generic routes
+  movies: movieController,      // Movie-specific routes
+  tv: tvShowController,         // TV-specific routes
+  person: personController,     // Person-specific routes
+  watchlist: watchlistController, // User watchlist and watch history
+  account: accountController,   // Registration, login and API keys
+  notifications: notificationsController, // Followed titles and availability alerts
+};
+
+// Routers that serve TMDb content on every route (see middleware/mediaContext.js)
+const MEDIA_ROUTERS = ['tmdb', 'movies', 'tv', 'person'];
+
+// Static dashboard plus the endpoint it reads to find each router
+const mountDashboard = (app, routers) => {
+  app.use(express.static(path.join(__dirname, 'view')));
+
+  app.get('/dashboard/config', (req, res) => {
+    const urls = {};
+    routers.forEach(({ name, url }) => {
+      urls[name] = url;
+    });
+    res.json({ routers: urls });
+  });
+
+  // Endpoint to validate the TMDb API key
+  app.get('/validate', requireRole('admin'), async (req, res, next) => {
+    try {
+      await axios.get(`${process.env.TMDB_BASE_URL}/configuration`, {
+        params: { api_key: process.env.TMDB_API_KEY },
+      });
+      res.status(200).send('API key is valid.');
+    } catch (error) {
+      console.error('Error validating API key:', error.message);
+      next(TmdbError.fromAxiosError(error, '/configuration'));
+    }
+  });
+};
+
+// Create an Express app serving the given routers ({ name, basePath, url }).
+// The dashboard and /validate are only served by the app that hosts the TMDb router.
+const createApp = (routers, allRouters = routers) => {
   const app = express();
 
+  app.use(requestId);
   app.use(express.json());
   app.use(cors());
+  app.use(authenticate);
 
-  // Serve static files and validation only on the TMDb server
-  if (port === 3001) {
-    app.use(express.static(path.join(__dirname, 'view')));
-    
-    // Endpoint to validate the TMDb API key
-    app.get('/validate', async (req, res) => {
-      try {
-        await axios.get(`${process.env.TMDB_BASE_URL}/configuration`, {
-          params: { api_key: process.env.TMDB_API_KEY },
-        });
-        res.status(200).send('API key is valid.');
-      } catch (error) {
-        console.error('Error validating API key:', error.message);
-        res.status(500).send('API key is invalid or TMDB service is unavailable.');
-      }
-    });
+  if (routers.some(({ name }) => name === 'tmdb')) {
+    mountDashboard(app, allRouters);
   }
 
-  // Use the specified controller on its route path
-  app.use(routePath, controller);
+  // Use each controller on its route path, most specific paths first so that
+  // /api/movies is matched before the generic /api router in single-process mode
+  // Routers listed in config.auth.requiredRouters need a token or API key. The TMDb content
+  // routers resolve language/region, image sizes and (when asked) genre names per request;
+  // the watchlist and notifications do so only on the routes that return media.
+  [...routers].sort((a, b) => b.basePath.length - a.basePath.length).forEach(({ name, basePath }) => {
+    const handlers = [validateRequests(name)];
+    if (MEDIA_ROUTERS.includes(name)) {
+      handlers.push(...mediaContext);
+    }
+    if (config.auth.requiredRouters.includes(name)) {
+      handlers.unshift(protectRouter);
+    }
+    app.use(basePath, ...handlers, controllers[name]);
+  });
+
+  swaggerSetup(app, allRouters.map(({ name, url }) => ({ url, description: `${name} routes` })));
 
+  // Unknown routes and errors from any route share the same error envelope
+  app.use(notFoundHandler);
+  app.use(errorHandler);
 
-    swaggerSetup(app);
-  
+  return app;
+};
+
+// Resolve the enabled routers from config, with the public URL each one is reachable at
+const resolveRouters = () => config.enabledRouters.map((name) => {
+  if (!controllers[name]) {
+    throw new Error(`Unknown router "${name}" in ENABLED_ROUTERS`);
+  }
+  const { port, basePath } = config.routers[name];
+  const url = config.serverMode === 'single' ? basePath : `http://localhost:${port}${basePath}`;
+  return { name, port, basePath, url };
+});
 
-  // Start the server
+// Function to start an app on a specified port
+const startServer = (app, port, description) => {
   app.listen(port, () => {
-    console.log(`Server for ${routePath} running at http://localhost:${port}`);
+    console.log(`Server for ${description} running at http://localhost:${port}`);
+  });
+};
+
+const start = () => {
+  const routers = resolveRouters();
+
+  authService.ensureAdmin().catch((error) => {
+    console.error(`[Auth] Could not create the admin account: ${error.message}`);
+  });
+
+  // Background jobs run once per process, whatever the number of servers
+  if (config.alerts.enabled) {
+    scheduler.register('availabilityAlerts', config.alerts.intervalMs, () => runAvailabilityCheck());
+    scheduler.start();
+  }
+
+  if (config.serverMode === 'single') {
+    // One app, one port, every router under its base path
+    const description = routers.map(({ basePath }) => basePath).join(', ');
+    startServer(createApp(routers), config.port, description);
+    return;
+  }
+
+  // Start each server with the respective controller and designated port
+  routers.forEach((router) => {
+    startServer(createApp([router], routers), router.port, router.basePath);
   });
 };
 
-// Start each server with the respective controller and designated port
-startServer(3001, tmdbController, '/api');           // TMDb generic routes
-startServer(3002, movieController, '/api/movies');    // Movie-specific routes
-startServer(3003, tvShowController, '/api/tv');       // TV-specific routes
-startServer(3004, personController, '/api/person');   // Person-specific routes
+if (require.main === module) {
+  start();
+}
+
+module.exports = { createApp, resolveRouters, start };
@@ -0,0 +1,125 @@
+// jobs/availabilityAlerts.js
+const fetchFromTmdb = require('../helpers/tmdbHelper');
+const { TmdbError } = require('../helpers/errors');
+const { MONETIZATION_TYPES } = require('../helpers/discoverFilters');
+const { getSubscribedProviderIds } = require('../helpers/watchAvailability');
+const notificationService = require('../helpers/notificationService');
+const followRepository = require('../repositories/followRepository');
+
+const MONETIZATION_LABELS = {
+  flatrate: 'streaming',
+  free: 'free',
+  ads: 'free with ads',
+  rent: 'for rent',
+  buy: 'for purchase',
+};
+
+// Provider IDs per monetization type in one region, plus their names so providers that
+// disappear later can still be named
+const snapshotOf = (entry = {}) => MONETIZATION_TYPES.reduce((snapshot, type) => {
+  const providers = entry[type] || [];
+  providers.forEach((provider) => {
+    snapshot.names[provider.provider_id] = provider.provider_name;
+  });
+  return { ...snapshot, [type]: providers.map((provider) => provider.provider_id).sort((a, b) => a - b) };
+}, { names: {} });
+
+// Providers that appeared in or left each monetization type between two snapshots
+const diffSnapshots = (previous, current) => MONETIZATION_TYPES.flatMap((type) => {
+  const before = new Set(previous[type] || []);
+  const after = new Set(current[type] || []);
+  return [
+    ...[...after].filter((id) => !before.has(id)).map((providerId) => ({ change: 'added', monetization: type, providerId })),
+    ...[...before].filter((id) => !after.has(id)).map((providerId) => ({ change: 'removed', monetization: type, providerId })),
+  ];
+});
+
+const titleOf = async (type, tmdbId) => {
+  try {
+    const data = await fetchFromTmdb(`/${type}/${tmdbId}`, {}, { fresh: true });
+    return data.title || data.name || `${type} ${tmdbId}`;
+  } catch (error) {
+    return `${type} ${tmdbId}`;
+  }
+};
+
+const toNotification = ({ change, monetization, providerId }, follow, title, snapshots) => {
+  const provider = { id: providerId, name: snapshots.current.names[providerId] || snapshots.previous.names[providerId] || `Provider ${providerId}` };
+  const label = MONETIZATION_LABELS[monetization];
+  return {
+    event: `availability.${change}`,
+    media: { type: follow.type, id: follow.tmdbId, title },
+    region: follow.region,
+    provider,
+    monetization,
+    message: change === 'added'
+      ? `"${title}" is now ${label} on ${provider.name} in ${follow.region}`
+      : `"${title}" is no longer ${label} on ${provider.name} in ${follow.region}`,
+  };
+};
+
+// Load the current providers of a title, sharing one request per title and run. The TMDb
+// response cache is bypassed: comparing against a cached snapshot would hide every change
+// made within its TTL.
+const loadProviders = (follow, cache) => {
+  const key = `${follow.type}:${follow.tmdbId}`;
+  if (!cache.has(key)) {
+    cache.set(key, fetchFromTmdb(`/${follow.type}/${follow.tmdbId}/watch/providers`, {}, { fresh: true }).then((data) => data.results || {}));
+  }
+  return cache.get(key);
+};
+
+// Compare a follow with the current providers and save the new snapshot. Only changes on
+// providers the user subscribes to become notifications; the first check just records a
+// baseline.
+const checkFollow = async (follow, subscribed, cache = new Map()) => {
+  const results = await loadProviders(follow, cache);
+  const current = snapshotOf(results[follow.region]);
+  const previous = follow.snapshot;
+  await followRepository.updateSnapshot(follow.userId, follow.type, follow.tmdbId, current);
+  if (!previous) return [];
+
+  const changes = diffSnapshots(previous, current).filter(({ providerId }) => subscribed.has(providerId));
+  if (changes.length === 0) return [];
+
+  const title = await titleOf(follow.type, follow.tmdbId);
+  return changes.map((change) => toNotification(change, follow, title, { previous, current }));
+};
+
+// Re-check every follow (or those of one user), publish the resulting notifications per
+// user and return a summary. A title that fails to load is skipped until the next run.
+const runAvailabilityCheck = async ({ userId } = {}) => {
+  const follows = await followRepository.listFollows(userId);
+  const cache = new Map();
+  const summary = { checked: 0, failed: 0, notifications: 0 };
+
+  const byUser = follows.reduce((groups, follow) => {
+    groups.set(follow.userId, [...(groups.get(follow.userId) || []), follow]);
+    return groups;
+  }, new Map());
+
+  for (const [owner, userFollows] of byUser) {
+    const subscribed = await getSubscribedProviderIds(owner);
+    const notifications = [];
+    for (const follow of userFollows) {
+      try {
+        notifications.push(...await checkFollow(follow, subscribed, cache));
+        summary.checked += 1;
+      } catch (error) {
+        if (!(error instanceof TmdbError)) throw error;
+        summary.failed += 1;
+        console.warn(`[Alerts] Could not check ${follow.type} ${follow.tmdbId}: ${error.message}`);
+      }
+    }
+    summary.notifications += (await notificationService.publish(owner, notifications)).length;
+  }
+
+  return summary;
+};
+
+module.exports = {
+  snapshotOf,
+  diffSnapshots,
+  checkFollow,
+  runAvailabilityCheck,
+};
@@ -0,0 +1,75 @@
+// jobs/scheduler.js
+
+// Runs named background jobs on fixed intervals. A job never overlaps with itself: a tick
+// that fires while the previous run is still going is skipped. Timers are unref'd so they
+// don't keep the process alive on their own.
+class Scheduler {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  register(name, intervalMs, task) {
+    this.jobs.set(name, {
+      name,
+      intervalMs,
+      task,
+      timer: null,
+      running: false,
+      lastRunAt: null,
+      lastResult: null,
+      lastError: null,
+    });
+  }
+
+  start() {
+    this.jobs.forEach((job) => {
+      if (job.timer) return;
+      job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+      job.timer.unref();
+    });
+  }
+
+  stop() {
+    this.jobs.forEach((job) => {
+      clearInterval(job.timer);
+      job.timer = null;
+    });
+  }
+
+  // Run a job now; resolves with its result, or null when it was already running
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) throw new Error(`Unknown job "${name}"`);
+    if (job.running) return null;
+
+    job.running = true;
+    job.lastRunAt = new Date().toISOString();
+    try {
+      job.lastResult = await job.task();
+      job.lastError = null;
+      return job.lastResult;
+    } catch (error) {
+      job.lastError = error.message;
+      console.error(`[Scheduler] Job ${name} failed: ${error.message}`);
+      return null;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  getStatus() {
+    return [...this.jobs.values()].map(({ name, intervalMs, timer, running, lastRunAt, lastResult, lastError }) => ({
+      name,
+      intervalMs,
+      scheduled: Boolean(timer),
+      running,
+      lastRunAt,
+      lastResult,
+      lastError,
+    }));
+  }
+}
+
+// Shared scheduler for the process
+module.exports = new Scheduler();
+module.exports.Scheduler = Scheduler;
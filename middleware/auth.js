@@ -0,0 +1,51 @@
+// middleware/auth.js
+const authService = require('../helpers/authService');
+const { ApiError } = require('../helpers/errors');
+
+// Resolve the caller from "Authorization: Bearer <jwt or API key>" or "X-API-Key" and store
+// it on req.user. Anonymous requests pass through; routes decide whether they need a user.
+const authenticate = async (req, res, next) => {
+  const authorization = req.get('Authorization');
+  const bearer = authorization && authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+  const apiKey = req.get('X-API-Key') || (bearer && bearer.startsWith(authService.API_KEY_PREFIX) ? bearer : null);
+
+  try {
+    let user = null;
+    if (apiKey) {
+      user = await authService.authenticateApiKey(apiKey);
+      if (!user) return next(new ApiError(401, 'INVALID_API_KEY', 'Invalid API key'));
+    } else if (bearer) {
+      user = await authService.authenticateToken(bearer);
+      if (!user) return next(new ApiError(401, 'INVALID_TOKEN', 'Invalid or expired token'));
+    }
+
+    if (user) {
+      req.user = { id: user.id, username: user.username, role: user.role };
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const requireAuth = (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+  }
+  next();
+};
+
+const requireRole = (role) => (req, res, next) => {
+  if (!req.user) {
+    return next(new ApiError(401, 'UNAUTHORIZED', 'Authentication required'));
+  }
+  if (req.user.role !== role) {
+    return next(new ApiError(403, 'FORBIDDEN', `This endpoint requires the ${role} role`));
+  }
+  next();
+};
+
+// Guard for a whole router; its health check stays public for load balancers
+const protectRouter = (req, res, next) => (req.path === '/health' ? next() : requireAuth(req, res, next));
+
+module.exports = { authenticate, requireAuth, requireRole, protectRouter };
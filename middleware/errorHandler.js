@@ -0,0 +1,73 @@
+// middleware/errorHandler.js
+const { ApiError, TmdbError } = require('../helpers/errors');
+
+// Map an upstream TMDb failure to the status and code we expose to our clients
+const mapTmdbError = (error) => {
+  if (error.code === 'ECIRCUITOPEN') {
+    return { status: 503, code: 'TMDB_UNAVAILABLE', message: 'TMDb is temporarily unavailable' };
+  }
+  if (error.isTimeout) {
+    return { status: 504, code: 'TMDB_TIMEOUT', message: 'TMDb did not respond in time' };
+  }
+
+  switch (error.status) {
+    case 400:
+    case 422:
+      return { status: 400, code: 'TMDB_BAD_REQUEST', message: error.tmdbStatusMessage || 'TMDb rejected the request parameters' };
+    case 401:
+      return { status: 401, code: 'TMDB_UNAUTHORIZED', message: error.tmdbStatusMessage || 'TMDb rejected the API key' };
+    case 404:
+      return { status: 404, code: 'NOT_FOUND', message: error.tmdbStatusMessage || 'The requested resource could not be found' };
+    case 429:
+      return { status: 429, code: 'RATE_LIMITED', message: 'Too many requests to TMDb, please retry later' };
+    default:
+      return { status: 502, code: 'TMDB_ERROR', message: 'TMDb returned an unexpected error' };
+  }
+};
+
+// Catch-all for requests that matched no route
+const notFoundHandler = (req, res, next) => {
+  next(new ApiError(404, 'NOT_FOUND', `Route ${req.method} ${req.path} not found`));
+};
+
+// Central error handler: every route passes failures to next(error) and this turns them
+// into the same envelope, { error: { code, message, requestId, ... } }.
+// Express only treats it as an error handler because it declares all four arguments.
+const errorHandler = (err, req, res, next) => {
+  let status = 500;
+  const body = { code: 'INTERNAL_ERROR', message: 'Internal server error' };
+
+  if (err instanceof TmdbError) {
+    const mapped = mapTmdbError(err);
+    status = mapped.status;
+    body.code = mapped.code;
+    body.message = mapped.message;
+    if (err.tmdbStatusCode !== null) {
+      body.tmdbStatusCode = err.tmdbStatusCode;
+    }
+    if (err.retryAfterMs) {
+      res.set('Retry-After', String(Math.ceil(err.retryAfterMs / 1000)));
+    }
+  } else if (err instanceof ApiError) {
+    status = err.status;
+    body.code = err.code;
+    body.message = err.message;
+    if (err.details !== undefined) {
+      body.details = err.details;
+    }
+  } else if (err.type === 'entity.parse.failed') {
+    // Malformed JSON body rejected by express.json()
+    status = 400;
+    body.code = 'INVALID_JSON';
+    body.message = 'Request body is not valid JSON';
+  }
+
+  if (status >= 500) {
+    console.error(`[Error] ${req.method} ${req.originalUrl} (${req.id}): ${err.stack || err.message}`);
+  }
+
+  body.requestId = req.id;
+  res.status(status).json({ error: body });
+};
+
+module.exports = { errorHandler, notFoundHandler, mapTmdbError };
@@ -0,0 +1,20 @@
+// middleware/genres.js
+const { getGenreNames } = require('../helpers/genreCatalog');
+
+// With ?resolveGenres=true, load the genre names in the request language and store them on
+// req.mediaOptions.genreNames so models can turn genreIds into { id, name } objects.
+// Runs after locale.
+const genres = async (req, res, next) => {
+  if (req.query.resolveGenres !== 'true') {
+    return next();
+  }
+  try {
+    const genreNames = await getGenreNames(req.locale && req.locale.language);
+    req.mediaOptions = { ...req.mediaOptions, genreNames };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = genres;
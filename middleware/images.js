@@ -0,0 +1,17 @@
+// middleware/images.js
+const { ImageUrlBuilder, getImageConfiguration, parseImageSize } = require('../helpers/imageUrls');
+
+// Validate ?imageSize= and give models and /images routes an ImageUrlBuilder on
+// req.mediaOptions.images, so responses carry full image URLs instead of bare file paths.
+const images = async (req, res, next) => {
+  try {
+    const size = parseImageSize(req.query.imageSize);
+    const configuration = await getImageConfiguration();
+    req.mediaOptions = { ...req.mediaOptions, images: new ImageUrlBuilder(configuration, size) };
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = images;
@@ -0,0 +1,126 @@
+// middleware/locale.js
+const fetchFromTmdb = require('../helpers/tmdbHelper');
+const { ApiError } = require('../helpers/errors');
+
+// language is ISO 639-1 with an optional ISO 3166-1 region (e.g. "pt-BR"), region is ISO 3166-1
+const LANGUAGE_PATTERN = /^([a-z]{2})(?:-([A-Z]{2}))?$/;
+const REGION_PATTERN = /^[A-Z]{2}$/;
+
+// After a failed load, skip further attempts for a minute instead of retrying on every request
+const RETRY_AFTER_FAILURE_MS = 60 * 1000;
+let unavailableUntil = 0;
+
+// Load TMDb's language and country lists. They go through fetchFromTmdb, so they are cached
+// for a day like the rest of /configuration. Returns null when TMDb can't be reached, in
+// which case only the format of the values is checked.
+const loadConfigurationLists = async () => {
+  if (Date.now() < unavailableUntil) return null;
+  try {
+    const [languages, countries] = await Promise.all([
+      fetchFromTmdb('/configuration/languages'),
+      fetchFromTmdb('/configuration/countries'),
+    ]);
+    return {
+      languages: new Set(languages.map((language) => language.iso_639_1)),
+      countries: new Set(countries.map((country) => country.iso_3166_1)),
+    };
+  } catch (error) {
+    console.warn(`[Locale] Could not load TMDb configuration lists: ${error.message}`);
+    unavailableUntil = Date.now() + RETRY_AFTER_FAILURE_MS;
+    return null;
+  }
+};
+
+const isValidLanguage = (value, lists) => {
+  const match = LANGUAGE_PATTERN.exec(value);
+  if (!match) return false;
+  if (!lists) return true;
+  return lists.languages.has(match[1]) && (!match[2] || lists.countries.has(match[2]));
+};
+
+const isValidRegion = (value, lists) => REGION_PATTERN.test(value) && (!lists || lists.countries.has(value));
+
+// Parse an Accept-Language header into candidate TMDb languages, best first
+const parseAcceptLanguage = (header) => header
+  .split(',')
+  .map((part) => {
+    const [tag, ...options] = part.trim().split(';');
+    const quality = options.find((option) => option.trim().startsWith('q='));
+    const [language, region] = tag.trim().split('-');
+    return {
+      value: region ? `${language.toLowerCase()}-${region.toUpperCase()}` : language.toLowerCase(),
+      q: quality ? Number(quality.trim().slice(2)) : 1,
+    };
+  })
+  .filter(({ value, q }) => value && value !== '*' && q > 0)
+  .sort((a, b) => b.q - a.q)
+  .map(({ value }) => value);
+
+// Resolve language, region and include_image_language for the request and store them on
+// req.locale, ready to be spread into TMDb params. Explicit query params are validated and
+// rejected with a 400; the Accept-Language header is only used as a best-effort fallback.
+const locale = async (req, res, next) => {
+  const { language, region, include_image_language: includeImageLanguage } = req.query;
+  const acceptLanguage = req.get('Accept-Language');
+  req.locale = {};
+
+  // Repeated (?language=en&language=fr) or bracketed (language[]=en) params arrive as arrays
+  // or objects, which must not reach the checks below or TMDb
+  const invalid = Object.entries({ language, region, include_image_language: includeImageLanguage })
+    .filter(([, value]) => value !== undefined && typeof value !== 'string')
+    .map(([field]) => ({ field, message: `${field} must be a single string value` }));
+  if (invalid.length > 0) {
+    return next(new ApiError(400, 'INVALID_REQUEST', 'Invalid locale parameters', invalid));
+  }
+
+  if (!language && !region && !includeImageLanguage && !acceptLanguage) {
+    return next();
+  }
+
+  try {
+    res.vary('Accept-Language');
+    const lists = await loadConfigurationLists();
+
+    if (language) {
+      if (isValidLanguage(language, lists)) {
+        req.locale.language = language;
+      } else {
+        invalid.push({ field: 'language', message: `Unsupported language "${language}"` });
+      }
+    } else if (acceptLanguage) {
+      const preferred = parseAcceptLanguage(acceptLanguage).find((candidate) => isValidLanguage(candidate, lists));
+      if (preferred) {
+        req.locale.language = preferred;
+      }
+    }
+
+    if (region) {
+      if (isValidRegion(region, lists)) {
+        req.locale.region = region;
+      } else {
+        invalid.push({ field: 'region', message: `Unsupported region "${region}"` });
+      }
+    }
+
+    if (includeImageLanguage) {
+      // Comma-separated languages; TMDb uses "null" for images without text
+      const values = includeImageLanguage.split(',').map((value) => value.trim());
+      const unsupported = values.filter((value) => value !== 'null' && !isValidLanguage(value, lists));
+      if (unsupported.length === 0) {
+        req.locale.include_image_language = values.join(',');
+      } else {
+        invalid.push({ field: 'include_image_language', message: `Unsupported language(s) "${unsupported.join(', ')}"` });
+      }
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  if (invalid.length > 0) {
+    return next(new ApiError(400, 'INVALID_REQUEST', 'Invalid locale parameters', invalid));
+  }
+  next();
+};
+
+module.exports = locale;
+module.exports.parseAcceptLanguage = parseAcceptLanguage;
@@ -0,0 +1,13 @@
+// middleware/mediaContext.js
+const locale = require('./locale');
+const genres = require('./genres');
+const images = require('./images');
+
+// Language/region, genre names and image URLs for routes that return TMDb media. Each of
+// them may wait for TMDb configuration, so they are mounted only where media is shaped and
+// skip /health, which must answer even when TMDb is slow or down.
+const skipHealth = (middleware) => (req, res, next) => (req.path === '/health' ? next() : middleware(req, res, next));
+
+const mediaContext = [locale, genres, images].map(skipHealth);
+
+module.exports = mediaContext;
@@ -0,0 +1,13 @@
+// middleware/requestId.js
+const crypto = require('crypto');
+
+// Reuse the caller's X-Request-Id when present so IDs can be traced across services,
+// otherwise generate one. The ID is echoed back and included in error responses.
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && /^[\w.-]{1,128}$/.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
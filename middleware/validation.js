@@ -0,0 +1,47 @@
+// middleware/validation.js
+const config = require('../config');
+const { getRouterSpec } = require('../swagger');
+const OpenApiValidator = require('../helpers/openApiValidator');
+const { ApiError } = require('../helpers/errors');
+
+// One validator per router, shared by every app that mounts it
+const validators = {};
+const validatorFor = (name) => {
+  if (!validators[name]) {
+    validators[name] = new OpenApiValidator(getRouterSpec(name));
+  }
+  return validators[name];
+};
+
+// Validate path and query params against the @swagger docs of a router before its routes
+// run, answering 400 with one detail per invalid field. Requests the docs don't describe
+// fall through to the router (and to the 404 handler). With config.validation.responses,
+// JSON responses are also checked and mismatches are logged.
+const validateRequests = (routerName) => {
+  const validator = validatorFor(routerName);
+
+  return (req, res, next) => {
+    const matched = validator.match(req.method, req.path);
+    if (!matched) return next();
+    const { operation, pathParams, malformed } = matched;
+
+    const invalid = malformed.length > 0 ? malformed : validator.validateRequest(operation, pathParams, req.query);
+    if (invalid.length > 0) {
+      return next(new ApiError(400, 'INVALID_REQUEST', 'Invalid request parameters', invalid));
+    }
+
+    if (config.validation.responses) {
+      const json = res.json.bind(res);
+      res.json = (body) => {
+        const mismatches = validator.validateResponse(operation, res.statusCode, body);
+        if (mismatches.length > 0) {
+          console.warn(`[Validation] ${req.method} ${req.originalUrl} (${operation.method} ${operation.path}) returned ${res.statusCode} not matching the spec: ${mismatches.join('; ')}`);
+        }
+        return json(body);
+      };
+    }
+    next();
+  };
+};
+
+module.exports = validateRequests;
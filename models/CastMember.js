@@ -0,0 +1,23 @@
+const Person = require('./Person');
+
+class CastMember extends Person {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    this.order = data.order;
+    if (data.roles) {
+      // Aggregate TV credits list every character played, with their episode counts
+      this.roles = data.roles.map((role) => ({
+        creditId: role.credit_id,
+        character: role.character,
+        episodeCount: role.episode_count,
+      }));
+      this.totalEpisodeCount = data.total_episode_count;
+    } else {
+      this.creditId = data.credit_id;
+      this.character = data.character;
+    }
+  }
+}
+
+module.exports = CastMember;
@@ -0,0 +1,18 @@
+// Movie collection (franchise), as found in search results and on movie details
+class Collection {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.posterPath = data.poster_path;
+    this.backdropPath = data.backdrop_path;
+    if (options.images) {
+      this.images = {
+        poster: options.images.describe('poster', this.posterPath),
+        backdrop: options.images.describe('backdrop', this.backdropPath),
+      };
+    }
+  }
+}
+
+module.exports = Collection;
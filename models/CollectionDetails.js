@@ -0,0 +1,22 @@
+const Collection = require('./Collection');
+const Movie = require('./Movie');
+
+// Oldest first; unreleased parts without a date go last
+const compareReleaseDates = (a, b) => {
+  if (a.releaseDate === b.releaseDate) return 0;
+  if (!a.releaseDate) return 1;
+  if (!b.releaseDate) return -1;
+  return a.releaseDate < b.releaseDate ? -1 : 1;
+};
+
+// Full collection as returned by /collection/{collection_id}, with every movie in it
+class CollectionDetails extends Collection {
+  // options: { genreNames, images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    this.overview = data.overview || null;
+    this.parts = (data.parts || []).map((part) => new Movie(part, options)).sort(compareReleaseDates);
+  }
+}
+
+module.exports = CollectionDetails;
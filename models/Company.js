@@ -0,0 +1,14 @@
+class Company {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.logoPath = data.logo_path;
+    this.originCountry = data.origin_country;
+    if (options.images) {
+      this.logo = options.images.describe('logo', this.logoPath);
+    }
+  }
+}
+
+module.exports = Company;
@@ -0,0 +1,15 @@
+const Company = require('./Company');
+
+// Full company as returned by /company/{company_id}; credits only carry the Company fields
+class CompanyDetails extends Company {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    this.description = data.description || null;
+    this.headquarters = data.headquarters || null;
+    this.homepage = data.homepage || null;
+    this.parentCompany = data.parent_company ? new Company(data.parent_company, options) : null;
+  }
+}
+
+module.exports = CompanyDetails;
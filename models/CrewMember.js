@@ -0,0 +1,23 @@
+const Person = require('./Person');
+
+class CrewMember extends Person {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    this.department = data.department;
+    if (data.jobs) {
+      // Aggregate TV credits list every job held, with their episode counts
+      this.jobs = data.jobs.map((job) => ({
+        creditId: job.credit_id,
+        job: job.job,
+        episodeCount: job.episode_count,
+      }));
+      this.totalEpisodeCount = data.total_episode_count;
+    } else {
+      this.creditId = data.credit_id;
+      this.job = data.job;
+    }
+  }
+}
+
+module.exports = CrewMember;
@@ -0,0 +1,22 @@
+const Media = require('./Media');
+
+class Episode extends Media {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data);
+    this.mediaType = 'Episode';
+    this.name = data.name;
+    this.showId = data.show_id;
+    this.seasonNumber = data.season_number;
+    this.episodeNumber = data.episode_number;
+    this.episodeType = data.episode_type;
+    this.airDate = data.air_date;
+    this.runtime = data.runtime;
+    this.stillPath = data.still_path;
+    this.voteAverage = data.vote_average;
+    this.voteCount = data.vote_count;
+    this.setImages(options.images, { still: this.stillPath });
+  }
+}
+
+module.exports = Episode;
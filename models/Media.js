@@ -7,6 +7,25 @@ class Media {
       this.posterPath = data.poster_path;
       this.backdropPath = data.backdrop_path;
     }
+
+    // Set `images` to { url, srcset } per image type when an ImageUrlBuilder is given,
+    // e.g. setImages(builder, { poster: this.posterPath })
+    setImages(builder, paths) {
+      if (!builder) return;
+      this.images = Object.entries(paths).reduce((images, [type, path]) => ({
+        ...images,
+        [type]: builder.describe(type, path),
+      }), {});
+    }
+
+    // Lists carry genre_ids while details carry genres; keep the ids either way and, when
+    // a Map of genre names is given, add the resolved { id, name } objects
+    setGenres(data, genreNames) {
+      this.genreIds = data.genre_ids || (data.genres && data.genres.map(({ id }) => id));
+      if (genreNames && Array.isArray(this.genreIds)) {
+        this.genres = this.genreIds.map((id) => ({ id, name: genreNames.get(id) || null }));
+      }
+    }
   }
   
   module.exports = Media;
@@ -1,15 +1,17 @@
 const Media = require('./Media');
 
 class Movie extends Media {
-  constructor(data) {
+  // options: { genreNames, images } from req.mediaOptions
+  constructor(data, options = {}) {
     super(data);
     this.mediaType = 'Movie';
     this.title = data.title;
     this.originalTitle = data.original_title;
     this.releaseDate = data.release_date;
-    this.genreIds = data.genre_ids;
+    this.setGenres(data, options.genreNames && options.genreNames.movie);
     this.voteAverage = data.vote_average;
     this.voteCount = data.vote_count;
+    this.setImages(options.images, { poster: this.posterPath, backdrop: this.backdropPath });
   }
 }
 
@@ -0,0 +1,34 @@
+const Movie = require('./Movie');
+const Company = require('./Company');
+const Collection = require('./Collection');
+
+// Full movie as returned by /movie/{movie_id}; list items only carry the Movie fields
+class MovieDetails extends Movie {
+  // options: { genreNames, images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    // Details already name their genres in the request language
+    this.genres = (data.genres || []).map(({ id, name }) => ({ id, name }));
+    this.tagline = data.tagline || null;
+    this.status = data.status;
+    this.runtime = data.runtime;
+    this.budget = data.budget;
+    this.revenue = data.revenue;
+    this.homepage = data.homepage || null;
+    this.imdbId = data.imdb_id || null;
+    this.originalLanguage = data.original_language;
+    this.spokenLanguages = (data.spoken_languages || []).map((language) => ({
+      code: language.iso_639_1,
+      name: language.name,
+      englishName: language.english_name,
+    }));
+    this.productionCountries = (data.production_countries || []).map((country) => ({
+      code: country.iso_3166_1,
+      name: country.name,
+    }));
+    this.productionCompanies = (data.production_companies || []).map((company) => new Company(company, options));
+    this.collection = data.belongs_to_collection ? new Collection(data.belongs_to_collection, options) : null;
+  }
+}
+
+module.exports = MovieDetails;
@@ -1,13 +1,16 @@
 const Media = require('./Media');
 
 class Person extends Media {
-  constructor(data) {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
     super(data);
     this.mediaType = 'Person';
     this.name = data.name;
     this.knownFor = data.known_for ;
     this.gender = data.gender;
     this.knownForDepartment = data.known_for_department;
+    this.profilePath = data.profile_path;
+    this.setImages(options.images, { profile: this.profilePath });
   }
 }
 
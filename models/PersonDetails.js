@@ -0,0 +1,18 @@
+const Person = require('./Person');
+
+// Full person as returned by /person/{person_id}; list items only carry the Person fields
+class PersonDetails extends Person {
+  // options: { images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    this.biography = data.biography || null;
+    this.birthday = data.birthday || null;
+    this.deathday = data.deathday || null;
+    this.placeOfBirth = data.place_of_birth || null;
+    this.alsoKnownAs = data.also_known_as || [];
+    this.homepage = data.homepage || null;
+    this.imdbId = data.imdb_id || null;
+  }
+}
+
+module.exports = PersonDetails;
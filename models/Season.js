@@ -0,0 +1,19 @@
+const Media = require('./Media');
+const Episode = require('./Episode');
+
+class Season extends Media {
+  // options: { images } from req.mediaOptions, also applied to the episodes
+  constructor(data, options = {}) {
+    super(data);
+    this.mediaType = 'Season';
+    this.name = data.name;
+    this.seasonNumber = data.season_number;
+    this.airDate = data.air_date;
+    this.voteAverage = data.vote_average;
+    this.episodes = (data.episodes || []).map((episode) => new Episode(episode, options));
+    this.episodeCount = data.episode_count !== undefined ? data.episode_count : this.episodes.length;
+    this.setImages(options.images, { poster: this.posterPath });
+  }
+}
+
+module.exports = Season;
@@ -1,15 +1,17 @@
 const Media = require('./Media');
 
 class TVShow extends Media {
-  constructor(data) {
+  // options: { genreNames, images } from req.mediaOptions
+  constructor(data, options = {}) {
     super(data);
     this.mediaType = 'TVShow';
     this.name = data.name;
     this.originalName = data.original_name;
     this.firstAirDate = data.first_air_date;
-    this.genreIds = data.genre_ids;
+    this.setGenres(data, options.genreNames && options.genreNames.tv);
     this.voteAverage = data.vote_average;
     this.voteCount = data.vote_count;
+    this.setImages(options.images, { poster: this.posterPath, backdrop: this.backdropPath });
   }
 }
 
@@ -0,0 +1,44 @@
+const TVShow = require('./TVShow');
+const Season = require('./Season');
+const Episode = require('./Episode');
+const Company = require('./Company');
+const Person = require('./Person');
+
+// Full TV show as returned by /tv/{series_id}; list items only carry the TVShow fields
+class TVShowDetails extends TVShow {
+  // options: { genreNames, images } from req.mediaOptions
+  constructor(data, options = {}) {
+    super(data, options);
+    // Details already name their genres in the request language
+    this.genres = (data.genres || []).map(({ id, name }) => ({ id, name }));
+    this.tagline = data.tagline || null;
+    this.status = data.status;
+    this.type = data.type;
+    this.inProduction = data.in_production;
+    this.lastAirDate = data.last_air_date;
+    this.numberOfSeasons = data.number_of_seasons;
+    this.numberOfEpisodes = data.number_of_episodes;
+    this.episodeRunTime = data.episode_run_time || [];
+    this.homepage = data.homepage || null;
+    this.originalLanguage = data.original_language;
+    this.originCountry = data.origin_country || [];
+    this.spokenLanguages = (data.spoken_languages || []).map((language) => ({
+      code: language.iso_639_1,
+      name: language.name,
+      englishName: language.english_name,
+    }));
+    this.createdBy = (data.created_by || []).map((person) => new Person(person, options));
+    this.networks = (data.networks || []).map((network) => new Company(network, options));
+    this.productionCompanies = (data.production_companies || []).map((company) => new Company(company, options));
+    // Season summaries: episodes stays empty while episodeCount comes from TMDb
+    this.seasons = (data.seasons || []).map((season) => new Season(season, options));
+    this.lastEpisodeToAir = this.episodeOf(data.last_episode_to_air, data.id, options);
+    this.nextEpisodeToAir = this.episodeOf(data.next_episode_to_air, data.id, options);
+  }
+
+  episodeOf(episode, showId, options) {
+    return episode ? new Episode({ ...episode, show_id: episode.show_id || showId }, options) : null;
+  }
+}
+
+module.exports = TVShowDetails;
@@ -0,0 +1,52 @@
+// repositories/JsonFileStore.js
+const fs = require('fs');
+const path = require('path');
+
+// Small embedded document store backed by one JSON file. Reads are served from memory;
+// updates are applied one at a time and written atomically (temp file + rename), so
+// concurrent requests can't interleave writes or leave a half-written file behind.
+class JsonFileStore {
+  constructor(filePath, defaults = {}) {
+    this.filePath = filePath;
+    this.defaults = defaults;
+    this.data = null;
+    this.queue = Promise.resolve();
+  }
+
+  async load() {
+    if (this.data) return this.data;
+    try {
+      this.data = { ...this.defaults, ...JSON.parse(await fs.promises.readFile(this.filePath, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.data = JSON.parse(JSON.stringify(this.defaults));
+    }
+    return this.data;
+  }
+
+  async read() {
+    await this.queue;
+    return this.load();
+  }
+
+  // Apply `mutate(data)` and persist the result; resolves with mutate's return value
+  update(mutate) {
+    const run = this.queue.then(async () => {
+      const data = await this.load();
+      const result = await mutate(data);
+      await this.persist();
+      return result;
+    });
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async persist() {
+    const tempPath = `${this.filePath}.${process.pid}.tmp`;
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+}
+
+module.exports = JsonFileStore;
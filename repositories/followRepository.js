@@ -0,0 +1,78 @@
+// repositories/followRepository.js
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+
+// Followed titles repository interface, implemented here on a JSON file:
+//   listFollows(userId?)                           -> follows (of every user when userId is omitted)
+//   getFollow(userId, type, tmdbId)                -> follow or null
+//   addFollow(userId, { type, tmdbId, region })    -> { follow, created }
+//   updateSnapshot(userId, type, tmdbId, snapshot) -> follow or null
+//   removeFollow(userId, type, tmdbId)             -> boolean
+// `snapshot` holds the provider IDs last seen per monetization type, null until the first check.
+class JsonFollowRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listFollows(userId) {
+    const { follows } = await this.store.read();
+    return follows
+      .filter((follow) => userId === undefined || follow.userId === userId)
+      .sort((a, b) => (a.followedAt < b.followedAt ? 1 : -1));
+  }
+
+  async getFollow(userId, type, tmdbId) {
+    const { follows } = await this.store.read();
+    return follows.find((follow) => follow.userId === userId && follow.type === type && follow.tmdbId === tmdbId) || null;
+  }
+
+  // Following a title again only updates its region; a new region restarts the snapshot
+  addFollow(userId, { type, tmdbId, region }) {
+    return this.store.update((data) => {
+      const existing = data.follows.find((follow) => follow.userId === userId && follow.type === type && follow.tmdbId === tmdbId);
+      if (existing) {
+        if (existing.region !== region) {
+          Object.assign(existing, { region, snapshot: null, checkedAt: null });
+        }
+        return { follow: existing, created: false };
+      }
+      const follow = {
+        userId,
+        type,
+        tmdbId,
+        region,
+        followedAt: new Date().toISOString(),
+        snapshot: null,
+        checkedAt: null,
+      };
+      data.follows.push(follow);
+      return { follow, created: true };
+    });
+  }
+
+  updateSnapshot(userId, type, tmdbId, snapshot) {
+    return this.store.update((data) => {
+      const follow = data.follows.find((entry) => entry.userId === userId && entry.type === type && entry.tmdbId === tmdbId);
+      if (!follow) return null;
+      Object.assign(follow, { snapshot, checkedAt: new Date().toISOString() });
+      return follow;
+    });
+  }
+
+  removeFollow(userId, type, tmdbId) {
+    return this.store.update((data) => {
+      const before = data.follows.length;
+      data.follows = data.follows.filter((follow) => !(follow.userId === userId && follow.type === type && follow.tmdbId === tmdbId));
+      return data.follows.length < before;
+    });
+  }
+}
+
+// Shared instance persisted under the configured data directory
+const followRepository = new JsonFollowRepository(
+  new JsonFileStore(path.join(config.dataDir, 'follows.json'), { follows: [] }),
+);
+
+module.exports = followRepository;
+module.exports.JsonFollowRepository = JsonFollowRepository;
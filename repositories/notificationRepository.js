@@ -0,0 +1,76 @@
+// repositories/notificationRepository.js
+const crypto = require('crypto');
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+
+// Notifications repository interface, implemented here on a JSON file:
+//   listNotifications(userId, { unread, limit })  -> notifications, newest first
+//   addNotifications(userId, notifications)       -> stored notifications (with id, createdAt, readAt)
+//   markRead(userId, id?)                         -> number of notifications marked (all when id is omitted)
+//   getChannels(userId)                           -> channel settings by name, e.g. { webhook: { url } }
+//   setChannels(userId, channels)                 -> channel settings by name
+class JsonNotificationRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listNotifications(userId, { unread = false, limit } = {}) {
+    const { notifications } = await this.store.read();
+    const listed = notifications
+      .filter((notification) => notification.userId === userId && (!unread || !notification.readAt))
+      .sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    return limit ? listed.slice(0, limit) : listed;
+  }
+
+  addNotifications(userId, notifications) {
+    return this.store.update((data) => {
+      const createdAt = new Date().toISOString();
+      const stored = notifications.map((notification) => ({
+        id: crypto.randomUUID(),
+        userId,
+        ...notification,
+        createdAt,
+        readAt: null,
+      }));
+      data.notifications.push(...stored);
+      return stored;
+    });
+  }
+
+  markRead(userId, id) {
+    return this.store.update((data) => {
+      const readAt = new Date().toISOString();
+      let marked = 0;
+      data.notifications.forEach((notification) => {
+        if (notification.userId === userId && !notification.readAt && (id === undefined || notification.id === id)) {
+          notification.readAt = readAt;
+          marked += 1;
+        }
+      });
+      return marked;
+    });
+  }
+
+  async getChannels(userId) {
+    const { channels } = await this.store.read();
+    const entry = channels.find((channel) => channel.userId === userId);
+    return entry ? entry.settings : {};
+  }
+
+  // Replaces every channel setting of the user
+  setChannels(userId, settings) {
+    return this.store.update((data) => {
+      data.channels = data.channels.filter((channel) => channel.userId !== userId).concat({ userId, settings });
+      return settings;
+    });
+  }
+}
+
+// Shared instance persisted under the configured data directory
+const notificationRepository = new JsonNotificationRepository(
+  new JsonFileStore(path.join(config.dataDir, 'notifications.json'), { notifications: [], channels: [] }),
+);
+
+module.exports = notificationRepository;
+module.exports.JsonNotificationRepository = JsonNotificationRepository;
@@ -0,0 +1,70 @@
+// repositories/progressRepository.js
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+
+// Episode progress repository interface, implemented here on a JSON file:
+//   listWatchedEpisodes(userId, seriesId)                     -> episodes
+//   listTrackedSeries(userId)                                 -> [{ seriesId, lastWatchedAt }]
+//   markWatched(userId, seriesId, episodes, watchedAt)        -> number of newly watched episodes
+//   unmarkWatched(userId, seriesId, seasonNumber, episodeNumber) -> boolean
+class JsonProgressRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listWatchedEpisodes(userId, seriesId) {
+    const { episodes } = await this.store.read();
+    return episodes.filter((episode) => episode.userId === userId && episode.seriesId === seriesId);
+  }
+
+  async listTrackedSeries(userId) {
+    const { episodes } = await this.store.read();
+    const lastWatched = new Map();
+    episodes
+      .filter((episode) => episode.userId === userId)
+      .forEach(({ seriesId, watchedAt }) => {
+        if (!lastWatched.has(seriesId) || lastWatched.get(seriesId) < watchedAt) {
+          lastWatched.set(seriesId, watchedAt);
+        }
+      });
+    return [...lastWatched].map(([seriesId, lastWatchedAt]) => ({ seriesId, lastWatchedAt }));
+  }
+
+  // Episodes already marked keep their original watchedAt
+  markWatched(userId, seriesId, episodes, watchedAt) {
+    return this.store.update((data) => {
+      let added = 0;
+      episodes.forEach(({ seasonNumber, episodeNumber }) => {
+        const exists = data.episodes.some((episode) => episode.userId === userId
+          && episode.seriesId === seriesId
+          && episode.seasonNumber === seasonNumber
+          && episode.episodeNumber === episodeNumber);
+        if (!exists) {
+          data.episodes.push({ userId, seriesId, seasonNumber, episodeNumber, watchedAt });
+          added += 1;
+        }
+      });
+      return added;
+    });
+  }
+
+  unmarkWatched(userId, seriesId, seasonNumber, episodeNumber) {
+    return this.store.update((data) => {
+      const before = data.episodes.length;
+      data.episodes = data.episodes.filter((episode) => !(episode.userId === userId
+        && episode.seriesId === seriesId
+        && episode.seasonNumber === seasonNumber
+        && episode.episodeNumber === episodeNumber));
+      return data.episodes.length < before;
+    });
+  }
+}
+
+// Shared instance persisted under the configured data directory
+const progressRepository = new JsonProgressRepository(
+  new JsonFileStore(path.join(config.dataDir, 'progress.json'), { episodes: [] }),
+);
+
+module.exports = progressRepository;
+module.exports.JsonProgressRepository = JsonProgressRepository;
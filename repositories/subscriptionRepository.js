@@ -0,0 +1,38 @@
+// repositories/subscriptionRepository.js
+const path = require('path');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+
+// Streaming subscription repository interface, implemented here on a JSON file:
+//   getSubscriptions(userId)               -> { providerIds, updatedAt }
+//   setSubscriptions(userId, providerIds)  -> { providerIds, updatedAt }
+class JsonSubscriptionRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async getSubscriptions(userId) {
+    const { subscriptions } = await this.store.read();
+    const subscription = subscriptions.find((entry) => entry.userId === userId);
+    return subscription
+      ? { providerIds: subscription.providerIds, updatedAt: subscription.updatedAt }
+      : { providerIds: [], updatedAt: null };
+  }
+
+  // Replaces the whole list; duplicates are dropped
+  setSubscriptions(userId, providerIds) {
+    return this.store.update((data) => {
+      const subscription = { userId, providerIds: [...new Set(providerIds)], updatedAt: new Date().toISOString() };
+      data.subscriptions = data.subscriptions.filter((entry) => entry.userId !== userId).concat(subscription);
+      return { providerIds: subscription.providerIds, updatedAt: subscription.updatedAt };
+    });
+  }
+}
+
+// Shared instance persisted under the configured data directory
+const subscriptionRepository = new JsonSubscriptionRepository(
+  new JsonFileStore(path.join(config.dataDir, 'subscriptions.json'), { subscriptions: [] }),
+);
+
+module.exports = subscriptionRepository;
+module.exports.JsonSubscriptionRepository = JsonSubscriptionRepository;
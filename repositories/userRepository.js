@@ -0,0 +1,94 @@
+// repositories/userRepository.js
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+
+// User repository interface, implemented here on a JSON file:
+//   findById(id) / findByUsername(username) / findByApiKeyHash(hash) -> user or null
+//   listUsers()                                  -> users
+//   createUser({ username, passwordHash, role }) -> user
+//   updateUser(id, changes)                      -> user or null
+//   addApiKey(userId, apiKey) / removeApiKey(userId, keyId) -> boolean
+class JsonUserRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async findById(id) {
+    const { users } = await this.store.read();
+    return users.find((user) => user.id === id) || null;
+  }
+
+  async findByUsername(username) {
+    const { users } = await this.store.read();
+    const normalized = username.toLowerCase();
+    return users.find((user) => user.username.toLowerCase() === normalized) || null;
+  }
+
+  async findByApiKeyHash(hash) {
+    const { users } = await this.store.read();
+    return users.find((user) => user.apiKeys.some((key) => key.hash === hash)) || null;
+  }
+
+  async listUsers() {
+    const { users } = await this.store.read();
+    return users;
+  }
+
+  // Usernames are unique regardless of case; resolves with null when it is taken
+  createUser({ username, passwordHash, role }) {
+    return this.store.update((data) => {
+      const normalized = username.toLowerCase();
+      if (data.users.some((user) => user.username.toLowerCase() === normalized)) {
+        return null;
+      }
+      const user = {
+        id: crypto.randomUUID(),
+        username,
+        passwordHash,
+        role,
+        createdAt: new Date().toISOString(),
+        apiKeys: [],
+      };
+      data.users.push(user);
+      return user;
+    });
+  }
+
+  updateUser(id, changes) {
+    return this.store.update((data) => {
+      const user = data.users.find((entry) => entry.id === id);
+      if (!user) return null;
+      Object.assign(user, changes);
+      return user;
+    });
+  }
+
+  addApiKey(userId, apiKey) {
+    return this.store.update((data) => {
+      const user = data.users.find((entry) => entry.id === userId);
+      if (!user) return false;
+      user.apiKeys.push(apiKey);
+      return true;
+    });
+  }
+
+  removeApiKey(userId, keyId) {
+    return this.store.update((data) => {
+      const user = data.users.find((entry) => entry.id === userId);
+      if (!user) return false;
+      const before = user.apiKeys.length;
+      user.apiKeys = user.apiKeys.filter((key) => key.id !== keyId);
+      return user.apiKeys.length < before;
+    });
+  }
+}
+
+// Shared instance persisted under the configured data directory
+const userRepository = new JsonUserRepository(
+  new JsonFileStore(path.join(config.dataDir, 'users.json'), { users: [] }),
+);
+
+module.exports = userRepository;
+module.exports.JsonUserRepository = JsonUserRepository;
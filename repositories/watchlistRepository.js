@@ -0,0 +1,108 @@
+// repositories/watchlistRepository.js
+const path = require('path');
+const crypto = require('crypto');
+const config = require('../config');
+const JsonFileStore = require('./JsonFileStore');
+
+// Watchlist/history repository interface. Any backend (SQLite, Postgres, ...) can be used
+// by implementing the same async methods:
+//   listItems(userId, { type, status })          -> items
+//   getItem(userId, type, tmdbId)                -> item or null
+//   addItem(userId, { type, tmdbId })            -> { item, created }
+//   updateItem(userId, type, tmdbId, changes)    -> item or null
+//   removeItem(userId, type, tmdbId)             -> boolean
+//   listHistory(userId, { type, tmdbId })        -> entries
+//   addHistoryEntry(userId, { type, tmdbId, watchedAt, rating }) -> entry
+//   removeHistoryEntry(userId, entryId)          -> boolean
+class JsonWatchlistRepository {
+  constructor(store) {
+    this.store = store;
+  }
+
+  async listItems(userId, { type, status } = {}) {
+    const { items } = await this.store.read();
+    return items.filter((item) => item.userId === userId
+      && (!type || item.type === type)
+      && (!status || item.status === status));
+  }
+
+  async getItem(userId, type, tmdbId) {
+    const { items } = await this.store.read();
+    return items.find((item) => item.userId === userId && item.type === type && item.tmdbId === tmdbId) || null;
+  }
+
+  addItem(userId, { type, tmdbId }) {
+    return this.store.update((data) => {
+      const existing = data.items.find((item) => item.userId === userId && item.type === type && item.tmdbId === tmdbId);
+      if (existing) {
+        return { item: existing, created: false };
+      }
+      const item = {
+        userId,
+        type,
+        tmdbId,
+        status: 'planned',
+        addedAt: new Date().toISOString(),
+        watchedAt: null,
+        rating: null,
+      };
+      data.items.push(item);
+      return { item, created: true };
+    });
+  }
+
+  updateItem(userId, type, tmdbId, changes) {
+    return this.store.update((data) => {
+      const item = data.items.find((entry) => entry.userId === userId && entry.type === type && entry.tmdbId === tmdbId);
+      if (!item) return null;
+      Object.assign(item, changes);
+      return item;
+    });
+  }
+
+  removeItem(userId, type, tmdbId) {
+    return this.store.update((data) => {
+      const before = data.items.length;
+      data.items = data.items.filter((item) => !(item.userId === userId && item.type === type && item.tmdbId === tmdbId));
+      return data.items.length < before;
+    });
+  }
+
+  async listHistory(userId, { type, tmdbId } = {}) {
+    const { history } = await this.store.read();
+    return history.filter((entry) => entry.userId === userId
+      && (!type || entry.type === type)
+      && (tmdbId === undefined || entry.tmdbId === tmdbId));
+  }
+
+  addHistoryEntry(userId, { type, tmdbId, watchedAt, rating }) {
+    return this.store.update((data) => {
+      const entry = {
+        id: crypto.randomUUID(),
+        userId,
+        type,
+        tmdbId,
+        watchedAt,
+        rating,
+      };
+      data.history.push(entry);
+      return entry;
+    });
+  }
+
+  removeHistoryEntry(userId, entryId) {
+    return this.store.update((data) => {
+      const before = data.history.length;
+      data.history = data.history.filter((entry) => !(entry.userId === userId && entry.id === entryId));
+      return data.history.length < before;
+    });
+  }
+}
+
+// Shared instance persisted under the configured data directory
+const watchlistRepository = new JsonWatchlistRepository(
+  new JsonFileStore(path.join(config.dataDir, 'watchlist.json'), { items: [], history: [] }),
+);
+
+module.exports = watchlistRepository;
+module.exports.JsonWatchlistRepository = JsonWatchlistRepository;
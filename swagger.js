@@ -1,5 +1,17 @@
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
+const path = require('path');
+
+// Controller holding the @swagger docs of each router, by router name
+const CONTROLLER_FILES = {
+  tmdb: path.join(__dirname, 'controller/tmdbController.js'),
+  movies: path.join(__dirname, 'controller/movieController.js'),
+  tv: path.join(__dirname, 'controller/tvShowController.js'),
+  person: path.join(__dirname, 'controller/personController.js'),
+  watchlist: path.join(__dirname, 'controller/watchlistController.js'),
+  account: path.join(__dirname, 'controller/accountController.js'),
+  notifications: path.join(__dirname, 'controller/notificationsController.js'),
+};
 
 const options = {
   definition: {
@@ -26,9 +38,507 @@ const options = {
         url: 'http://localhost:3004/api/person',
         description: 'Person-specific routes',
       },
+      {
+        url: 'http://localhost:3005/api/watchlist',
+        description: 'Watchlist and watch history routes',
+      },
+      {
+        url: 'http://localhost:3006/api/account',
+        description: 'Account and authentication routes',
+      },
+      {
+        url: 'http://localhost:3007/api/notifications',
+        description: 'Followed titles and availability alert routes',
+      },
     ],
+    // Routes accept either a JWT from /api/account/login or an API key
+    security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
     components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+        },
+      },
+      parameters: {
+        page: {
+          in: 'query',
+          name: 'page',
+          required: false,
+          description: 'TMDb page to return (1-500)',
+          schema: { type: 'integer', minimum: 1, maximum: 500, default: 1 },
+        },
+        pages: {
+          in: 'query',
+          name: 'pages',
+          required: false,
+          description: 'Number of consecutive TMDb pages to merge into one response, starting at page (1-10)',
+          schema: { type: 'integer', minimum: 1, maximum: 10 },
+        },
+        limit: {
+          in: 'query',
+          name: 'limit',
+          required: false,
+          description: 'Number of results wanted; enough pages are merged to fill it (1-200)',
+          schema: { type: 'integer', minimum: 1, maximum: 200 },
+        },
+        language: {
+          in: 'query',
+          name: 'language',
+          required: false,
+          description: 'ISO 639-1 language, optionally with an ISO 3166-1 region (e.g. en-US, pt-BR). Defaults to the Accept-Language header',
+          schema: { type: 'string', example: 'en-US' },
+        },
+        region: {
+          in: 'query',
+          name: 'region',
+          required: false,
+          description: 'ISO 3166-1 country code used for release dates and regional results',
+          schema: { type: 'string', example: 'US' },
+        },
+        include_image_language: {
+          in: 'query',
+          name: 'include_image_language',
+          required: false,
+          description: 'Comma-separated image languages to include; "null" selects images without text',
+          schema: { type: 'string', example: 'en,null' },
+        },
+        include_adult: {
+          in: 'query',
+          name: 'include_adult',
+          required: false,
+          description: 'Include adult titles and people in search results',
+          schema: { type: 'boolean', default: false },
+        },
+        primary_release_year: {
+          in: 'query',
+          name: 'primary_release_year',
+          required: false,
+          description: 'Only match movies whose primary release is in this year',
+          schema: { type: 'integer', minimum: 1870 },
+        },
+        first_air_date_year: {
+          in: 'query',
+          name: 'first_air_date_year',
+          required: false,
+          description: 'Only match TV shows first aired in this year',
+          schema: { type: 'integer', minimum: 1870 },
+        },
+        includeSpecials: {
+          in: 'query',
+          name: 'includeSpecials',
+          required: false,
+          description: 'Count specials (season 0) in watched/remaining totals',
+          schema: { type: 'boolean', default: false },
+        },
+        imageSize: {
+          in: 'query',
+          name: 'imageSize',
+          required: false,
+          description: 'TMDb image size used for image URLs (e.g. w500, h632, original); the closest larger size is used for image types that lack it',
+          schema: { type: 'string', example: 'w500' },
+        },
+        department: {
+          in: 'query',
+          name: 'department',
+          required: false,
+          description: 'Only keep crew in these comma-separated departments (case-insensitive)',
+          schema: { type: 'string', example: 'Directing,Writing' },
+        },
+        job: {
+          in: 'query',
+          name: 'job',
+          required: false,
+          description: 'Only keep crew with one of these comma-separated jobs (case-insensitive)',
+          schema: { type: 'string', example: 'Director,Screenplay' },
+        },
+        resolveGenres: {
+          in: 'query',
+          name: 'resolveGenres',
+          required: false,
+          description: 'Add a genres array of { id, name } next to genreIds, in the request language',
+          schema: { type: 'boolean', default: false },
+        },
+        genres: {
+          in: 'query',
+          name: 'genres',
+          required: false,
+          description: 'Comma-separated genre IDs',
+          schema: { type: 'string', example: '28,12' },
+        },
+        withoutGenres: {
+          in: 'query',
+          name: 'withoutGenres',
+          required: false,
+          description: 'Comma-separated genre IDs to exclude',
+          schema: { type: 'string', example: '16' },
+        },
+        keywords: {
+          in: 'query',
+          name: 'keywords',
+          required: false,
+          description: 'Comma-separated keyword IDs',
+          schema: { type: 'string', example: '9715' },
+        },
+        companies: {
+          in: 'query',
+          name: 'companies',
+          required: false,
+          description: 'Comma-separated company IDs',
+          schema: { type: 'string', example: '420' },
+        },
+        match: {
+          in: 'query',
+          name: 'match',
+          required: false,
+          description: 'Whether genres, keywords and companies must all match or any of them',
+          schema: { type: 'string', enum: ['all', 'any'], default: 'all' },
+        },
+        year: {
+          in: 'query',
+          name: 'year',
+          required: false,
+          description: 'Exact release (or first air) year',
+          schema: { type: 'integer', example: 2019 },
+        },
+        yearFrom: {
+          in: 'query',
+          name: 'yearFrom',
+          required: false,
+          description: 'Earliest release (or first air) year',
+          schema: { type: 'integer', example: 2000 },
+        },
+        yearTo: {
+          in: 'query',
+          name: 'yearTo',
+          required: false,
+          description: 'Latest release (or first air) year',
+          schema: { type: 'integer', example: 2010 },
+        },
+        minRating: {
+          in: 'query',
+          name: 'minRating',
+          required: false,
+          description: 'Minimum TMDb vote average (0-10)',
+          schema: { type: 'number', minimum: 0, maximum: 10 },
+        },
+        maxRating: {
+          in: 'query',
+          name: 'maxRating',
+          required: false,
+          description: 'Maximum TMDb vote average (0-10)',
+          schema: { type: 'number', minimum: 0, maximum: 10 },
+        },
+        minVotes: {
+          in: 'query',
+          name: 'minVotes',
+          required: false,
+          description: 'Minimum number of votes',
+          schema: { type: 'integer', minimum: 0 },
+        },
+        minRuntime: {
+          in: 'query',
+          name: 'minRuntime',
+          required: false,
+          description: 'Minimum runtime in minutes',
+          schema: { type: 'integer', minimum: 0 },
+        },
+        maxRuntime: {
+          in: 'query',
+          name: 'maxRuntime',
+          required: false,
+          description: 'Maximum runtime in minutes',
+          schema: { type: 'integer', minimum: 0 },
+        },
+        originalLanguage: {
+          in: 'query',
+          name: 'originalLanguage',
+          required: false,
+          description: 'ISO 639-1 original language',
+          schema: { type: 'string', example: 'ko' },
+        },
+        watchProviders: {
+          in: 'query',
+          name: 'watchProviders',
+          required: false,
+          description: 'Comma-separated watch provider IDs, any of which must match',
+          schema: { type: 'string', example: '8,337' },
+        },
+        watchRegion: {
+          in: 'query',
+          name: 'watchRegion',
+          required: false,
+          description: 'ISO 3166-1 region for watch providers (defaults to region)',
+          schema: { type: 'string', example: 'US' },
+        },
+        monetization: {
+          in: 'query',
+          name: 'monetization',
+          required: false,
+          description: 'Comma-separated monetization types',
+          schema: { type: 'string', example: 'flatrate,free' },
+        },
+        order: {
+          in: 'query',
+          name: 'order',
+          required: false,
+          description: 'Sort direction',
+          schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' },
+        },
+      },
       schemas: {
+        Image: {
+          type: 'object',
+          nullable: true,
+          properties: {
+            url: {
+              type: 'string',
+              description: 'Full image URL at the requested size',
+            },
+            srcset: {
+              type: 'string',
+              description: 'srcset-style list of the image at every width, e.g. "https://image.tmdb.org/t/p/w92/x.jpg 92w, ..."',
+            },
+          },
+        },
+        CastMember: {
+          allOf: [
+            { $ref: '#/components/schemas/Person' },
+            {
+              type: 'object',
+              properties: {
+                order: {
+                  type: 'integer',
+                  description: 'Billing order',
+                },
+                creditId: { type: 'string' },
+                character: { type: 'string' },
+                roles: {
+                  description: 'Aggregate credits only, instead of creditId and character',
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      creditId: { type: 'string' },
+                      character: { type: 'string' },
+                      episodeCount: { type: 'integer' },
+                    },
+                  },
+                },
+                totalEpisodeCount: {
+                  type: 'integer',
+                  description: 'Aggregate credits only',
+                },
+              },
+            },
+          ],
+        },
+        CrewMember: {
+          allOf: [
+            { $ref: '#/components/schemas/Person' },
+            {
+              type: 'object',
+              properties: {
+                department: { type: 'string' },
+                creditId: { type: 'string' },
+                job: { type: 'string' },
+                jobs: {
+                  description: 'Aggregate credits only, instead of creditId and job',
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      creditId: { type: 'string' },
+                      job: { type: 'string' },
+                      episodeCount: { type: 'integer' },
+                    },
+                  },
+                },
+                totalEpisodeCount: {
+                  type: 'integer',
+                  description: 'Aggregate credits only',
+                },
+              },
+            },
+          ],
+        },
+        Credits: {
+          type: 'object',
+          properties: {
+            cast: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CastMember' },
+            },
+            crew: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CrewMember' },
+            },
+            guestStars: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CastMember' },
+              description: 'Episode credits only',
+            },
+          },
+        },
+        CreditSummary: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['movie', 'tv'] },
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            year: { type: 'integer', nullable: true },
+            voteAverage: { type: 'number' },
+            voteCount: { type: 'integer' },
+          },
+        },
+        FilmographyCredit: {
+          type: 'object',
+          properties: {
+            type: { type: 'string', enum: ['movie', 'tv'] },
+            date: {
+              type: 'string',
+              format: 'date',
+              nullable: true,
+              description: 'Release date (movies) or first air date (TV shows)',
+            },
+            year: { type: 'integer', nullable: true },
+            media: {
+              anyOf: [
+                { $ref: '#/components/schemas/Movie' },
+                { $ref: '#/components/schemas/TVShow' },
+              ],
+            },
+            roles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  department: { type: 'string', description: 'Acting for cast credits' },
+                  character: { type: 'string', nullable: true, description: 'Acting roles only' },
+                  job: { type: 'string', description: 'Crew roles only' },
+                  creditId: { type: 'string' },
+                  episodeCount: { type: 'integer', description: 'TV roles only' },
+                },
+              },
+            },
+          },
+        },
+        Filmography: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            credits: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/FilmographyCredit' },
+              description: 'One entry per title, sorted chronologically; undated titles come last in asc order',
+            },
+            departments: {
+              type: 'array',
+              description: 'Credits per department, largest first; each entry only keeps the roles of its department',
+              items: {
+                type: 'object',
+                properties: {
+                  department: { type: 'string' },
+                  count: { type: 'integer' },
+                  credits: {
+                    type: 'array',
+                    items: { $ref: '#/components/schemas/FilmographyCredit' },
+                  },
+                },
+              },
+            },
+            stats: {
+              type: 'object',
+              properties: {
+                totalCredits: { type: 'integer' },
+                yearsActive: {
+                  type: 'object',
+                  nullable: true,
+                  description: 'First and last year with a released title, self appearances excluded',
+                  properties: {
+                    from: { type: 'integer' },
+                    to: { type: 'integer' },
+                    years: { type: 'integer' },
+                  },
+                },
+                topRated: {
+                  type: 'array',
+                  description: 'Best rated titles with at least 100 votes, self appearances excluded',
+                  items: { $ref: '#/components/schemas/CreditSummary' },
+                },
+                collaborators: {
+                  type: 'array',
+                  description: 'People sharing the most credits with the person',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      person: { $ref: '#/components/schemas/Person' },
+                      sharedCredits: { type: 'integer' },
+                      titles: {
+                        type: 'array',
+                        items: { $ref: '#/components/schemas/CreditSummary' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        Genre: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'TMDb genre ID',
+            },
+            name: {
+              type: 'string',
+              nullable: true,
+              description: 'Genre name in the request language',
+            },
+          },
+        },
+        Pagination: {
+          type: 'object',
+          properties: {
+            page: {
+              type: 'integer',
+              description: 'First TMDb page included in the response',
+            },
+            lastPage: {
+              type: 'integer',
+              description: 'Last TMDb page included in the response',
+            },
+            pagesFetched: {
+              type: 'integer',
+              description: 'Number of TMDb pages merged into the response',
+            },
+            totalPages: {
+              type: 'integer',
+              description: 'Total number of pages available',
+            },
+            totalResults: {
+              type: 'integer',
+              description: 'Total number of results available',
+            },
+            hasMore: {
+              type: 'boolean',
+              description: 'Whether more pages are available after lastPage',
+            },
+            nextPage: {
+              type: 'integer',
+              nullable: true,
+              description: 'Page to request next, or null on the last page',
+            },
+          },
+        },
         Media: {
           type: 'object',
           properties: {
@@ -58,6 +568,13 @@ const options = {
               type: 'string',
               description: 'Path to the backdrop image',
             },
+            images: {
+              type: 'object',
+              description: 'Full image URLs by type: poster and backdrop for movies and TV shows, profile for people, poster for seasons, still for episodes',
+              additionalProperties: {
+                $ref: '#/components/schemas/Image',
+              },
+            },
           },
         },
         Movie: {
@@ -86,6 +603,11 @@ const options = {
                   },
                   description: 'List of genre IDs associated with the movie',
                 },
+                genres: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Genre' },
+                  description: 'Resolved genres, only with resolveGenres=true',
+                },
                 voteAverage: {
                   type: 'number',
                   format: 'float',
@@ -122,6 +644,10 @@ const options = {
                   type: 'string',
                   description: 'Known department for the person',
                 },
+                profilePath: {
+                  type: 'string',
+                  description: 'Path to the profile image',
+                },
               },
             },
           ],
@@ -150,6 +676,11 @@ const options = {
                   items: { type: 'integer' },
                   description: 'List of genre IDs for the TV show',
                 },
+                genres: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Genre' },
+                  description: 'Resolved genres, only with resolveGenres=true',
+                },
                 voteAverage: {
                   type: 'number',
                   format: 'float',
@@ -163,47 +694,891 @@ const options = {
             },
           ],
         },
-        Review: {
-          type: 'object',
-          properties: {
-            author: {
-              type: 'string',
-              description: 'Author of the review',
-            },
-            content: {
-              type: 'string',
-              description: 'Content of the review',
+        Season: {
+          allOf: [
+            { $ref: '#/components/schemas/Media' },
+            {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Name of the season',
+                },
+                seasonNumber: {
+                  type: 'integer',
+                  description: 'Season number (0 for specials)',
+                },
+                airDate: {
+                  type: 'string',
+                  format: 'date',
+                  description: 'Air date of the first episode of the season',
+                },
+                voteAverage: {
+                  type: 'number',
+                  format: 'float',
+                  description: 'Average vote for the season',
+                },
+                episodeCount: {
+                  type: 'integer',
+                  description: 'Number of episodes in the season',
+                },
+                episodes: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Episode' },
+                  description: 'Episodes of the season',
+                },
+              },
             },
-            created: {
-              type: 'string',
-              format: 'date-time',
-              description: 'Date the review was created',
+          ],
+        },
+        Episode: {
+          allOf: [
+            { $ref: '#/components/schemas/Media' },
+            {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  description: 'Name of the episode',
+                },
+                showId: {
+                  type: 'integer',
+                  description: 'ID of the TV show the episode belongs to',
+                },
+                seasonNumber: {
+                  type: 'integer',
+                  description: 'Season number of the episode',
+                },
+                episodeNumber: {
+                  type: 'integer',
+                  description: 'Episode number within the season',
+                },
+                episodeType: {
+                  type: 'string',
+                  description: 'Episode type (e.g. standard, finale)',
+                },
+                airDate: {
+                  type: 'string',
+                  format: 'date',
+                  description: 'Air date of the episode',
+                },
+                runtime: {
+                  type: 'integer',
+                  description: 'Runtime in minutes',
+                },
+                stillPath: {
+                  type: 'string',
+                  description: 'Path to the episode still image',
+                },
+                voteAverage: {
+                  type: 'number',
+                  format: 'float',
+                  description: 'Average vote for the episode',
+                },
+                voteCount: {
+                  type: 'integer',
+                  description: 'Total vote count for the episode',
+                },
+              },
             },
-            updated: {
-              type: 'string',
-              format: 'date-time',
-              description: 'Date the review was last updated',
+          ],
+        },
+        Company: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            logoPath: { type: 'string', nullable: true },
+            originCountry: { type: 'string', description: 'ISO 3166-1 code' },
+            logo: { $ref: '#/components/schemas/Image' },
+          },
+        },
+        CompanyDetails: {
+          allOf: [
+            { $ref: '#/components/schemas/Company' },
+            {
+              type: 'object',
+              properties: {
+                description: { type: 'string', nullable: true },
+                headquarters: { type: 'string', nullable: true },
+                homepage: { type: 'string', nullable: true },
+                parentCompany: {
+                  nullable: true,
+                  allOf: [{ $ref: '#/components/schemas/Company' }],
+                },
+              },
             },
-            rating: {
-              type: 'number',
-              description: 'Rating given by the author',
-              default: 0,
+          ],
+        },
+        Collection: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            posterPath: { type: 'string', nullable: true },
+            backdropPath: { type: 'string', nullable: true },
+            images: {
+              type: 'object',
+              properties: {
+                poster: { $ref: '#/components/schemas/Image' },
+                backdrop: { $ref: '#/components/schemas/Image' },
+              },
             },
           },
         },
-      },
+        CollectionDetails: {
+          allOf: [
+            { $ref: '#/components/schemas/Collection' },
+            {
+              type: 'object',
+              properties: {
+                overview: { type: 'string', nullable: true },
+                parts: {
+                  type: 'array',
+                  description: 'Movies of the collection, oldest first (undated ones last)',
+                  items: { $ref: '#/components/schemas/Movie' },
+                },
+              },
+            },
+          ],
+        },
+        MovieDetails: {
+          allOf: [
+            { $ref: '#/components/schemas/Movie' },
+            {
+              type: 'object',
+              properties: {
+                genres: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Genre' },
+                  description: 'Genres named in the request language (always set on details)',
+                },
+                tagline: { type: 'string', nullable: true },
+                status: {
+                  type: 'string',
+                  description: 'Release status (e.g. Released, Post Production)',
+                },
+                runtime: {
+                  type: 'integer',
+                  description: 'Runtime in minutes',
+                },
+                budget: {
+                  type: 'integer',
+                  description: 'Budget in US dollars (0 when unknown)',
+                },
+                revenue: {
+                  type: 'integer',
+                  description: 'Revenue in US dollars (0 when unknown)',
+                },
+                homepage: { type: 'string', nullable: true },
+                imdbId: { type: 'string', nullable: true },
+                originalLanguage: {
+                  type: 'string',
+                  description: 'ISO 639-1 code of the original language',
+                },
+                spokenLanguages: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      code: { type: 'string', description: 'ISO 639-1 code' },
+                      name: { type: 'string' },
+                      englishName: { type: 'string' },
+                    },
+                  },
+                },
+                productionCountries: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      code: { type: 'string', description: 'ISO 3166-1 code' },
+                      name: { type: 'string' },
+                    },
+                  },
+                },
+                productionCompanies: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Company' },
+                },
+                collection: {
+                  nullable: true,
+                  description: 'Collection (franchise) the movie belongs to',
+                  allOf: [{ $ref: '#/components/schemas/Collection' }],
+                },
+              },
+            },
+          ],
+        },
+        TVShowDetails: {
+          allOf: [
+            { $ref: '#/components/schemas/TVShow' },
+            {
+              type: 'object',
+              properties: {
+                genres: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Genre' },
+                  description: 'Genres named in the request language (always set on details)',
+                },
+                tagline: { type: 'string', nullable: true },
+                status: {
+                  type: 'string',
+                  description: 'Production status (e.g. Returning Series, Ended)',
+                },
+                type: {
+                  type: 'string',
+                  description: 'Show type (e.g. Scripted, Miniseries)',
+                },
+                inProduction: { type: 'boolean' },
+                lastAirDate: { type: 'string', format: 'date' },
+                numberOfSeasons: { type: 'integer' },
+                numberOfEpisodes: { type: 'integer' },
+                episodeRunTime: {
+                  type: 'array',
+                  items: { type: 'integer' },
+                  description: 'Typical episode runtimes in minutes',
+                },
+                homepage: { type: 'string', nullable: true },
+                originalLanguage: {
+                  type: 'string',
+                  description: 'ISO 639-1 code of the original language',
+                },
+                originCountry: {
+                  type: 'array',
+                  items: { type: 'string' },
+                },
+                spokenLanguages: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      code: { type: 'string', description: 'ISO 639-1 code' },
+                      name: { type: 'string' },
+                      englishName: { type: 'string' },
+                    },
+                  },
+                },
+                createdBy: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Person' },
+                },
+                networks: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Company' },
+                },
+                productionCompanies: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Company' },
+                },
+                seasons: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/Season' },
+                  description: 'Season summaries (episodes is empty, episodeCount is set)',
+                },
+                lastEpisodeToAir: {
+                  nullable: true,
+                  allOf: [{ $ref: '#/components/schemas/Episode' }],
+                },
+                nextEpisodeToAir: {
+                  nullable: true,
+                  allOf: [{ $ref: '#/components/schemas/Episode' }],
+                },
+              },
+            },
+          ],
+        },
+        PersonDetails: {
+          allOf: [
+            { $ref: '#/components/schemas/Person' },
+            {
+              type: 'object',
+              properties: {
+                biography: { type: 'string', nullable: true },
+                birthday: { type: 'string', format: 'date', nullable: true },
+                deathday: { type: 'string', format: 'date', nullable: true },
+                placeOfBirth: { type: 'string', nullable: true },
+                alsoKnownAs: {
+                  type: 'array',
+                  items: { type: 'string' },
+                },
+                homepage: { type: 'string', nullable: true },
+                imdbId: { type: 'string', nullable: true },
+              },
+            },
+          ],
+        },
+        SeriesProgress: {
+          type: 'object',
+          properties: {
+            seriesId: {
+              type: 'integer',
+              description: 'ID of the TV show',
+            },
+            show: {
+              $ref: '#/components/schemas/TVShow',
+            },
+            airedEpisodes: {
+              type: 'integer',
+              description: 'Episodes aired so far (specials only with includeSpecials)',
+            },
+            watchedEpisodes: {
+              type: 'integer',
+              description: 'Aired episodes the user has watched',
+            },
+            remainingEpisodes: {
+              type: 'integer',
+              description: 'Aired episodes left to watch',
+            },
+            percentComplete: {
+              type: 'integer',
+              description: 'Share of aired episodes watched, 0-100',
+            },
+            completed: {
+              type: 'boolean',
+              description: 'Whether every aired episode has been watched',
+            },
+            lastWatchedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Most recent watch of an episode of the show',
+            },
+            newlyAiredEpisodes: {
+              type: 'integer',
+              description: 'Unwatched episodes that aired after the last watch',
+            },
+            nextEpisode: {
+              allOf: [{ $ref: '#/components/schemas/Episode' }],
+              nullable: true,
+              description: 'Next aired episode to watch',
+            },
+            upcomingEpisode: {
+              allOf: [{ $ref: '#/components/schemas/Episode' }],
+              nullable: true,
+              description: 'Next episode scheduled to air',
+            },
+            includeSpecials: {
+              type: 'boolean',
+            },
+            specials: {
+              type: 'object',
+              properties: {
+                airedEpisodes: { type: 'integer' },
+                watchedEpisodes: { type: 'integer' },
+              },
+            },
+            seasons: {
+              type: 'array',
+              description: 'Per-season progress (omitted from /up-next)',
+              items: {
+                type: 'object',
+                properties: {
+                  seasonNumber: { type: 'integer' },
+                  name: { type: 'string' },
+                  episodeCount: { type: 'integer' },
+                  airedEpisodes: { type: 'integer' },
+                  watchedEpisodes: { type: 'integer' },
+                  completed: { type: 'boolean' },
+                },
+              },
+            },
+          },
+        },
+        WatchlistItem: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['movie', 'tv'],
+              description: 'Media type of the title',
+            },
+            tmdbId: {
+              type: 'integer',
+              description: 'TMDb ID of the title',
+            },
+            status: {
+              type: 'string',
+              enum: ['planned', 'watched'],
+              description: 'Whether the title has been watched',
+            },
+            addedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the title was added to the watchlist',
+            },
+            watchedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Most recent watch',
+            },
+            rating: {
+              type: 'number',
+              nullable: true,
+              description: 'User rating from 0.5 to 10',
+            },
+            media: {
+              anyOf: [
+                { $ref: '#/components/schemas/Movie' },
+                { $ref: '#/components/schemas/TVShow' },
+              ],
+              nullable: true,
+              description: 'TMDb details of the title, null if they could not be loaded',
+            },
+          },
+        },
+        HistoryEntry: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier of the history entry',
+            },
+            type: {
+              type: 'string',
+              enum: ['movie', 'tv'],
+              description: 'Media type of the title',
+            },
+            tmdbId: {
+              type: 'integer',
+              description: 'TMDb ID of the title',
+            },
+            watchedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the title was watched',
+            },
+            rating: {
+              type: 'number',
+              nullable: true,
+              description: 'User rating from 0.5 to 10',
+            },
+            media: {
+              anyOf: [
+                { $ref: '#/components/schemas/Movie' },
+                { $ref: '#/components/schemas/TVShow' },
+              ],
+              nullable: true,
+              description: 'TMDb details of the title, null if they could not be loaded',
+            },
+          },
+        },
+        WatchProvider: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'integer',
+              description: 'TMDb watch provider ID',
+            },
+            name: {
+              type: 'string',
+            },
+            displayPriority: {
+              type: 'integer',
+              description: 'TMDb display order, lowest first',
+            },
+            logoPath: {
+              type: 'string',
+            },
+            logo: {
+              $ref: '#/components/schemas/Image',
+            },
+            subscribed: {
+              type: 'boolean',
+              description: 'Whether the provider is in the user\'s subscriptions',
+            },
+          },
+        },
+        WatchAvailability: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['movie', 'tv'],
+            },
+            id: {
+              type: 'integer',
+            },
+            region: {
+              type: 'string',
+              nullable: true,
+              description: 'Requested region, or null when every region is returned',
+            },
+            regions: {
+              type: 'object',
+              description: 'Providers per ISO 3166-1 region, grouped by monetization type',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  link: { type: 'string', description: 'TMDb page listing the offers' },
+                  flatrate: { type: 'array', items: { $ref: '#/components/schemas/WatchProvider' } },
+                  free: { type: 'array', items: { $ref: '#/components/schemas/WatchProvider' } },
+                  ads: { type: 'array', items: { $ref: '#/components/schemas/WatchProvider' } },
+                  rent: { type: 'array', items: { $ref: '#/components/schemas/WatchProvider' } },
+                  buy: { type: 'array', items: { $ref: '#/components/schemas/WatchProvider' } },
+                },
+              },
+            },
+            onMySubscriptions: {
+              type: 'boolean',
+              description: 'Whether the title streams (flatrate) on a subscribed provider',
+            },
+            subscribedProviders: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/WatchProvider' },
+            },
+            error: {
+              type: 'object',
+              description: 'Set instead of the availability when a title of a batch fails to load',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+        IncludedSections: {
+          type: 'object',
+          properties: {
+            included: {
+              type: 'object',
+              description: 'Sections requested with include, keyed by name. Each one has the shape of its standalone route (e.g. `credits` like /{id}/credits), or is null when TMDb returned nothing for it.',
+              additionalProperties: true,
+            },
+          },
+        },
+        BatchResult: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['movie', 'tv'],
+            },
+            id: {
+              type: 'integer',
+            },
+            media: {
+              nullable: true,
+              description: 'Movie or TVShow details, or null when the title failed to load',
+              anyOf: [
+                { $ref: '#/components/schemas/Movie' },
+                { $ref: '#/components/schemas/TVShow' },
+              ],
+            },
+            error: {
+              type: 'object',
+              description: 'Set when the title failed to load',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' },
+              },
+            },
+          },
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['movie', 'tv', 'person', 'collection', 'company', 'keyword'],
+            },
+            score: {
+              type: 'number',
+              description: 'Weighted title match, popularity and recency score',
+            },
+            item: {
+              type: 'object',
+              description: 'Movie, TVShow, Person, Collection or Company for those types; the TMDb result for keywords',
+            },
+          },
+        },
+        UnifiedSearch: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            matchedQuery: {
+              type: 'string',
+              description: 'Query that produced the results; differs from query when a fuzzy variant was used',
+            },
+            fuzzy: { type: 'boolean' },
+            totals: {
+              type: 'object',
+              description: 'TMDb result count per searched type',
+              additionalProperties: { type: 'integer' },
+            },
+            results: {
+              type: 'array',
+              description: 'Every type ranked together (layout=interleaved)',
+              items: { $ref: '#/components/schemas/SearchResult' },
+            },
+            groups: {
+              type: 'array',
+              description: 'Ranked results per type, best group first (layout=grouped)',
+              items: {
+                type: 'object',
+                properties: {
+                  type: { type: 'string' },
+                  results: {
+                    type: 'array',
+                    items: { $ref: '#/components/schemas/SearchResult' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        Autocomplete: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            source: {
+              type: 'string',
+              enum: ['tmdb', 'index'],
+              description: 'tmdb when TMDb results are included; index when only the local index answered (enough local matches, superseded by a newer keystroke, or TMDb too slow)',
+            },
+            results: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  type: { type: 'string', enum: ['movie', 'tv', 'person'] },
+                  title: { type: 'string' },
+                  year: { type: 'integer', nullable: true },
+                  thumbnail: { type: 'string', nullable: true },
+                },
+              },
+            },
+          },
+        },
+        Subscriptions: {
+          type: 'object',
+          properties: {
+            providerIds: {
+              type: 'array',
+              items: { type: 'integer' },
+            },
+            updatedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+          },
+        },
+        Follow: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['movie', 'tv'],
+            },
+            tmdbId: {
+              type: 'integer',
+            },
+            region: {
+              type: 'string',
+              description: 'ISO 3166-1 region whose providers are watched',
+            },
+            followedAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            checkedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Last availability check',
+            },
+            snapshot: {
+              type: 'object',
+              nullable: true,
+              description: 'Provider IDs per monetization type seen at the last check, plus their names',
+            },
+          },
+        },
+        Notification: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+            },
+            event: {
+              type: 'string',
+              enum: ['availability.added', 'availability.removed'],
+            },
+            media: {
+              type: 'object',
+              properties: {
+                type: { type: 'string', enum: ['movie', 'tv'] },
+                id: { type: 'integer' },
+                title: { type: 'string' },
+              },
+            },
+            region: {
+              type: 'string',
+            },
+            provider: {
+              type: 'object',
+              properties: {
+                id: { type: 'integer' },
+                name: { type: 'string' },
+              },
+            },
+            monetization: {
+              type: 'string',
+              enum: ['flatrate', 'free', 'ads', 'rent', 'buy'],
+            },
+            message: {
+              type: 'string',
+              example: '"Dune" is now streaming on Netflix in US',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+            },
+            readAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+            },
+          },
+        },
+        NotificationChannels: {
+          type: 'object',
+          properties: {
+            webhook: {
+              type: 'object',
+              nullable: true,
+              description: 'POSTs { notifications } as JSON, signed in X-Signature-256 when a secret is set',
+              properties: {
+                url: { type: 'string', format: 'uri' },
+                secret: { type: 'string' },
+              },
+            },
+            email: {
+              type: 'object',
+              nullable: true,
+              description: 'Sends a plain-text digest through the configured SMTP server',
+              properties: {
+                address: { type: 'string', format: 'email' },
+              },
+            },
+          },
+        },
+        Credentials: {
+          type: 'object',
+          required: ['username', 'password'],
+          properties: {
+            username: {
+              type: 'string',
+              description: '3-32 letters, digits, ".", "-" or "_"',
+            },
+            password: {
+              type: 'string',
+              format: 'password',
+              description: 'At least 8 characters',
+            },
+          },
+        },
+        User: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              description: 'Unique identifier of the user',
+            },
+            username: {
+              type: 'string',
+              description: 'Username',
+            },
+            role: {
+              type: 'string',
+              enum: ['user', 'admin'],
+              description: 'Role of the user',
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the account was created',
+            },
+            apiKeys: {
+              type: 'array',
+              description: 'API keys of the user (without the secret part)',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'string' },
+                  name: { type: 'string' },
+                  prefix: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+          },
+        },
+        AuthResponse: {
+          type: 'object',
+          properties: {
+            user: {
+              $ref: '#/components/schemas/User',
+            },
+            token: {
+              type: 'string',
+              description: 'JWT to send as "Authorization: Bearer <token>"',
+            },
+          },
+        },
+        Review: {
+          type: 'object',
+          properties: {
+            author: {
+              type: 'string',
+              description: 'Author of the review',
+            },
+            content: {
+              type: 'string',
+              description: 'Content of the review',
+            },
+            created: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Date the review was created',
+            },
+            updated: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Date the review was last updated',
+            },
+            rating: {
+              type: 'number',
+              description: 'Rating given by the author',
+              default: 0,
+            },
+          },
+        },
+      },
     },
   },
-  apis: [
-    './controller/tmdbController.js',
-    './controller/movieController.js', 
-    './controller/tvShowController.js', 
-    './controller/personController.js'
-  ],
+  apis: Object.values(CONTROLLER_FILES),
 };
 
 const specs = swaggerJsdoc(options);
 
-module.exports = (app) => {
-  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(specs));
+// Spec of a single router. Paths are relative to the router's base path, so the routers
+// can't share one spec without their paths colliding (e.g. /health, /search, /genres).
+const routerSpecs = {};
+const getRouterSpec = (name) => {
+  if (!routerSpecs[name]) {
+    routerSpecs[name] = swaggerJsdoc({ ...options, apis: [CONTROLLER_FILES[name]] });
+  }
+  return routerSpecs[name];
 };
+
+// Servers can be overridden so the docs point at wherever the routers are actually mounted
+module.exports = (app, servers) => {
+  const appSpecs = servers ? { ...specs, servers } : specs;
+  app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(appSpecs));
+};
+
+module.exports.getRouterSpec = getRouterSpec;
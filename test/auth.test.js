@@ -0,0 +1,114 @@
+// test/auth.test.js
+// Authentication with JWTs and API keys, and the role checks of protected routes. Users are
+// stored in a temporary data directory. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+
+const JWT_SECRET = 'test-secret';
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-test-'));
+
+let authService;
+let auth;
+let alice;
+
+before(async () => {
+  process.env.DATA_DIR = dataDir;
+  process.env.JWT_SECRET = JWT_SECRET;
+  authService = require('../helpers/authService');
+  auth = require('../middleware/auth');
+  alice = await authService.register('alice', 'correct horse');
+});
+
+after(() => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+// Runs a middleware with the given request headers; resolves with the request and whatever
+// was passed to next()
+const run = (middleware, { headers = {}, user, path: reqPath = '/' } = {}) => new Promise((resolve) => {
+  const lowerCased = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+  const req = { path: reqPath, user, get: (name) => lowerCased[name.toLowerCase()] };
+  middleware(req, {}, (error) => resolve({ req, error }));
+});
+
+test('lets anonymous requests through without a user', async () => {
+  const { req, error } = await run(auth.authenticate);
+  assert.equal(error, undefined);
+  assert.equal(req.user, undefined);
+});
+
+test('resolves the user of a valid JWT', async () => {
+  const { token } = await authService.login('ALICE', 'correct horse');
+  const { req, error } = await run(auth.authenticate, { headers: { Authorization: `Bearer ${token}` } });
+  assert.equal(error, undefined);
+  assert.deepEqual(req.user, { id: alice.id, username: 'alice', role: 'user' });
+});
+
+test('rejects expired, forged and unknown-user tokens', async () => {
+  const tokens = [
+    jwt.sign({ role: 'user' }, JWT_SECRET, { subject: alice.id, expiresIn: -10 }),
+    jwt.sign({ role: 'admin' }, 'another-secret', { subject: alice.id }),
+    jwt.sign({ role: 'user' }, JWT_SECRET, { subject: 'no-such-user' }),
+    'not-a-jwt',
+  ];
+  for (const token of tokens) {
+    const { error } = await run(auth.authenticate, { headers: { Authorization: `Bearer ${token}` } });
+    assert.equal(error.status, 401);
+    assert.equal(error.code, 'INVALID_TOKEN');
+  }
+});
+
+test('refuses wrong passwords and unknown users alike', async () => {
+  await assert.rejects(authService.login('alice', 'wrong password'), { status: 401, code: 'INVALID_CREDENTIALS' });
+  await assert.rejects(authService.login('bob', 'correct horse'), { status: 401, code: 'INVALID_CREDENTIALS' });
+});
+
+test('accepts API keys in X-API-Key or as a bearer token', async () => {
+  const { key, prefix } = await authService.createApiKey(alice.id, 'ci');
+  assert.ok(key.startsWith(prefix));
+
+  for (const headers of [{ 'X-API-Key': key }, { Authorization: `Bearer ${key}` }]) {
+    const { req, error } = await run(auth.authenticate, { headers });
+    assert.equal(error, undefined);
+    assert.equal(req.user.id, alice.id);
+  }
+
+  const { error } = await run(auth.authenticate, { headers: { 'X-API-Key': `${key}x` } });
+  assert.equal(error.code, 'INVALID_API_KEY');
+  assert.equal(error.status, 401);
+});
+
+test('stores API keys hashed and only returns them once', async () => {
+  const { key } = await authService.createApiKey(alice.id);
+  const stored = fs.readdirSync(dataDir).map((file) => fs.readFileSync(path.join(dataDir, file), 'utf8')).join('');
+  assert.equal(stored.includes(key), false);
+});
+
+test('requires a user on protected routes', async () => {
+  assert.equal((await run(auth.requireAuth)).error.code, 'UNAUTHORIZED');
+  assert.equal((await run(auth.requireAuth, { user: { id: '1', role: 'user' } })).error, undefined);
+});
+
+test('keeps the health check of a protected router public', async () => {
+  assert.equal((await run(auth.protectRouter, { path: '/health' })).error, undefined);
+  assert.equal((await run(auth.protectRouter, { path: '/up-next' })).error.status, 401);
+});
+
+test('checks roles after authentication', async () => {
+  const adminOnly = auth.requireRole('admin');
+  assert.equal((await run(adminOnly)).error.status, 401);
+
+  const { error } = await run(adminOnly, { user: { id: '1', role: 'user' } });
+  assert.equal(error.status, 403);
+  assert.equal(error.message, 'This endpoint requires the admin role');
+
+  assert.equal((await run(adminOnly, { user: { id: '2', role: 'admin' } })).error, undefined);
+});
+
+test('only sets known roles', async () => {
+  await assert.rejects(authService.setRole(alice.id, 'owner'), { status: 400 });
+  await assert.rejects(authService.setRole('no-such-user', 'admin'), { status: 404 });
+  assert.equal((await authService.setRole(alice.id, 'admin')).role, 'admin');
+});
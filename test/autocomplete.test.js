@@ -0,0 +1,110 @@
+// test/autocomplete.test.js
+// Debouncing, request coalescing and fallbacks of autocomplete, against a local stub of
+// TMDb. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// /search/multi answers with `results` after `delayMs`, or with `status` when set
+let results = [];
+let delayMs = 0;
+let status = 200;
+let searches = [];
+
+const server = http.createServer((req, res) => {
+  searches.push(new URL(req.url, 'http://stub').searchParams.get('query'));
+  setTimeout(() => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(status === 200 ? { page: 1, results } : { status_code: 7, status_message: 'Invalid API key' }));
+  }, delayMs);
+});
+
+let autocomplete;
+let titleIndex;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  process.env.TMDB_MAX_RETRIES = '0';
+  process.env.AUTOCOMPLETE_DEBOUNCE_MS = '20';
+  process.env.AUTOCOMPLETE_BUDGET_MS = '150';
+  ({ autocomplete } = require('../helpers/autocomplete'));
+  titleIndex = require('../helpers/titleIndex');
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  titleIndex.clear();
+  results = [];
+  delayMs = 0;
+  status = 200;
+  searches = [];
+});
+
+const titles = (response) => response.results.map((result) => result.title);
+
+test('answers from the title index when it has enough prefix matches', async () => {
+  titleIndex.remember('movie', [
+    { id: 1, title: 'Alien', popularity: 10 },
+    { id: 2, title: 'Aliens', popularity: 50 },
+  ]);
+  const response = await autocomplete('ali', { clientKey: 'a', limit: 2 });
+  assert.equal(response.source, 'index');
+  assert.deepEqual(titles(response), ['Aliens', 'Alien']);
+  assert.deepEqual(searches, []);
+});
+
+test('adds TMDb suggestions after the prefix matches and remembers them', async () => {
+  results = [
+    { media_type: 'movie', id: 3, title: 'Alien: Romulus', release_date: '2024-08-13', popularity: 80 },
+    { media_type: 'tv', id: 4, name: 'Resident Alien', popularity: 20 },
+    { media_type: 'collection', id: 5, name: 'Alien Collection' },
+  ];
+  const response = await autocomplete('alien', { clientKey: 'a' });
+  assert.equal(response.source, 'tmdb');
+  assert.deepEqual(response.results, [
+    { id: 3, type: 'movie', title: 'Alien: Romulus', year: 2024, thumbnail: null },
+    { id: 4, type: 'tv', title: 'Resident Alien', year: null, thumbnail: null },
+  ]);
+  assert.equal(titleIndex.size(), 2);
+});
+
+test('only queries TMDb for the latest keystroke of a client', async () => {
+  const responses = await Promise.all(['d', 'du', 'dun'].map((text) => autocomplete(text, { clientKey: 'a' })));
+  assert.deepEqual(responses.map((response) => response.source), ['index', 'index', 'tmdb']);
+  assert.deepEqual(searches, ['dun']);
+});
+
+test('shares one TMDb call between identical queries of different clients', async () => {
+  results = [{ media_type: 'movie', id: 438631, title: 'Dune' }];
+  delayMs = 30;
+  const responses = await Promise.all(['a', 'b', 'c'].map((clientKey) => autocomplete('Dune', { clientKey })));
+  assert.deepEqual(searches, ['Dune']);
+  responses.forEach((response) => assert.deepEqual(titles(response), ['Dune']));
+});
+
+test('falls back to the index when TMDb is slower than the budget', async () => {
+  titleIndex.remember('movie', [{ id: 1, title: 'Dune' }]);
+  results = [{ media_type: 'movie', id: 2, title: 'Dune: Part Two' }];
+  delayMs = 300;
+  const started = Date.now();
+  const response = await autocomplete('dune', { clientKey: 'a' });
+  assert.ok(Date.now() - started < 250, `took ${Date.now() - started}ms`);
+  assert.equal(response.source, 'index');
+  assert.deepEqual(titles(response), ['Dune']);
+
+  // The late results still reach the index
+  await new Promise((resolve) => setTimeout(resolve, 250));
+  assert.equal(titleIndex.size(), 2);
+});
+
+test('falls back to the index when TMDb fails', async () => {
+  titleIndex.remember('tv', [{ id: 1, name: 'Dark' }]);
+  status = 401;
+  const response = await autocomplete('dar', { clientKey: 'a' });
+  assert.equal(response.source, 'index');
+  assert.deepEqual(titles(response), ['Dark']);
+});
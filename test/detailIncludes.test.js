@@ -0,0 +1,101 @@
+// test/detailIncludes.test.js
+// ?include= sections on detail routes: parsing, the single append_to_response call and how
+// each section is shaped, against a local stub of TMDb. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Every request is recorded; the movie answers with whatever was appended
+let requests = [];
+
+const APPENDED = {
+  credits: {
+    cast: [{ id: 1, name: 'Timothée Chalamet', character: 'Paul Atreides' }],
+    crew: [{ id: 2, name: 'Denis Villeneuve', department: 'Directing', job: 'Director' }, { id: 3, name: 'Hans Zimmer', department: 'Sound', job: 'Original Music Composer' }],
+  },
+  videos: { results: [{ key: 'abc', site: 'YouTube' }] },
+  reviews: { page: 1, results: [{ id: 'r1', author: 'critic', author_details: { rating: 8 }, content: 'Great' }], total_pages: 1, total_results: 1 },
+  similar: { page: 1, results: [{ id: 841, title: 'Dune (1984)' }], total_pages: 3, total_results: 60 },
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  requests.push({ path: url.pathname, append: url.searchParams.get('append_to_response') });
+  const appended = (url.searchParams.get('append_to_response') || '').split(',').filter((name) => APPENDED[name]);
+  const body = { id: 438631, title: 'Dune', ...Object.fromEntries(appended.map((name) => [name, APPENDED[name]])) };
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+let parseInclude;
+let getDetails;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  ({ parseInclude, getDetails } = require('../helpers/detailIncludes'));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requests = [];
+});
+
+test('dedupes and sorts include names', () => {
+  assert.deepEqual(parseInclude('movie', undefined), []);
+  assert.deepEqual(parseInclude('movie', ''), []);
+  assert.deepEqual(parseInclude('movie', 'videos, credits,,videos'), ['credits', 'videos']);
+});
+
+test('rejects sections a detail type does not have', () => {
+  assert.throws(() => parseInclude('person', 'credits,images,reviews'), (error) => {
+    assert.equal(error.status, 400);
+    assert.equal(error.message, 'include must be a comma-separated list of: movie_credits, tv_credits, images, external_ids');
+    assert.deepEqual(error.details, [
+      { field: 'include', message: 'Unknown section "credits"' },
+      { field: 'include', message: 'Unknown section "reviews"' },
+    ]);
+    return true;
+  });
+  assert.deepEqual(parseInclude('tv', 'aggregate_credits'), ['aggregate_credits']);
+  assert.throws(() => parseInclude('movie', 'aggregate_credits'), { status: 400 });
+});
+
+test('returns the plain details without append_to_response when nothing is included', async () => {
+  const details = await getDetails('movie', 438631, [], { params: { language: 'fr-FR' } });
+  assert.equal(details.title, 'Dune');
+  assert.equal('included' in details, false);
+  assert.deepEqual(requests, [{ path: '/3/movie/438631', append: null }]);
+});
+
+test('fetches every section in one call and shapes it like its standalone route', async () => {
+  const include = parseInclude('movie', 'videos,credits,reviews,similar');
+  const details = await getDetails('movie', 438631, include);
+  assert.deepEqual(requests, [{ path: '/3/movie/438631', append: 'credits,reviews,similar,videos' }]);
+
+  const { credits, videos, reviews, similar } = details.included;
+  assert.deepEqual(Object.keys(details.included), ['credits', 'reviews', 'similar', 'videos']);
+  assert.equal(credits.cast[0].character, 'Paul Atreides');
+  assert.equal(credits.crew.length, 2);
+  assert.deepEqual(videos, APPENDED.videos.results);
+  assert.deepEqual([reviews.results[0].author, reviews.results[0].rating], ['critic', 8]);
+  assert.equal(similar.results[0].title, 'Dune (1984)');
+  assert.deepEqual(similar.pagination, {
+    page: 1, lastPage: 1, pagesFetched: 1, totalPages: 3, totalResults: 60, hasMore: true, nextPage: 2,
+  });
+});
+
+test('applies the crew filters of the query to included credits', async () => {
+  const details = await getDetails('movie', 438631, ['credits'], { query: { department: 'directing' } });
+  assert.deepEqual(details.included.credits.crew.map((member) => member.name), ['Denis Villeneuve']);
+  assert.equal(details.included.credits.cast.length, 1);
+});
+
+test('sets sections TMDb did not return to null', async () => {
+  const details = await getDetails('movie', 438631, ['external_ids', 'videos']);
+  assert.equal(requests[0].append, 'external_ids,videos');
+  assert.deepEqual(details.included, { external_ids: null, videos: APPENDED.videos.results });
+});
@@ -0,0 +1,101 @@
+// test/errorHandler.test.js
+// Mapping of TMDb and API failures to the error envelope. Run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { errorHandler, notFoundHandler, mapTmdbError } = require('../middleware/errorHandler');
+const { ApiError, TmdbError } = require('../helpers/errors');
+
+// Just enough of an Express response to capture what the handler sends
+const fakeResponse = () => {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = (status) => { res.statusCode = status; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const handle = (error) => {
+  const req = { id: 'req-1', method: 'GET', originalUrl: '/movies/550', path: '/movies/550' };
+  const res = fakeResponse();
+  errorHandler(error, req, res, () => {});
+  return res;
+};
+
+test('maps TMDb statuses to our own status and code', () => {
+  const cases = [
+    [400, 400, 'TMDB_BAD_REQUEST'],
+    [422, 400, 'TMDB_BAD_REQUEST'],
+    [401, 401, 'TMDB_UNAUTHORIZED'],
+    [404, 404, 'NOT_FOUND'],
+    [429, 429, 'RATE_LIMITED'],
+    [500, 502, 'TMDB_ERROR'],
+    [null, 502, 'TMDB_ERROR'],
+  ];
+  for (const [upstream, status, code] of cases) {
+    const mapped = mapTmdbError(new TmdbError('failed', { status: upstream }));
+    assert.deepEqual([mapped.status, mapped.code], [status, code], `TMDb status ${upstream}`);
+  }
+});
+
+test('maps timeouts and an open circuit before looking at the status', () => {
+  assert.equal(mapTmdbError(new TmdbError('slow', { code: 'ECONNABORTED' })).status, 504);
+  assert.equal(mapTmdbError(new TmdbError('slow', { code: 'ETIMEDOUT' })).code, 'TMDB_TIMEOUT');
+  assert.deepEqual(
+    mapTmdbError(new TmdbError('open', { code: 'ECIRCUITOPEN', status: 500 })),
+    { status: 503, code: 'TMDB_UNAVAILABLE', message: 'TMDb is temporarily unavailable' },
+  );
+});
+
+test('passes TMDb status messages through for client errors only', () => {
+  assert.equal(mapTmdbError(new TmdbError('x', { status: 404, tmdbStatusMessage: 'Not here' })).message, 'Not here');
+  assert.equal(mapTmdbError(new TmdbError('x', { status: 500, tmdbStatusMessage: 'Boom' })).message, 'TMDb returned an unexpected error');
+});
+
+test('renders TMDb errors with their status code and Retry-After', () => {
+  const res = handle(new TmdbError('slow down', { status: 429, tmdbStatusCode: 25, retryAfterMs: 1500 }));
+  assert.equal(res.statusCode, 429);
+  assert.equal(res.headers['Retry-After'], '2');
+  assert.deepEqual(res.body, {
+    error: {
+      code: 'RATE_LIMITED',
+      message: 'Too many requests to TMDb, please retry later',
+      tmdbStatusCode: 25,
+      requestId: 'req-1',
+    },
+  });
+});
+
+test('renders ApiErrors with their details', () => {
+  const details = [{ field: 'page', message: 'page must be an integer' }];
+  const res = handle(new ApiError(400, 'INVALID_REQUEST', 'Invalid query', details));
+  assert.equal(res.statusCode, 400);
+  assert.deepEqual(res.body, {
+    error: { code: 'INVALID_REQUEST', message: 'Invalid query', details, requestId: 'req-1' },
+  });
+  assert.equal('details' in handle(new ApiError(404, 'NOT_FOUND', 'Gone')).body.error, false);
+});
+
+test('renders malformed JSON bodies as 400', () => {
+  const error = Object.assign(new SyntaxError('Unexpected token'), { type: 'entity.parse.failed' });
+  const res = handle(error);
+  assert.equal(res.statusCode, 400);
+  assert.equal(res.body.error.code, 'INVALID_JSON');
+});
+
+test('hides the message of unexpected errors', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const res = handle(new Error('database password is hunter2'));
+  assert.equal(res.statusCode, 500);
+  assert.deepEqual(res.body, {
+    error: { code: 'INTERNAL_ERROR', message: 'Internal server error', requestId: 'req-1' },
+  });
+  assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('turns unmatched routes into a NOT_FOUND ApiError', () => {
+  let forwarded;
+  notFoundHandler({ method: 'POST', path: '/nope' }, {}, (error) => { forwarded = error; });
+  assert.ok(forwarded instanceof ApiError);
+  assert.equal(forwarded.status, 404);
+  assert.equal(forwarded.message, 'Route POST /nope not found');
+});
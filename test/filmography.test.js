@@ -0,0 +1,102 @@
+// test/filmography.test.js
+// Merging of a person's combined credits into a filmography, against a local stub of TMDb.
+// Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const PERSON_ID = 525;
+
+// Responses by path; paths missing here answer 404
+let routes = {};
+
+const server = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://stub').pathname.replace(/^\/3/, '');
+  const body = routes[pathname];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body || { status_code: 34, status_message: 'Not found' }));
+});
+
+let getFilmography;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  ({ getFilmography } = require('../helpers/filmography'));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const movie = (id, title, releaseDate, voteAverage = 7, voteCount = 1000) => ({
+  media_type: 'movie', id, title, release_date: releaseDate, vote_average: voteAverage, vote_count: voteCount,
+});
+
+beforeEach(() => {
+  routes = {
+    [`/person/${PERSON_ID}/combined_credits`]: {
+      cast: [
+        { ...movie(1, 'Following', '1998-09-12', 7.2, 500), character: 'Burglar', credit_id: 'c1' },
+        { media_type: 'tv', id: 2, name: 'Late Night', first_air_date: '1993-09-13', vote_count: 300, character: 'Self - Guest', credit_id: 'c2', episode_count: 3 },
+        { media_type: 'person', id: 3, name: 'Not a title', credit_id: 'c3' },
+      ],
+      crew: [
+        { ...movie(1, 'Following', '1998-09-12', 7.2, 500), department: 'Directing', job: 'Director', credit_id: 'c4' },
+        { ...movie(1, 'Following', '1998-09-12', 7.2, 500), department: 'Writing', job: 'Writer', credit_id: 'c5' },
+        { ...movie(4, 'Memento', '2000-10-11', 8.2, 14000), department: 'Directing', job: 'Director', credit_id: 'c6' },
+        { ...movie(5, 'Untitled Project', '', 0, 0), department: 'Directing', job: 'Director', credit_id: 'c7' },
+        { ...movie(6, 'Short', '1997-01-01', 9.9, 12), department: 'Directing', job: 'Director', credit_id: 'c8' },
+      ],
+    },
+    '/movie/1/credits': { cast: [{ id: 10, name: 'Jeremy' }], crew: [{ id: PERSON_ID, name: 'Self' }, { id: 11, name: 'Emma' }] },
+    '/movie/4/credits': { cast: [{ id: 10, name: 'Jeremy' }], crew: [{ id: 11, name: 'Emma' }, { id: 11, name: 'Emma' }] },
+    '/movie/6/credits': { cast: [{ id: 11, name: 'Emma' }], crew: [] },
+    // /tv/2/credits and /movie/5/credits fail
+  };
+});
+
+const titles = (entries) => entries.map((entry) => entry.media.title || entry.media.name);
+
+test('merges every role on a title into one entry and skips non-titles', async () => {
+  const { credits } = await getFilmography(PERSON_ID);
+  assert.equal(credits.length, 5);
+  const following = credits.find((entry) => entry.media.id === 1);
+  assert.deepEqual(following.roles, [
+    { department: 'Acting', character: 'Burglar', creditId: 'c1', episodeCount: undefined },
+    { department: 'Directing', job: 'Director', creditId: 'c4', episodeCount: undefined },
+    { department: 'Writing', job: 'Writer', creditId: 'c5', episodeCount: undefined },
+  ]);
+  assert.equal(following.year, 1998);
+});
+
+test('sorts oldest first with undated titles last, or the reverse', async () => {
+  const order = ['Late Night', 'Short', 'Following', 'Memento', 'Untitled Project'];
+  assert.deepEqual(titles((await getFilmography(PERSON_ID)).credits), order);
+  assert.deepEqual(titles((await getFilmography(PERSON_ID, { order: 'desc' })).credits), [...order].reverse());
+});
+
+test('groups titles by department, keeping only the roles of each', async () => {
+  const { departments } = await getFilmography(PERSON_ID);
+  assert.deepEqual(departments.map(({ department, count }) => [department, count]), [['Directing', 4], ['Acting', 2], ['Writing', 1]]);
+  const acting = departments.find((group) => group.department === 'Acting');
+  assert.deepEqual(acting.credits.find((entry) => entry.media.id === 1).roles.map((role) => role.department), ['Acting']);
+});
+
+test('leaves self appearances and announced projects out of the stats', async () => {
+  const { stats } = await getFilmography(PERSON_ID);
+  assert.equal(stats.totalCredits, 5);
+  assert.deepEqual(stats.yearsActive, { from: 1997, to: 2000, years: 4 });
+  // "Short" has too few votes to rank
+  assert.deepEqual(stats.topRated.map((title) => title.title), ['Memento', 'Following']);
+});
+
+test('lists people sharing several titles, skipping titles whose credits fail', async () => {
+  const { stats } = await getFilmography(PERSON_ID);
+  assert.deepEqual(stats.collaborators.map(({ person, sharedCredits }) => [person.name, sharedCredits]), [['Emma', 3], ['Jeremy', 2]]);
+  assert.deepEqual(stats.collaborators[1].titles.map((title) => title.title), ['Memento', 'Following']);
+});
+
+test('fails when the person is unknown', async () => {
+  await assert.rejects(getFilmography(999), { name: 'TmdbError', status: 404 });
+});
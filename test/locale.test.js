@@ -0,0 +1,64 @@
+// test/locale.test.js
+// Resolution of language, region and include_image_language, against a local stub of
+// TMDb's configuration lists. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const LISTS = {
+  '/3/configuration/languages': [{ iso_639_1: 'en' }, { iso_639_1: 'fr' }, { iso_639_1: 'pt' }],
+  '/3/configuration/countries': [{ iso_3166_1: 'US' }, { iso_3166_1: 'FR' }, { iso_3166_1: 'BR' }],
+};
+
+const server = http.createServer((req, res) => {
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(LISTS[new URL(req.url, 'http://stub').pathname]));
+});
+
+let locale;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  locale = require('../middleware/locale');
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+// Runs the middleware; resolves with req.locale and whatever was passed to next()
+const resolveLocale = (query, acceptLanguage) => new Promise((resolve) => {
+  const req = { query, get: (name) => (name === 'Accept-Language' ? acceptLanguage : undefined) };
+  locale(req, { vary: () => {} }, (error) => resolve({ locale: req.locale, error }));
+});
+
+test('orders Accept-Language candidates by quality', () => {
+  assert.deepEqual(locale.parseAcceptLanguage('fr;q=0.5, PT-br, *;q=0.1, de;q=0'), ['pt-BR', 'fr']);
+});
+
+test('keeps valid query params', async () => {
+  const { locale: resolved, error } = await resolveLocale({ language: 'pt-BR', region: 'BR', include_image_language: 'pt, null' });
+  assert.equal(error, undefined);
+  assert.deepEqual(resolved, { language: 'pt-BR', region: 'BR', include_image_language: 'pt,null' });
+});
+
+test('falls back to the first supported Accept-Language', async () => {
+  const { locale: resolved } = await resolveLocale({}, 'de-DE, fr-FR;q=0.8, en;q=0.5');
+  assert.deepEqual(resolved, { language: 'fr-FR' });
+});
+
+test('rejects languages and regions TMDb does not list', async () => {
+  const { error } = await resolveLocale({ language: 'de', region: 'XX', include_image_language: 'en,zz' });
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details.map((detail) => detail.field), ['language', 'region', 'include_image_language']);
+});
+
+test('rejects repeated or bracketed params instead of crashing', async () => {
+  const { error } = await resolveLocale({ language: ['en', 'fr'], region: { US: '' } });
+  assert.equal(error.status, 400);
+  assert.deepEqual(error.details, [
+    { field: 'language', message: 'language must be a single string value' },
+    { field: 'region', message: 'region must be a single string value' },
+  ]);
+});
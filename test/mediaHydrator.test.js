@@ -0,0 +1,100 @@
+// test/mediaHydrator.test.js
+// Validation of batch items and how a batch loads its titles, against a local stub of TMDb.
+// Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Movies answer after a short delay so concurrent requests overlap; id 404 is unknown
+let requested = [];
+let active = 0;
+let maxActive = 0;
+
+const server = http.createServer((req, res) => {
+  const [, , type, id] = new URL(req.url, 'http://stub').pathname.split('/');
+  requested.push(`${type}/${id}`);
+  active += 1;
+  maxActive = Math.max(maxActive, active);
+  setTimeout(() => {
+    active -= 1;
+    const found = id !== '404';
+    res.writeHead(found ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(found
+      ? { id: Number(id), [type === 'movie' ? 'title' : 'name']: `Title ${id}` }
+      : { status_code: 34, status_message: 'The resource you requested could not be found.' }));
+  }, 10);
+});
+
+let parseBatchItems;
+let hydrateBatch;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  process.env.TMDB_MAX_RETRIES = '0';
+  ({ parseBatchItems, hydrateBatch } = require('../helpers/mediaHydrator'));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  requested = [];
+  maxActive = 0;
+});
+
+test('accepts integer ids and digit strings', () => {
+  assert.deepEqual(parseBatchItems([{ type: 'movie', id: 550 }, { type: 'tv', id: '1399' }]), [
+    { type: 'movie', id: 550 },
+    { type: 'tv', id: 1399 },
+  ]);
+});
+
+test('rejects every other kind of id, with one detail per field', () => {
+  const ids = [0, -1, 1.5, '', ' 7 ', '7a', '1e3', true, [5], null];
+  assert.throws(() => parseBatchItems(ids.map((id) => ({ type: 'movie', id }))), (error) => {
+    assert.equal(error.status, 400);
+    assert.deepEqual(error.details.map((detail) => detail.field), ids.map((id, index) => `items[${index}].id`));
+    return true;
+  });
+  assert.throws(() => parseBatchItems([{ type: 'person', id: 1 }, null]), (error) => {
+    assert.deepEqual(error.details.map((detail) => detail.field), ['items[0].type', 'items[1].type', 'items[1].id']);
+    return true;
+  });
+});
+
+test('rejects empty and oversized batches', () => {
+  assert.throws(() => parseBatchItems([]), { status: 400, message: 'items must be a non-empty array of { type, id }' });
+  assert.throws(() => parseBatchItems({ type: 'movie', id: 1 }), { status: 400 });
+  const tooMany = Array.from({ length: 51 }, (_, index) => ({ type: 'movie', id: index + 1 }));
+  assert.throws(() => parseBatchItems(tooMany), { status: 400, message: 'At most 50 items can be requested at once' });
+});
+
+test('loads each distinct title once, in request order', async () => {
+  const results = await hydrateBatch([{ type: 'movie', id: 1 }, { type: 'tv', id: 1 }, { type: 'movie', id: 1 }]);
+  assert.deepEqual(results.map(({ type, id, media }) => [type, id, media.title || media.name]), [
+    ['movie', 1, 'Title 1'],
+    ['tv', 1, 'Title 1'],
+  ]);
+  assert.deepEqual(requested.sort(), ['movie/1', 'tv/1']);
+});
+
+test('reports titles TMDb cannot load without failing the batch', async () => {
+  const [found, missing] = await hydrateBatch([{ type: 'movie', id: 2 }, { type: 'movie', id: 404 }]);
+  assert.equal(found.media.title, 'Title 2');
+  assert.deepEqual(missing, {
+    type: 'movie',
+    id: 404,
+    media: null,
+    error: { code: 'NOT_FOUND', message: 'The resource you requested could not be found.' },
+  });
+});
+
+test('keeps at most 8 TMDb requests in flight', async () => {
+  const items = Array.from({ length: 30 }, (_, index) => ({ type: 'movie', id: index + 1 }));
+  const results = await hydrateBatch(items);
+  assert.equal(results.length, 30);
+  assert.equal(requested.length, 30);
+  assert.ok(maxActive <= 8, `${maxActive} requests in flight`);
+});
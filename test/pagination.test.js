@@ -0,0 +1,124 @@
+// test/pagination.test.js
+// Bounds of page, pages and limit, and how TMDb pages and in-memory lists are cut into
+// envelopes. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// The stub serves TMDb pages of 20 results out of `totalPages`, and records the pages asked for
+let totalPages = 3;
+let requestedPages = [];
+
+const server = http.createServer((req, res) => {
+  const page = Number(new URL(req.url, 'http://stub').searchParams.get('page'));
+  requestedPages.push(page);
+  const results = Array.from({ length: 20 }, (_, index) => ({ id: (page - 1) * 20 + index + 1 }));
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ page, results, total_pages: totalPages, total_results: totalPages * 20 }));
+});
+
+let pagination;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  pagination = require('../helpers/pagination');
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  totalPages = 3;
+  requestedPages = [];
+});
+
+const ids = (envelope) => envelope.results.map((item) => item.id);
+
+test('defaults to the first page and leaves pages and limit unset', () => {
+  assert.deepEqual(pagination.parsePagination({}), { page: 1, pages: undefined, limit: undefined });
+  assert.deepEqual(pagination.parsePagination({ page: '', limit: '' }), { page: 1, pages: undefined, limit: undefined });
+});
+
+test('accepts the edges of every range', () => {
+  assert.deepEqual(pagination.parsePagination({ page: '500', pages: '10', limit: '200' }), { page: 500, pages: 10, limit: 200 });
+  assert.deepEqual(pagination.parsePagination({ page: '1', pages: '1', limit: '1' }), { page: 1, pages: 1, limit: 1 });
+});
+
+test('rejects values outside the ranges or that are not integers', () => {
+  const invalid = [
+    [{ page: '0' }, 'page must be an integer between 1 and 500'],
+    [{ page: '501' }, 'page must be an integer between 1 and 500'],
+    [{ page: '1.5' }, 'page must be an integer between 1 and 500'],
+    [{ page: 'two' }, 'page must be an integer between 1 and 500'],
+    [{ pages: '11' }, 'pages must be an integer between 1 and 10'],
+    [{ limit: '201' }, 'limit must be an integer between 1 and 200'],
+    [{ limit: '-5' }, 'limit must be an integer between 1 and 200'],
+  ];
+  for (const [query, message] of invalid) {
+    assert.throws(() => pagination.parsePagination(query), { name: 'ApiError', status: 400, code: 'INVALID_REQUEST', message });
+  }
+});
+
+test('fetches and merges consecutive TMDb pages', async () => {
+  const envelope = await pagination.fetchPaginated('/movie/popular', {}, { page: '2', pages: '2' });
+  assert.deepEqual(requestedPages.sort(), [2, 3]);
+  assert.equal(envelope.results.length, 40);
+  assert.deepEqual(envelope.pagination, {
+    page: 2,
+    lastPage: 3,
+    pagesFetched: 2,
+    totalPages: 3,
+    totalResults: 60,
+    hasMore: false,
+    nextPage: null,
+  });
+});
+
+test('fetches enough pages to fill limit and trims the rest', async () => {
+  const envelope = await pagination.fetchPaginated('/movie/popular', {}, { limit: '25' }, (item) => ({ id: item.id * 10 }));
+  assert.deepEqual(requestedPages.sort(), [1, 2]);
+  assert.equal(envelope.results.length, 25);
+  assert.equal(envelope.results[24].id, 250);
+  assert.equal(envelope.pagination.nextPage, 3);
+});
+
+test('never fetches past the last page TMDb has', async () => {
+  totalPages = 1;
+  const envelope = await pagination.fetchPaginated('/movie/popular', {}, { pages: '5' });
+  assert.deepEqual(requestedPages, [1]);
+  assert.equal(envelope.pagination.lastPage, 1);
+  assert.equal(envelope.pagination.hasMore, false);
+});
+
+test('caps totalPages at the last page TMDb serves', () => {
+  const envelope = pagination.envelopeOf({ page: 2, results: [{ id: 1 }], total_pages: 900, total_results: 18000 });
+  assert.equal(envelope.pagination.totalPages, 500);
+  assert.equal(envelope.pagination.nextPage, 3);
+  assert.deepEqual(pagination.envelopeOf({}).pagination, {
+    page: 1, lastPage: 1, pagesFetched: 1, totalPages: 1, totalResults: 0, hasMore: false, nextPage: null,
+  });
+});
+
+test('cuts in-memory lists into pages of 20', () => {
+  const items = Array.from({ length: 45 }, (_, index) => ({ id: index + 1 }));
+
+  const second = pagination.paginateList(items, { page: '2' });
+  assert.deepEqual(ids(second), items.slice(20, 40).map((item) => item.id));
+  assert.equal(second.pagination.totalPages, 3);
+  assert.equal(second.pagination.nextPage, 3);
+
+  const merged = pagination.paginateList(items, { pages: '5' });
+  assert.equal(merged.results.length, 45);
+  assert.equal(merged.pagination.lastPage, 3);
+
+  assert.deepEqual(ids(pagination.paginateList(items, { page: '2', limit: '3' })), [21, 22, 23]);
+});
+
+test('returns an empty page past the end of an in-memory list', () => {
+  const envelope = pagination.paginateList([], { page: '4' });
+  assert.deepEqual(envelope.results, []);
+  assert.equal(envelope.pagination.totalPages, 1);
+  assert.equal(envelope.pagination.hasMore, false);
+});
@@ -0,0 +1,146 @@
+// test/progressService.test.js
+// Series progress and next up: specials (season 0), unaired episodes and gaps in what was
+// watched. Seasons are served by a local stub of TMDb. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const AIRED = '2000-01-01';
+const UNAIRED = '2999-01-01';
+
+const episode = (seasonNumber, episodeNumber, airDate = AIRED) => ({
+  season_number: seasonNumber,
+  episode_number: episodeNumber,
+  name: `S${seasonNumber}E${episodeNumber}`,
+  air_date: airDate,
+});
+
+// Specials, a finished first season and a second one still airing
+const SHOW = { id: 1399, name: 'Test Show', next_episode_to_air: episode(2, 3, UNAIRED) };
+const SEASONS = [
+  { season_number: 0, name: 'Specials', episodes: [episode(0, 1), episode(0, 2, UNAIRED)] },
+  { season_number: 1, name: 'Season 1', episodes: [episode(1, 1), episode(1, 2), episode(1, 3)] },
+  { season_number: 2, name: 'Season 2', episodes: [episode(2, 1), episode(2, 2), episode(2, 3, UNAIRED), episode(2, 4, null)] },
+];
+
+// Serves /tv/1399 and its seasons
+const server = http.createServer((req, res) => {
+  const season = /\/season\/(\d+)$/.exec(new URL(req.url, 'http://stub').pathname);
+  const body = season
+    ? SEASONS.find(({ season_number: seasonNumber }) => seasonNumber === Number(season[1]))
+    : { ...SHOW, seasons: SEASONS.map(({ season_number: seasonNumber }) => ({ season_number: seasonNumber })) };
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'progress-test-'));
+let progressService;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  process.env.DATA_DIR = dataDir;
+  progressService = require('../helpers/progressService');
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+let watchedAt;
+beforeEach(() => {
+  watchedAt = 0;
+});
+
+// Watched episode records as the repository returns them, watched one minute apart
+const watched = (...keys) => keys.map((key) => {
+  const [seasonNumber, episodeNumber] = key.split('x').map(Number);
+  watchedAt += 1;
+  return { seasonNumber, episodeNumber, watchedAt: `2020-01-01T00:${String(watchedAt).padStart(2, '0')}:00.000Z` };
+});
+
+const compute = (watchedEpisodes, options) => progressService.computeProgress(SHOW, SEASONS, watchedEpisodes, options);
+
+const nextOf = (progress) => progress.nextEpisode && `${progress.nextEpisode.seasonNumber}x${progress.nextEpisode.episodeNumber}`;
+
+test('only counts aired episodes, and leaves specials out by default', () => {
+  const progress = compute(watched('1x1', '1x2'));
+  assert.equal(progress.airedEpisodes, 5);
+  assert.equal(progress.watchedEpisodes, 2);
+  assert.equal(progress.remainingEpisodes, 3);
+  assert.equal(progress.percentComplete, 40);
+  assert.equal(progress.completed, false);
+  assert.deepEqual(progress.specials, { airedEpisodes: 1, watchedEpisodes: 0 });
+});
+
+test('counts aired specials with includeSpecials', () => {
+  const progress = compute(watched('0x1', '1x1'), { includeSpecials: true });
+  assert.equal(progress.airedEpisodes, 6);
+  assert.equal(progress.watchedEpisodes, 2);
+  assert.deepEqual(progress.specials, { airedEpisodes: 1, watchedEpisodes: 1 });
+});
+
+test('reports every season, specials included', () => {
+  const { seasons } = compute(watched('1x1', '1x2', '1x3', '2x1'));
+  assert.deepEqual(seasons.map(({ seasonNumber, episodeCount, airedEpisodes, watchedEpisodes, completed }) => (
+    [seasonNumber, episodeCount, airedEpisodes, watchedEpisodes, completed]
+  )), [
+    [0, 2, 1, 0, false],
+    [1, 3, 3, 3, true],
+    [2, 4, 2, 1, false],
+  ]);
+});
+
+test('starts with the first regular episode, never a special', () => {
+  assert.equal(nextOf(compute([])), '1x1');
+  assert.equal(nextOf(compute(watched('0x1'), { includeSpecials: true })), '1x1');
+});
+
+test('picks the episode after the furthest one watched, then earlier gaps', () => {
+  assert.equal(nextOf(compute(watched('1x1', '1x3'))), '2x1');
+  assert.equal(nextOf(compute(watched('1x1', '2x1', '2x2'))), '1x2');
+});
+
+test('has no next episode once everything aired is watched, and shows the upcoming one', () => {
+  const progress = compute(watched('1x1', '1x2', '1x3', '2x1', '2x2'));
+  assert.equal(progress.nextEpisode, null);
+  assert.equal(progress.completed, true);
+  assert.equal(progress.percentComplete, 100);
+  assert.equal(progress.upcomingEpisode.airDate, UNAIRED);
+});
+
+test('counts episodes aired since the last one watched', () => {
+  const seasons = [{ season_number: 1, episodes: [episode(1, 1, '2020-01-01'), episode(1, 2, '2020-02-01'), episode(1, 3, '2020-03-01')] }];
+  const progress = progressService.computeProgress(SHOW, seasons, [{ seasonNumber: 1, episodeNumber: 1, watchedAt: '2020-01-15T20:00:00.000Z' }]);
+  assert.equal(progress.lastWatchedAt, '2020-01-15T20:00:00.000Z');
+  assert.equal(progress.newlyAiredEpisodes, 2);
+});
+
+test('reports no progress for a series without aired episodes', () => {
+  const progress = progressService.computeProgress(SHOW, [{ season_number: 1, episodes: [episode(1, 1, UNAIRED)] }], []);
+  assert.equal(progress.airedEpisodes, 0);
+  assert.equal(progress.percentComplete, 0);
+  assert.equal(progress.completed, false);
+  assert.equal(progress.nextEpisode, null);
+});
+
+test('refuses to mark an unaired episode as watched', async () => {
+  await assert.rejects(
+    progressService.markWatched('user-1', 1399, 2, 3, '2020-01-01T00:00:00.000Z'),
+    { status: 400, message: 'Episode S2E3 has not aired yet' },
+  );
+  await assert.rejects(progressService.markWatched('user-1', 1399, 2, 9, '2020-01-01T00:00:00.000Z'), { status: 404 });
+});
+
+test('marks only the aired episodes of a season', async () => {
+  await progressService.markWatched('user-2', 1399, 2, undefined, '2020-01-01T00:00:00.000Z');
+  const progress = await progressService.getSeriesProgress('user-2', 1399);
+  assert.equal(progress.seasons.find((season) => season.seasonNumber === 2).watchedEpisodes, 2);
+  assert.equal(progress.watchedEpisodes, 2);
+});
@@ -0,0 +1,117 @@
+// test/searchRanking.test.js
+// Scoring of search results and the unified search ranked across types, against a local
+// stub of TMDb. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Results the stub serves per "type:query"; anything else gets no results
+let catalog = {};
+let searches = [];
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://stub');
+  const type = url.pathname.split('/').pop();
+  const query = url.searchParams.get('query');
+  searches.push(`${type}:${query}`);
+  const results = catalog[`${type}:${query}`] || [];
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ page: 1, results, total_pages: 1, total_results: results.length }));
+});
+
+let ranking;
+let searchAll;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  ranking = require('../helpers/searchRanking');
+  ({ searchAll } = require('../helpers/searchService'));
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  catalog = {};
+  searches = [];
+});
+
+const TITLE_ONLY = { title: 1, popularity: 0, recency: 0 };
+
+test('normalizes accents, case and punctuation', () => {
+  assert.equal(ranking.normalize('  Amélie!  '), 'amelie');
+  assert.equal(ranking.normalize('Spider-Man: No Way Home'), 'spider man no way home');
+  assert.equal(ranking.normalize(undefined), '');
+});
+
+test('ranks exact titles over prefixes, whole words and typos', () => {
+  const score = (title) => ranking.titleScore('the matrix', { title });
+  assert.equal(score('The Matrix'), 1);
+  assert.equal(score('The Matrix Reloaded'), 0.8);
+  assert.equal(score('Matrix, The'), 0.6);
+  assert.ok(score('The Matrx') < 0.6 && score('The Matrx') > score('Inception'));
+});
+
+test('matches original titles and names too', () => {
+  assert.equal(ranking.titleScore('amelie', { title: 'Amelie', original_title: 'Le Fabuleux Destin' }), 1);
+  assert.equal(ranking.titleScore('la casa de papel', { name: 'Money Heist', original_name: 'La casa de papel' }), 1);
+  assert.equal(ranking.titleScore('anything', {}), 0);
+});
+
+test('scores popularity on a log scale capped at 1', () => {
+  assert.equal(ranking.popularityScore({}), 0);
+  assert.equal(ranking.popularityScore({ popularity: 999 }), 1);
+  assert.equal(ranking.popularityScore({ popularity: 50000 }), 1);
+  assert.ok(ranking.popularityScore({ popularity: 9 }) < ranking.popularityScore({ popularity: 99 }));
+});
+
+test('halves the recency score every ten years', () => {
+  const now = Date.parse('2020-06-01');
+  assert.equal(ranking.recencyScore({ release_date: '2021-01-01' }, now), 1);
+  assert.equal(ranking.recencyScore({}, now), 0);
+  assert.ok(Math.abs(ranking.recencyScore({ first_air_date: '2010-06-01' }, now) - 0.5) < 0.001);
+});
+
+test('weights the three scores', () => {
+  assert.equal(ranking.scoreResult('dune', { title: 'Dune' }, TITLE_ONLY), 1);
+  assert.equal(ranking.scoreResult('dune', { title: 'Dune', popularity: 999 }, { title: 0.5, popularity: 0.5, recency: 0 }), 1);
+  assert.equal(ranking.scoreResult('dune', { title: 'Dune' }, { title: 0.6, popularity: 0.3, recency: 0.1 }), 0.6);
+});
+
+test('loosens a query into at most three variants other than itself', () => {
+  assert.deepEqual(ranking.fuzzyVariants('Interstelar: the Movie'), ['interstelar the movie', 'interst the mov', 'interstelar']);
+  assert.deepEqual(ranking.fuzzyVariants('interstelar movie'), ['interst mov', 'interstelar']);
+  assert.deepEqual(ranking.fuzzyVariants('up'), []);
+});
+
+test('interleaves every type by score', async () => {
+  catalog = {
+    'movie:dune': [{ id: 1, title: 'Dune Drifter' }, { id: 2, title: 'Dune' }],
+    'tv:dune': [{ id: 3, name: 'Dune: Prophecy' }],
+    'person:dune': [{ id: 4, name: 'Someone Else' }],
+  };
+  const response = await searchAll({ query: 'dune' }, { weights: TITLE_ONLY });
+  assert.deepEqual(response.results.map(({ type, item }) => `${type}:${item.id}`), ['movie:2', 'movie:1', 'tv:3', 'person:4']);
+  assert.deepEqual(response.totals, { movie: 2, tv: 1, person: 1 });
+  assert.equal(response.fuzzy, false);
+});
+
+test('groups results by type, best group first', async () => {
+  catalog = {
+    'movie:heat': [{ id: 1, title: 'Heatwave' }],
+    'tv:heat': [{ id: 2, name: 'Heat' }, { id: 3, name: 'Heat Seekers' }],
+  };
+  const response = await searchAll({ query: 'heat', types: 'movie,tv', layout: 'grouped', limit: '1' }, { weights: TITLE_ONLY });
+  assert.deepEqual(response.groups.map((group) => [group.type, group.results.map((result) => result.item.id)]), [['tv', [2]], ['movie', [1]]]);
+});
+
+test('retries fuzzy variants when nothing matches and scores against the original query', async () => {
+  catalog = { 'movie:interst': [{ id: 157336, title: 'Interstellar' }] };
+  const response = await searchAll({ query: 'Interstelar', types: 'movie' }, { weights: TITLE_ONLY });
+  assert.deepEqual(searches, ['movie:Interstelar', 'movie:interst']);
+  assert.equal(response.matchedQuery, 'interst');
+  assert.equal(response.fuzzy, true);
+  assert.equal(response.results[0].score, ranking.scoreResult('Interstelar', { title: 'Interstellar' }, TITLE_ONLY));
+});
@@ -0,0 +1,136 @@
+// test/tmdbCache.test.js
+// TTL rules, cache keys and the cache stores behind fetchFromTmdb. Run with `npm test`.
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const tmdbCache = require('../helpers/tmdbCache');
+const { MemoryStore, FileStore, RedisStore } = require('../helpers/cacheStores');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+beforeEach(() => {
+  tmdbCache.setStore(new MemoryStore());
+  tmdbCache.setEnabled(true);
+  tmdbCache.resetStats();
+});
+
+test('picks the TTL of the first matching rule', () => {
+  assert.equal(tmdbCache.getTtlForEndpoint('/movie/latest'), 1 * MINUTE);
+  assert.equal(tmdbCache.getTtlForEndpoint('/movie/popular'), 5 * MINUTE);
+  assert.equal(tmdbCache.getTtlForEndpoint('/trending/movie/day'), 5 * MINUTE);
+  assert.equal(tmdbCache.getTtlForEndpoint('/search/movie'), 15 * MINUTE);
+  assert.equal(tmdbCache.getTtlForEndpoint('/movie/550/watch/providers'), 6 * HOUR);
+  assert.equal(tmdbCache.getTtlForEndpoint('/watch/providers/movie'), 24 * HOUR);
+  assert.equal(tmdbCache.getTtlForEndpoint('/person/287/combined_credits'), 24 * HOUR);
+  assert.equal(tmdbCache.getTtlForEndpoint('/configuration'), 24 * HOUR);
+  assert.equal(tmdbCache.getTtlForEndpoint('/authentication/token/new'), 0);
+});
+
+test('falls back to the default TTL for other endpoints', () => {
+  assert.equal(tmdbCache.getTtlForEndpoint('/movie/550'), 10 * MINUTE);
+});
+
+test('builds the same key whatever the param order, without the API key or empty values', () => {
+  const key = tmdbCache.buildCacheKey('/search/movie', { query: ' dune ', page: 2, api_key: 'secret', year: '', region: null });
+  assert.equal(key, '/search/movie?page=2&query=dune');
+  assert.equal(tmdbCache.buildCacheKey('/search/movie', { page: 2, query: 'dune' }), key);
+  assert.equal(tmdbCache.buildCacheKey('/movie/550', { api_key: 'secret' }), '/movie/550');
+});
+
+test('serves values until their TTL runs out', async () => {
+  await tmdbCache.set('/movie/1', { id: 1 }, 20);
+  assert.deepEqual(await tmdbCache.get('/movie/1'), { id: 1 });
+  await sleep(30);
+  assert.equal(await tmdbCache.get('/movie/1'), undefined);
+  assert.deepEqual(tmdbCache.getStats(), {
+    enabled: true,
+    store: 'MemoryStore',
+    hits: 1,
+    misses: 1,
+    errors: 0,
+    hitRate: 0.5,
+  });
+});
+
+test('does not store values with a zero TTL or while disabled', async () => {
+  await tmdbCache.set('/authentication/token/new', { token: 't' }, 0);
+  assert.equal(await tmdbCache.get('/authentication/token/new'), undefined);
+
+  tmdbCache.setEnabled(false);
+  await tmdbCache.set('/movie/1', { id: 1 }, MINUTE);
+  tmdbCache.setEnabled(true);
+  assert.equal(await tmdbCache.get('/movie/1'), undefined);
+});
+
+test('treats store failures as misses', async () => {
+  const failing = {
+    get: async () => { throw new Error('store down'); },
+    set: async () => { throw new Error('store down'); },
+  };
+  tmdbCache.setStore(failing);
+  await tmdbCache.set('/movie/1', { id: 1 }, MINUTE);
+  assert.equal(await tmdbCache.get('/movie/1'), undefined);
+  assert.equal(tmdbCache.getStats().errors, 2);
+});
+
+test('MemoryStore evicts the least recently used entry', async () => {
+  const store = new MemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, MINUTE);
+  await store.set('b', 2, MINUTE);
+  // Reading "a" makes "b" the least recently used
+  assert.equal(await store.get('a'), 1);
+  await store.set('c', 3, MINUTE);
+
+  assert.equal(store.size, 2);
+  assert.equal(await store.get('b'), undefined);
+  assert.equal(await store.get('a'), 1);
+  assert.equal(await store.get('c'), 3);
+});
+
+test('MemoryStore replaces an existing key without evicting another one', async () => {
+  const store = new MemoryStore({ maxEntries: 2 });
+  await store.set('a', 1, MINUTE);
+  await store.set('b', 2, MINUTE);
+  await store.set('a', 10, MINUTE);
+  assert.equal(store.size, 2);
+  assert.equal(await store.get('a'), 10);
+  assert.equal(await store.get('b'), 2);
+});
+
+test('FileStore keeps entries across instances and drops expired ones', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'tmdb-cache-'));
+  const filePath = path.join(dir, 'cache.json');
+  try {
+    await new FileStore({ filePath }).set('/movie/1', { id: 1 }, MINUTE);
+    await new FileStore({ filePath }).set('/movie/2', { id: 2 }, -1);
+
+    const reloaded = new FileStore({ filePath });
+    assert.deepEqual(await reloaded.get('/movie/1'), { id: 1 });
+    assert.equal(await reloaded.get('/movie/2'), undefined);
+    assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(filePath, 'utf8'))), ['/movie/1']);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('RedisStore prefixes keys and passes the TTL in milliseconds', async () => {
+  const calls = [];
+  const values = new Map();
+  const client = {
+    get: async (key) => values.get(key) || null,
+    set: async (key, value, mode, ttl) => {
+      calls.push([key, mode, ttl]);
+      values.set(key, value);
+    },
+  };
+  const store = new RedisStore(client, { prefix: 'test:' });
+  await store.set('/movie/1', { id: 1 }, 5000);
+  assert.deepEqual(calls, [['test:/movie/1', 'PX', 5000]]);
+  assert.deepEqual(await store.get('/movie/1'), { id: 1 });
+  assert.equal(await store.get('/movie/2'), undefined);
+});
@@ -0,0 +1,115 @@
+// test/tmdbHelper.test.js
+// Retry, circuit breaker and rate limiter behaviour of fetchFromTmdb against a local stub
+// of TMDb. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// Each test queues the responses the stub should give, in order; once the queue is empty
+// every request gets a 200
+let responses = [];
+let hits = 0;
+
+const server = http.createServer((req, res) => {
+  hits += 1;
+  const { status = 200, headers = {}, body = { ok: true } } = responses.shift() || {};
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(JSON.stringify(body));
+});
+
+let fetchFromTmdb;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${server.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  fetchFromTmdb = require('../helpers/tmdbHelper');
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  responses = [];
+  hits = 0;
+  fetchFromTmdb.configure({
+    maxRetries: 2,
+    retryBaseDelayMs: 1,
+    retryMaxDelayMs: 5,
+    rateLimit: { capacity: 100, refillPerSecond: 100 },
+    circuitBreaker: { failureThreshold: 2, resetTimeoutMs: 50 },
+  });
+});
+
+const failWith = (status, times, headers) => Array.from({ length: times }, () => ({
+  status,
+  headers,
+  body: { status_code: 0, status_message: `TMDb answered ${status}` },
+}));
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+test('retries 5xx responses until one succeeds', async () => {
+  responses = [...failWith(503, 2), { body: { id: 550 } }];
+  assert.deepEqual(await fetchFromTmdb('/movie/550'), { id: 550 });
+  assert.equal(hits, 3);
+  assert.equal(fetchFromTmdb.getCircuitState().state, 'closed');
+});
+
+test('does not retry other 4xx responses', async () => {
+  responses = failWith(404, 1);
+  await assert.rejects(fetchFromTmdb('/movie/0'), { name: 'TmdbError', status: 404 });
+  assert.equal(hits, 1);
+});
+
+test('honors Retry-After on 429', async () => {
+  responses = [...failWith(429, 1, { 'Retry-After': '0' }), { body: { id: 1 } }];
+  assert.deepEqual(await fetchFromTmdb('/movie/1'), { id: 1 });
+  assert.equal(hits, 2);
+});
+
+test('counts one breaker failure per request, after its retries', async () => {
+  responses = failWith(500, 3);
+  await assert.rejects(fetchFromTmdb('/movie/1'), { status: 500 });
+  assert.equal(hits, 3);
+  assert.equal(fetchFromTmdb.getCircuitState().failures, 1);
+  assert.equal(fetchFromTmdb.getCircuitState().state, 'closed');
+});
+
+test('opens the circuit after failureThreshold failed requests and fails fast', async () => {
+  responses = failWith(500, 6);
+  await assert.rejects(fetchFromTmdb('/movie/1'), { status: 500 });
+  await assert.rejects(fetchFromTmdb('/movie/1'), { status: 500 });
+  assert.equal(fetchFromTmdb.getCircuitState().state, 'open');
+
+  await assert.rejects(fetchFromTmdb('/movie/1'), { code: 'ECIRCUITOPEN' });
+  assert.equal(hits, 6);
+});
+
+test('does not count requests still throttled after their retries', async () => {
+  responses = failWith(429, 6, { 'Retry-After': '0' });
+  await assert.rejects(fetchFromTmdb('/movie/1'), { status: 429 });
+  await assert.rejects(fetchFromTmdb('/movie/1'), { status: 429 });
+  assert.deepEqual(fetchFromTmdb.getCircuitState(), { state: 'closed', failures: 0, retryAfterMs: 0 });
+});
+
+test('lets the half-open trial request retry, and closes the circuit when it succeeds', async () => {
+  responses = failWith(500, 6);
+  await assert.rejects(fetchFromTmdb('/movie/1'));
+  await assert.rejects(fetchFromTmdb('/movie/1'));
+  assert.equal(fetchFromTmdb.getCircuitState().state, 'open');
+
+  await sleep(60);
+  responses = [...failWith(503, 1), { body: { id: 1 } }];
+  assert.deepEqual(await fetchFromTmdb('/movie/1'), { id: 1 });
+  assert.equal(fetchFromTmdb.getCircuitState().state, 'closed');
+});
+
+test('spaces requests out once the rate limiter runs out of tokens', async () => {
+  fetchFromTmdb.configure({ rateLimit: { capacity: 2, refillPerSecond: 20 } });
+  const started = Date.now();
+  await Promise.all([1, 2, 3, 4].map((id) => fetchFromTmdb(`/movie/${id}`)));
+  // Two requests use the burst, the other two wait ~50ms each for a token
+  assert.ok(Date.now() - started >= 90, `took ${Date.now() - started}ms`);
+  assert.equal(hits, 4);
+});
@@ -0,0 +1,86 @@
+// test/validation.test.js
+// Request validation against the OpenAPI docs of the routers. Run with `npm test`.
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const validateRequests = require('../middleware/validation');
+const OpenApiValidator = require('../helpers/openApiValidator');
+
+// Runs the validation middleware of a router and resolves with what it passed to next()
+const validate = (routerName, path, query = {}, method = 'GET') => new Promise((resolve) => {
+  validateRequests(routerName)({ method, path, query, originalUrl: path }, {}, resolve);
+});
+
+const detailsOf = async (...args) => {
+  const error = await validate(...args);
+  assert.ok(error, 'expected the request to be rejected');
+  assert.equal(error.status, 400);
+  assert.equal(error.code, 'INVALID_REQUEST');
+  return error.details;
+};
+
+test('lets documented requests with valid params through', async () => {
+  assert.equal(await validate('movies', '/550/credits'), undefined);
+  assert.equal(await validate('movies', '/discover', { sort: 'revenue', order: 'asc', page: '2' }), undefined);
+});
+
+test('leaves undocumented requests to the router', async () => {
+  assert.equal(await validate('movies', '/550/nothing-here'), undefined);
+  assert.equal(await validate('movies', '/550/credits', {}, 'DELETE'), undefined);
+});
+
+test('rejects path params outside their schema', async () => {
+  assert.deepEqual(await detailsOf('movies', '/0/credits'), [{ field: 'movie_id', message: 'movie_id must be >= 1' }]);
+  assert.deepEqual(await detailsOf('movies', '/abc/credits'), [{ field: 'movie_id', message: 'movie_id must be integer' }]);
+});
+
+test('rejects path params that are not valid URL encoding', async () => {
+  assert.deepEqual(await detailsOf('movies', '/%E0%A4%A/credits'), [
+    { field: 'movie_id', message: 'movie_id is not a valid URL-encoded value' },
+  ]);
+});
+
+test('reports every invalid query param at once', async () => {
+  assert.deepEqual(await detailsOf('movies', '/discover', { sort: 'rating', page: '0' }), [
+    { field: 'sort', message: 'sort must be one of: popularity, vote_average, vote_count, primary_release_date, revenue, title, original_title' },
+    { field: 'page', message: 'page must be >= 1' },
+  ]);
+});
+
+test('treats empty query values as missing', async () => {
+  assert.deepEqual(await detailsOf('movies', '/search', { query: '' }), [{ field: 'query', message: 'query is required' }]);
+  assert.equal(await validate('movies', '/search', { query: 'dune', page: '' }), undefined);
+});
+
+test('prefers literal path segments over parameters', () => {
+  const validator = new OpenApiValidator({
+    paths: {
+      '/{series_id}': { get: { parameters: [{ in: 'path', name: 'series_id', required: true, schema: { type: 'integer' } }] } },
+      '/popular': { get: {} },
+    },
+  });
+  const { operation, pathParams } = validator.match('GET', '/popular');
+  assert.equal(operation.path, '/popular');
+  assert.deepEqual(pathParams, {});
+  assert.equal(validator.match('GET', '/1399').operation.path, '/{series_id}');
+});
+
+test('checks responses against the schema documented for their status', () => {
+  const validator = new OpenApiValidator({
+    components: {
+      schemas: {
+        Title: { type: 'object', required: ['id'], properties: { id: { type: 'integer' }, tagline: { type: 'string', nullable: true } } },
+      },
+    },
+    paths: {
+      '/{id}': {
+        get: {
+          responses: { 200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/Title' } } } } },
+        },
+      },
+    },
+  });
+  const { operation } = validator.match('GET', '/1');
+  assert.deepEqual(validator.validateResponse(operation, 200, { id: 1, tagline: null }), []);
+  assert.deepEqual(validator.validateResponse(operation, 200, { id: 'one' }), ['/id must be integer']);
+  assert.deepEqual(validator.validateResponse(operation, 404, { anything: true }), []);
+});
@@ -0,0 +1,121 @@
+// test/watchlist.test.js
+// Filters and sorting of the watchlist and history listings, through the HTTP app with a
+// temporary data directory and a local stub of TMDb. Run with `npm test`.
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const TITLES = {
+  'movie/1': { id: 1, title: 'Arrival', release_date: '2016-11-10' },
+  'movie/2': { id: 2, title: 'blade Runner', release_date: '1982-06-25' },
+  'movie/3': { id: 3, title: 'Coherence', release_date: '' },
+  'tv/10': { id: 10, name: 'Dark', first_air_date: '2017-12-01' },
+};
+
+const tmdb = http.createServer((req, res) => {
+  const pathname = new URL(req.url, 'http://stub').pathname.replace(/^\/3\//, '');
+  const body = pathname === 'configuration' ? { images: {} } : TITLES[pathname];
+  res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body || { status_code: 34, status_message: 'The resource you requested could not be found.' }));
+});
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'watchlist-test-'));
+let server;
+let baseUrl;
+let token;
+
+const call = async (method, url, body) => {
+  const response = await fetch(`${baseUrl}/api/watchlist${url}`, {
+    method,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const keys = ({ body }) => body.results.map((record) => `${record.type}/${record.tmdbId}`);
+
+before(async () => {
+  await new Promise((resolve) => tmdb.listen(0, '127.0.0.1', resolve));
+  process.env.TMDB_BASE_URL = `http://127.0.0.1:${tmdb.address().port}/3`;
+  process.env.TMDB_API_KEY = 'test-key';
+  process.env.TMDB_CACHE_ENABLED = 'false';
+  process.env.TMDB_MAX_RETRIES = '0';
+  process.env.DATA_DIR = dataDir;
+  process.env.JWT_SECRET = 'test-secret';
+
+  const authService = require('../helpers/authService');
+  const { createApp } = require('../index');
+  await authService.register('viewer', 'correct horse');
+  ({ token } = await authService.login('viewer', 'correct horse'));
+
+  server = createApp([{ name: 'watchlist', basePath: '/api/watchlist', url: '/api/watchlist' }]).listen(0, '127.0.0.1');
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  for (const [type, id] of [['movie', 1], ['movie', 2], ['movie', 3], ['tv', 10]]) {
+    assert.equal((await call('POST', '/', { type, id })).status, 201);
+  }
+  await call('POST', '/history', { type: 'movie', id: 1, watchedAt: '2024-05-01T10:00:00Z', rating: 9 });
+  await call('POST', '/history', { type: 'tv', id: 10, watchedAt: '2024-05-02T23:30:00Z', rating: 6 });
+  await call('POST', '/history', { type: 'movie', id: 2, watchedAt: '2024-04-30T12:00:00Z' });
+});
+
+after(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => tmdb.close(resolve));
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test('filters by status, most recently watched first', async () => {
+  assert.deepEqual(keys(await call('GET', '/?status=watched')), ['tv/10', 'movie/1', 'movie/2']);
+  assert.deepEqual(keys(await call('GET', '/?status=planned')), ['movie/3']);
+});
+
+test('filters by type and minimum rating', async () => {
+  assert.deepEqual(keys(await call('GET', '/?type=movie&sort=addedAt&order=asc')), ['movie/1', 'movie/2', 'movie/3']);
+  assert.deepEqual(keys(await call('GET', '/?minRating=7')), ['movie/1']);
+});
+
+test('sorts titles case-insensitively, A to Z by default', async () => {
+  assert.deepEqual(keys(await call('GET', '/?sort=title')), ['movie/1', 'movie/2', 'movie/3', 'tv/10']);
+  assert.deepEqual(keys(await call('GET', '/?sort=title&order=desc')), ['tv/10', 'movie/3', 'movie/2', 'movie/1']);
+});
+
+test('puts records without a value last whatever the order', async () => {
+  assert.deepEqual(keys(await call('GET', '/?sort=rating')), ['movie/1', 'tv/10', 'movie/2', 'movie/3']);
+  assert.deepEqual(keys(await call('GET', '/?sort=rating&order=asc')), ['tv/10', 'movie/1', 'movie/2', 'movie/3']);
+  assert.deepEqual(keys(await call('GET', '/?sort=releaseDate&order=asc')), ['movie/2', 'movie/1', 'tv/10', 'movie/3']);
+  assert.deepEqual(keys(await call('GET', '/?sort=releaseDate')), ['tv/10', 'movie/1', 'movie/2', 'movie/3']);
+});
+
+test('paginates after sorting by a media field', async () => {
+  const { body } = await call('GET', '/?sort=title&limit=2&page=1');
+  assert.deepEqual(body.results.map((record) => record.media.title), ['Arrival', 'blade Runner']);
+  assert.equal(body.pagination.totalResults, 4);
+});
+
+test('rejects unknown sort fields, orders and statuses', async () => {
+  for (const [url, field] of [['/?sort=popularity', 'sort'], ['/history?sort=addedAt', 'sort'], ['/?order=up', 'order'], ['/?status=abandoned', 'status']]) {
+    const { status, body } = await call('GET', url);
+    assert.equal(status, 400, url);
+    assert.deepEqual(body.error.details.map((detail) => detail.field), [field], url);
+  }
+});
+
+test('includes the whole day of a date-only upper bound', async () => {
+  assert.deepEqual(keys(await call('GET', '/history?to=2024-05-02')), ['tv/10', 'movie/1', 'movie/2']);
+  assert.deepEqual(keys(await call('GET', '/history?from=2024-05-01&to=2024-05-01')), ['movie/1']);
+  assert.deepEqual(keys(await call('GET', '/history?to=2024-05-02T12:00:00Z&sort=watchedAt&order=asc')), ['movie/2', 'movie/1']);
+  assert.equal((await call('GET', '/history?from=yesterday')).status, 400);
+});
+
+test('refuses history entries for titles TMDb does not know', async () => {
+  const { status, body } = await call('POST', '/history', { type: 'movie', id: 999 });
+  assert.equal(status, 404);
+  assert.equal(body.error.message, 'No movie with id 999 on TMDb');
+  assert.equal((await call('GET', '/history')).body.results.length, 3);
+});
@@ -0,0 +1,146 @@
+// test/webhookChannel.test.js
+// SSRF guard of webhook notifications: internal addresses are refused when a webhook is
+// saved and when it is called, including through DNS and redirects. Run with `npm test`.
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const { WebhookChannel } = require('../helpers/notificationChannels');
+
+// Local receiver; /redirect answers 302 to /internal
+let received = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => { body += chunk; });
+  req.on('end', () => {
+    received.push({ path: req.url, headers: req.headers, body });
+    if (req.url === '/redirect') {
+      res.writeHead(302, { Location: '/internal' });
+    } else {
+      res.writeHead(204);
+    }
+    res.end();
+  });
+});
+
+let port;
+
+before(async () => {
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  ({ port } = server.address());
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  received = [];
+});
+
+// Resolve hostnames to the given addresses, one list per call (the last one repeats)
+const mockDns = (t, ...answers) => {
+  let call = 0;
+  return t.mock.method(dns, 'lookup', async () => {
+    const addresses = answers[Math.min(call, answers.length - 1)];
+    call += 1;
+    return addresses.map((address) => ({ address, family: address.includes(':') ? 6 : 4 }));
+  });
+};
+
+const rejectsUrl = (channel, url, message) => assert.rejects(
+  channel.validate({ url }),
+  { name: 'ApiError', status: 400, code: 'INVALID_REQUEST', message },
+);
+
+const INTERNAL = 'webhook.url must not point to a loopback, private or link-local address';
+
+test('refuses URLs that are not http(s)', async () => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  await rejectsUrl(channel, 'ftp://example.com/hook', 'webhook.url must be an http(s) URL');
+  await rejectsUrl(channel, 'not a url', 'webhook.url must be an http(s) URL');
+});
+
+test('refuses internal IP literals, however they are written', async () => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  const urls = [
+    'http://localhost:8080/hook',
+    'http://api.localhost/hook',
+    'http://127.0.0.1/hook',
+    'http://10.1.2.3/hook',
+    'http://172.20.0.1/hook',
+    'http://192.168.1.1/hook',
+    'http://100.64.0.1/hook',
+    'http://169.254.169.254/latest/meta-data',
+    'http://0.0.0.0/hook',
+    'http://[::1]/hook',
+    'http://[fd00::1]/hook',
+    'http://[fe80::1]/hook',
+    'http://[::ffff:127.0.0.1]/hook',
+    'http://[::ffff:a9fe:a9fe]/hook',
+    'http://2130706433/hook',
+  ];
+  for (const url of urls) {
+    await rejectsUrl(channel, url, INTERNAL);
+  }
+});
+
+test('accepts public addresses and keeps the secret', async () => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  assert.deepEqual(await channel.validate({ url: 'https://93.184.216.34/hook', secret: 's3cret' }), {
+    url: 'https://93.184.216.34/hook',
+    secret: 's3cret',
+  });
+  await assert.rejects(channel.validate({ url: 'https://93.184.216.34/hook', secret: 42 }), { status: 400 });
+});
+
+test('refuses hostnames resolving to an internal address', async (t) => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  mockDns(t, ['93.184.216.34', '10.0.0.5']);
+  await rejectsUrl(channel, 'https://hooks.example.com/x', INTERNAL);
+});
+
+test('refuses hostnames that do not resolve', async (t) => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  t.mock.method(dns, 'lookup', async () => { throw Object.assign(new Error('not found'), { code: 'ENOTFOUND' }); });
+  await rejectsUrl(channel, 'https://nowhere.example/x', 'webhook.url host nowhere.example could not be resolved');
+});
+
+test('lets allowlisted hosts through', async () => {
+  const channel = new WebhookChannel({ allowedHosts: ['LOCALHOST'] });
+  assert.equal((await channel.validate({ url: 'http://localhost:9000/hook' })).url, 'http://localhost:9000/hook');
+});
+
+test('posts signed notifications to allowlisted hosts', async () => {
+  const channel = new WebhookChannel({ allowedHosts: ['127.0.0.1'] });
+  await channel.send({ url: `http://127.0.0.1:${port}/hook`, secret: 'key' }, [{ message: 'Dune is now on Max' }]);
+
+  assert.equal(received.length, 1);
+  const { headers, body } = received[0];
+  assert.deepEqual(JSON.parse(body), { notifications: [{ message: 'Dune is now on Max' }] });
+  assert.equal(headers['x-signature-256'], `sha256=${crypto.createHmac('sha256', 'key').update(body).digest('hex')}`);
+});
+
+test('does not follow redirects', async () => {
+  const channel = new WebhookChannel({ allowedHosts: ['127.0.0.1'] });
+  await assert.rejects(channel.send({ url: `http://127.0.0.1:${port}/redirect` }, []));
+  assert.deepEqual(received.map((request) => request.path), ['/redirect']);
+});
+
+test('checks the address again when connecting, so DNS changes cannot reach internal hosts', async (t) => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  // Public when the URL is checked, loopback by the time the request connects
+  const lookup = mockDns(t, ['93.184.216.34'], ['127.0.0.1']);
+  await assert.rejects(
+    channel.send({ url: `http://rebind.example:${port}/hook` }, []),
+    /rebind\.example resolves to an internal address/,
+  );
+  assert.equal(lookup.mock.callCount(), 2);
+  assert.deepEqual(received, []);
+});
+
+test('connects to the first public address of a host', async (t) => {
+  const channel = new WebhookChannel({ allowedHosts: [] });
+  mockDns(t, ['10.0.0.1', '93.184.216.34', '2606:2800:220:1::1']);
+  assert.deepEqual(await channel.lookupPublic('hooks.example.com'), ['93.184.216.34', 4]);
+});